@@ -2,172 +2,839 @@
 
 const fs = require('fs');
 const path = require('path');
-const { createCanvas } = require('canvas');
+const { diffStylePath } = require('../src/core/DiffRenderer');
+const { createReporter, defaultOutputFile, runReporters } = require('../src/reporters');
+const { loadConfig, overridesFor } = require('../src/utils/config');
+const { watchPaths } = require('../src/utils/watch');
+const { MissingFileError, ValidationError, errorCode } = require('../src/utils/errors');
+
+// Process exit codes, so CI can tell a visual regression from a broken pipeline
+const EXIT_CODES = {
+  PASSED: 0,
+  FAILED: 1,  // images differ, or an image is missing on one side
+  ERROR: 2,   // a comparison could not run: unreadable image, missing file, render failure, ...
+  USAGE: 3    // bad command-line arguments or config file
+};
+
+// Strategies whose history measure is a pixel count
+const PIXEL_MEASURE_STRATEGIES = ['clusters', 'largest-cluster', 'categoryTolerances', 'maxAlignOffset'];
+
+// One character per run in the history table
+const VERDICT_MARKS = {
+  passed: '.',
+  failed: 'F',
+  error: 'E',
+  'missing-actual': '-',
+  'missing-baseline': '+'
+};
 
 async function main() {
   const args = process.argv.slice(2);
-  
+
   // Handle version command
   if (args.includes('--version') || args.includes('-v')) {
     console.log(require('../package.json').version);
     return;
   }
-  
+
   // Handle help
   if (args.includes('--help') || args.includes('-h')) {
     console.log(`
 Visual Regression Engine CLI
 Usage:
   visual-regression-engine compare --baseline <path> --comparison <path> [options]
+  visual-regression-engine compare-dir --baseline <dir> --comparison <dir> [options]
+  visual-regression-engine compare-seq --baseline <frames> --comparison <frames> [options]
+  visual-regression-engine approve --baseline <dir> --comparison <dir> [options]
+  visual-regression-engine render --sketch <path> --output <png> [options]
+  visual-regression-engine history --history <file> [options]
+  visual-regression-engine review --baseline <dir> --comparison <dir> [options]
   visual-regression-engine --version
   visual-regression-engine --help
 
 Options:
-  --baseline <path>      Path to baseline image
-  --comparison <path>    Path to comparison image  
-  --output <path>        Path for diff output (optional)
+  --baseline <path>      Path to baseline image (or directory for compare-dir)
+  --comparison <path>    Path to comparison image (or directory for compare-dir)
+  --output <path>        Path for diff output (optional; a directory for compare-dir)
+  --config <path>        Config file (default: nearest vre.config.js or .vrerc.json)
+  --no-config            Ignore config files
   --threshold <number>   Difference threshold (default: 0.1)
-  --format <format>      Output format: json|text (default: json)
+  --metric <name>        Diff metric: pixelmatch|ssim|deltaE2000 (default: pixelmatch)
+  --diff-style <styles>  Diff image style(s), comma-separated:
+                         pixelmatch|heatmap|overlay|composite|annotated
+                         (default: pixelmatch; the first one is the main diff)
+  --align                Align images by the best global x/y offset before diffing
+  --align-radius <px>    Largest offset searched when aligning (default: 3)
+  --max-offset <px>      Fail when the detected offset is larger than this
+  --max-side <px>        With --resize fit, scale images so the longest side is this (default: 400)
+  --resize <mode>        fit, none, a scale factor (e.g. 0.5) or an exact size (e.g. 800x600)
+                         (default: fit)
+  --resampling <filter>  Resize filter: nearest, bilinear or box (default: bilinear)
+  --tile-size <px>       Compare at full resolution in tiles of this size (for very large images)
+  --min-cluster-size <n> Smallest cluster counted as significant (default: 4)
+  --max-diff-pixels <n>  Pass when at most this many pixels differ (default: 40)
+  --max-clusters <n>     Pass when at most this many significant clusters (default: 2)
+  --significance <name>  Pass rule: clusters, diff-percent, largest-cluster or a module path
+                         (default: clusters)
+  --max-diff-percent <n> diff-percent: largest share of the image that may differ (default: 0.1)
+  --max-cluster-size <px>
+                         largest-cluster: largest cluster allowed (default: 40)
+  --preprocess <list>    Steps run on both images first, e.g. greyscale,blur
+  --line-shift-threshold <ratio>
+                         Share of line-like pixels that marks a line shift (default: 0.8)
+  --connectivity <4|8>   Pixel connectivity used to group diffs into clusters (default: 8)
+  --size-policy <name>   How to handle images of different sizes: strict, pad, crop,
+                         scale-to-expected (default: pad)
+  --alpha <number>       Opacity of the faded image behind the diff (default: 0.1)
+  --include-aa           Count anti-aliased pixels as differences
+  --format <format>      Output format: json|text|junit|tap|markdown (default: json)
+  --reporter <spec>      Also write a report, as <name>:<file> (repeatable).
+                         Built-in: json, text, junit, tap, markdown, html;
+                         any other name is loaded as a module path
+  --report <name>        Shorthand for --reporter <name>:<default file>, e.g.
+                         visual-report.html, visual-report.json or junit.xml
+  --report-file <path>   Where to write the --report output
+  --history <file>       Record each compare/compare-dir run in this JSON history file
+
+Watch options (compare, compare-dir):
+  --watch                Re-compare whenever the comparison images change (Ctrl+C to stop)
+  --watch-baseline       Also re-compare when baseline images change
+  --debounce <ms>        Wait this long after the last write before comparing (default: 100)
+
+Directory options (compare-dir):
+  --include <glob>       Only compare files matching the glob (repeatable)
+  --exclude <glob>       Skip files matching the glob (repeatable)
+  --allow-missing        Don't fail on files present in only one directory
+  --jobs, -j <n|auto>    Compare on n worker threads (auto: every core but one)
+  --fail-fast            Stop at the first failing pair; the rest are reported as cancelled
+
+Sequence options (compare-seq; frames are a directory of stills, a GIF or an APNG):
+  --temporal-offset <k>  Let frame N match baseline frame N-k..N+k (default: 0)
+  --output <dir>         Write diffs of failing frames to this directory
+
+Approve options (approve, alias: update):
+  --file <name|glob>     Approve only these images (repeatable; default: all failing or new)
+  --dry-run              Show what would change without touching any file
+  --prune                Also delete baselines that have no actual image
+  --manifest <path>      Baseline manifest (default: <baseline>/baseline-manifest.json)
+
+History options (history):
+  --history <file>       History file to read (default: config historyPath)
+  --runs <n>             Only look at the last n runs (default: 20)
+  --file <name|glob>     Only show these images (repeatable)
+  --flagged              Only show flaky, regressed, fixed or creeping images
+
+Review options (review; also --include, --exclude, --allow-missing, --jobs, --manifest):
+  --port <number>        Port of the local review page (default: any free port)
+  --decisions <path>     Where decisions are saved (default: <baseline>/review-decisions.json)
+
+Render options (render):
+  --sketch <path>        p5.js sketch (global mode, or a module exporting (p) => {...})
+  --frames <number>      Number of draw() frames to run (default: 1)
+  --seed <number>        Seed for random(), noise() and Math.random (default: 0)
+  --frame-rate <number>  Virtual frame rate driving millis() and Date (default: 60)
+
+Exit codes:
+  0  Every comparison passed
+  1  Images differ (or are missing on one side)
+  2  A comparison could not run (unreadable image, missing file, render failure, ...)
+  3  Invalid command-line arguments or config file
 `);
     return;
   }
-  
-  // Parse arguments
-  const config = parseArgs(args);
-  
+
+  // Parse arguments, then fill the gaps from vre.config.js / .vrerc.json
+  let config;
+  try {
+    config = applyConfigFile(parseArgs(args));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  if (config.command === 'render') {
+    await renderSketch(config);
+    return;
+  }
+
+  if (config.command === 'history') {
+    await showHistory(config);
+    return;
+  }
+
   if (!config.baseline || !config.comparison) {
     console.error('Error: Both --baseline and --comparison are required');
-    process.exit(1);
+    process.exit(EXIT_CODES.USAGE);
   }
-  
+
+  try {
+    // Fail early on unknown reporters and option values rather than after a long comparison
+    for (const spec of [config.format, ...config.reporters]) {
+      createReporter(spec);
+    }
+    createEngine(config).validateOptions();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  if (config.watch && (config.command === 'compare' || config.command === 'compare-dir')) {
+    await watch(config);
+    return;
+  }
+
+  if (config.command === 'compare-dir') {
+    await compareDirectories(config);
+    return;
+  }
+
+  if (config.command === 'approve') {
+    await approveBaselines(config);
+    return;
+  }
+
+  if (config.command === 'review') {
+    await review(config);
+    return;
+  }
+
+  if (config.command === 'compare-seq') {
+    await compareSequences(config);
+    return;
+  }
+
+  const engine = createEngine(config);
+  const entry = await compareSingle(config, engine);
+
+  await report(config, [entry], { single: true, threshold: config.options.threshold });
+  if (config.history) {
+    await engine.recordHistory([entry], { historyPath: config.history });
+  }
+  process.exit(exitCodeFor([entry]));
+}
+
+/**
+ * Compare --comparison against --baseline and write the diff images
+ * @returns {Promise<Object>} Result entry with `status`; errors become status 'error'
+ */
+async function compareSingle(config, engine) {
+  const entry = {
+    name: path.basename(config.comparison),
+    baseline: config.baseline,
+    actual: config.comparison
+  };
+
   try {
-    // Import the VisualComparisonEngine
-    const VisualComparisonEngine = require('../src/index.js');
-    
-    // Create engine with options
-    const engine = new VisualComparisonEngine({
-      threshold: config.threshold,
-      // Add other options as needed
-    });
-    
     // Check if files exist
     if (!fs.existsSync(config.baseline)) {
-      throw new Error(`Baseline file not found: ${config.baseline}`);
+      throw new MissingFileError(`Baseline file not found: ${config.baseline}`, config.baseline);
     }
     if (!fs.existsSync(config.comparison)) {
-      throw new Error(`Comparison file not found: ${config.comparison}`);
+      throw new MissingFileError(`Comparison file not found: ${config.comparison}`, config.comparison);
     }
-    
+
     // Read image files as buffers
     const baselineBuffer = fs.readFileSync(config.baseline);
     const comparisonBuffer = fs.readFileSync(config.comparison);
-    
+
     // Perform comparison
-    const result = await engine.compare(baselineBuffer, comparisonBuffer);
-    
-    // Handle output - convert ImageData to PNG buffer
-    let diffImageBuffer = null;
-    if (config.output && result.diffImageData) {
-      diffImageBuffer = imageDataToPngBuffer(result.diffImageData);
-      
-      // Ensure output directory exists
-      const outputDir = path.dirname(config.output);
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
-      }
-      
-      // Save diff image
+    const result = await engine.compare(comparisonBuffer, baselineBuffer, overridesFor(config.overrides, entry.name));
+    Object.assign(entry, result, { status: result.ok ? 'passed' : 'failed' });
+
+    // Save every rendered diff style; extra styles get a .<style>.png suffix
+    if (config.output && result.diffImages) {
       const outputPath = config.output.endsWith('.png') ? config.output : path.join(config.output, 'diff.png');
-      fs.writeFileSync(outputPath, diffImageBuffer);
-      console.log(`Diff image saved to: ${outputPath}`);
-    }
-    
-    // Calculate diff percentage
-    const totalPixels = result.diffImageData ? result.diffImageData.width * result.diffImageData.height : 0;
-    const diffPercent = totalPixels > 0 ? result.diffCount / totalPixels : 0;
-    
-    // Output results
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+      for (const [style, image] of Object.entries(result.diffImages)) {
+        const stylePath = diffStylePath(outputPath, style, result.diffStyle);
+        fs.writeFileSync(stylePath, image);
+        console.error(`Diff image (${style}) saved to: ${stylePath}`);
+      }
+      entry.diffPath = outputPath;
+    }
+  } catch (error) {
+    Object.assign(entry, { status: 'error', ok: false, error: error.message, errorCode: errorCode(error) });
+  }
+
+  return entry;
+}
+
+/**
+ * --watch: compare once, then again whenever the actual (and with
+ * --watch-baseline, the baseline) images change. Directory mode re-runs only
+ * the pairs that changed. Runs until interrupted.
+ */
+async function watch(config) {
+  const engine = createEngine(config);
+  const isDirectory = config.command === 'compare-dir';
+  const results = new Map();
+  const roots = [config.comparison, ...(config.watchBaseline ? [config.baseline] : [])].map(p => path.resolve(p));
+  const outputDir = config.output ? path.resolve(config.output) : null;
+
+  const run = async (files) => {
+    let ran;
+    if (isDirectory) {
+      ({ results: ran } = await engine.compareDirectories(config.baseline, config.comparison, {
+        outputDir: config.output,
+        include: config.include.length > 0 ? config.include : undefined,
+        exclude: config.exclude,
+        allowMissing: config.allowMissing,
+        files
+      }));
+      // Pairs deleted on both sides no longer produce a result
+      (files || [...results.keys()]).forEach(name => results.delete(name));
+    } else {
+      ran = [await compareSingle(config, engine)];
+    }
+
+    ran.forEach(result => results.set(result.name, result));
+    const all = [...results.values()].sort((a, b) => a.name.localeCompare(b.name));
+    printWatchTable(all, ran.length);
+    if (config.reporters.length > 0) {
+      await runReporters(all, config.reporters, { threshold: config.options.threshold });
+    }
+  };
+
+  await run(null);
+
+  watchPaths(roots, changed => {
+    // Ignore our own diff output, e.g. when --output lives inside the watched folder
+    const relevant = changed.filter(file => !outputDir || !file.startsWith(outputDir + path.sep));
+    if (relevant.length === 0) {
+      return null;
+    }
+    if (!isDirectory) {
+      return run(null);
+    }
+
+    const names = relevant.map(file => {
+      const root = roots.find(dir => file.startsWith(dir + path.sep));
+      return root ? path.relative(root, file).split(path.sep).join('/') : null;
+    }).filter(Boolean);
+    return names.length > 0 ? run([...new Set(names)]) : null;
+  }, { debounce: config.debounce });
+
+  console.error(`Watching ${roots.join(', ')} (Ctrl+C to stop)`);
+}
+
+function printWatchTable(results, ranCount) {
+  const count = status => results.filter(result => result.status === status).length;
+  const time = new Date().toTimeString().slice(0, 8);
+  const lines = results.map(result => {
+    const pixels = result.diffCount !== undefined ? `${result.diffCount} px` : '';
+    const duration = result.duration !== undefined ? `${result.duration} ms` : '';
+    const detail = result.error || `${pixels.padStart(10)} ${duration.padStart(8)}`;
+    return `  ${result.status.toUpperCase().padEnd(16)} ${result.name}  ${detail}`;
+  });
+
+  // Redraw in place on a terminal; append when piped so the log stays readable
+  if (process.stdout.isTTY) {
+    process.stdout.write('\x1b[2J\x1b[H');
+  }
+  console.log(`[${time}] ${count('passed')} passed, ${count('failed')} failed, ` +
+    `${results.length - count('passed') - count('failed')} other (re-ran ${ranCount})`);
+  console.log(lines.join('\n'));
+}
+
+async function compareDirectories(config) {
+  try {
+    const engine = createEngine(config);
+
+    const { results, summary } = await engine.compareDirectories(config.baseline, config.comparison, {
+      outputDir: config.output,
+      include: config.include.length > 0 ? config.include : undefined,
+      exclude: config.exclude,
+      allowMissing: config.allowMissing,
+      historyPath: config.history
+    });
+
+    await report(config, results, { summary, threshold: config.options.threshold });
+    process.exit(exitCodeFor(results, summary));
+  } catch (error) {
+    await reportError(config, error);
+  }
+}
+
+async function compareSequences(config) {
+  try {
+    const engine = createEngine(config);
+
+    const { results, summary } = await engine.compareSequences(config.comparison, config.baseline, {
+      outputDir: config.output
+    });
+
+    await report(config, results, { summary, threshold: config.options.threshold });
+    process.exit(exitCodeFor(results, summary));
+  } catch (error) {
+    await reportError(config, error);
+  }
+}
+
+/**
+ * Report an error that stopped a whole run as a single errored entry, then exit
+ */
+async function reportError(config, error) {
+  const entry = {
+    name: config.comparison,
+    status: 'error',
+    ok: false,
+    error: error.message,
+    errorCode: errorCode(error),
+    baseline: config.baseline,
+    actual: config.comparison
+  };
+  await report(config, [entry], { single: true, threshold: config.options.threshold });
+  process.exit(EXIT_CODES.ERROR);
+}
+
+/**
+ * ERROR when any comparison errored, FAILED when the run didn't pass, else PASSED
+ * @param {Object} [summary] - Its `ok` (which honours --allow-missing) decides pass/fail
+ */
+function exitCodeFor(results, summary = null) {
+  if (results.some(result => result.status === 'error')) {
+    return EXIT_CODES.ERROR;
+  }
+  const ok = summary ? summary.ok : results.every(result => result.ok);
+  return ok ? EXIT_CODES.PASSED : EXIT_CODES.FAILED;
+}
+
+async function renderSketch(config) {
+  if (!config.sketch || !config.output) {
+    console.error('Error: Both --sketch and --output are required');
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  try {
+    const engine = createEngine(config);
+
+    const result = await engine.renderSketch(config.sketch, {
+      output: config.output,
+      frames: config.frames,
+      seed: config.seed,
+      frameRate: config.frameRate
+    });
+
     if (config.format === 'json') {
-      const output = {
-        passed: result.ok || false,
-        difference: diffPercent,
-        diffCount: result.diffCount || 0,
-        threshold: config.threshold,
-        baseline: config.baseline,
-        comparison: config.comparison,
-        output: config.output,
-        details: result.details || {}
-      };
-      console.log(JSON.stringify(output, null, 2));
+      const { buffer, ...output } = result;
+      console.log(JSON.stringify({ sketch: config.sketch, bytes: buffer.length, ...output }, null, 2));
     } else {
-      console.log(`Comparison ${result.ok ? 'PASSED' : 'FAILED'}`);
-      console.log(`Difference: ${(diffPercent * 100).toFixed(2)}%`);
-      console.log(`Diff pixels: ${result.diffCount || 0}`);
-      if (result.details && result.details.significantDiffPixels !== undefined) {
-        console.log(`Significant diff pixels: ${result.details.significantDiffPixels}`);
-        console.log(`Clusters found: ${result.details.clusters ? result.details.clusters.length : 0}`);
+      console.log(`Rendered ${config.sketch} (${result.width}x${result.height}, ${result.frames} frames) to ${result.output}`);
+    }
+  } catch (error) {
+    if (config.format === 'json') {
+      console.log(JSON.stringify({ error: error.message, errorCode: errorCode(error), sketch: config.sketch }, null, 2));
+    } else {
+      console.error(`Error: ${error.message}`);
+    }
+    process.exit(EXIT_CODES.ERROR);
+  }
+}
+
+async function approveBaselines(config) {
+  try {
+    const engine = createEngine(config);
+
+    const result = await engine.approveBaselines(config.baseline, config.comparison, {
+      files: config.files,
+      include: config.include.length > 0 ? config.include : undefined,
+      exclude: config.exclude,
+      dryRun: config.dryRun,
+      prune: config.prune,
+      manifestPath: config.manifest
+    });
+
+    if (config.format === 'json') {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      const prefix = result.dryRun ? 'Would ' : '';
+      for (const { name, status } of result.approved) {
+        console.log(`${prefix}${result.dryRun ? 'approve' : 'Approved'} ${name} (${status})`);
+      }
+      for (const { name } of result.pruned) {
+        console.log(`${prefix}${result.dryRun ? 'prune' : 'Pruned'} ${name}`);
+      }
+      console.log(`${result.approved.length} approved, ${result.pruned.length} pruned${result.dryRun ? ' (dry run)' : ''}`);
+      if (!result.dryRun) {
+        console.log(`Manifest: ${result.manifestPath}`);
       }
     }
-    
-    process.exit(result.ok ? 0 : 1);
   } catch (error) {
-    const output = {
-      error: error.message,
-      baseline: config.baseline,
-      comparison: config.comparison
-    };
-    
     if (config.format === 'json') {
-      console.log(JSON.stringify(output, null, 2));
+      console.log(JSON.stringify({
+        error: error.message,
+        errorCode: errorCode(error),
+        baseline: config.baseline,
+        comparison: config.comparison
+      }, null, 2));
     } else {
       console.error(`Error: ${error.message}`);
     }
-    process.exit(1);
+    process.exit(EXIT_CODES.ERROR);
+  }
+}
+
+/**
+ * Serve the failing pairs on a local page until interrupted
+ */
+async function review(config) {
+  let server;
+  try {
+    console.error(`Comparing ${config.comparison} against ${config.baseline}...`);
+    server = await createEngine(config).review(config.baseline, config.comparison, {
+      include: config.include.length > 0 ? config.include : undefined,
+      exclude: config.exclude,
+      allowMissing: config.allowMissing,
+      manifestPath: config.manifest,
+      decisionsPath: config.decisions,
+      port: config.port
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(EXIT_CODES.ERROR);
+  }
+
+  console.log(`Reviewing ${server.results.size} change(s) at ${server.url} (Ctrl+C to stop)`);
+  console.log(`Decisions are saved to ${server.decisionsPath}`);
+  process.on('SIGINT', () => server.close().then(() => process.exit(EXIT_CODES.PASSED)));
+}
+
+/**
+ * Print per-image trends from the history file, flagged images first
+ */
+async function showHistory(config) {
+  if (!config.history) {
+    console.error('Error: history needs --history <file> or historyPath in the config file');
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  try {
+    const analysis = await createEngine(config).analyzeHistory({
+      historyPath: config.history,
+      window: config.runs,
+      files: config.files
+    });
+    const images = config.flagged ? analysis.images.filter(image => image.flags.length > 0) : analysis.images;
+
+    if (config.format === 'json') {
+      console.log(JSON.stringify({ ...analysis, images }, null, 2));
+      return;
+    }
+
+    if (analysis.runs === 0) {
+      console.log(`No runs recorded in ${analysis.historyPath}`);
+      return;
+    }
+    console.log(`${analysis.runs} runs from ${analysis.from} to ${analysis.to} (${analysis.historyPath})`);
+    console.log('');
+    for (const image of images) {
+      const verdicts = image.verdicts.map(verdict => VERDICT_MARKS[verdict] || '?').join('');
+      const { measure, limit, strategy } = image.latest;
+      const unit = strategy === 'diff-percent' ? '%' : PIXEL_MEASURE_STRATEGIES.includes(strategy) ? ' px' : '';
+      const amount = measure !== null && measure !== undefined && limit !== null ? `${measure}/${limit}${unit}` : '';
+      console.log(`  ${(image.flags.join(',') || 'stable').padEnd(18)} ${verdicts.padEnd(analysis.runs)}  ${amount.padStart(12)}  ${image.name}`);
+    }
+    console.log('');
+    console.log(`${images.filter(image => image.flags.length > 0).length} of ${images.length} images flagged. ` +
+      `Verdicts oldest first: ${Object.entries(VERDICT_MARKS).map(([verdict, mark]) => `${mark} ${verdict}`).join(', ')}`);
+    const unchecked = images.filter(image => !image.creepChecked).length;
+    if (unchecked > 0) {
+      console.log(`Not checked for creeping: ${unchecked} image(s) whose significance strategy reports no limit`);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(EXIT_CODES.ERROR);
+  }
+}
+
+function createEngine(config) {
+  const VisualComparisonEngine = require('../src/index.js');
+
+  return new VisualComparisonEngine({ ...config.options, overrides: config.overrides });
+}
+
+/**
+ * Merge the config file under the command-line arguments: flags win, then
+ * the config file, then the CLI defaults
+ */
+function applyConfigFile(config) {
+  const fileConfig = config.noConfig
+    ? { options: {}, overrides: [] }
+    : loadConfig(config.configPath);
+  const isDirectoryCommand = ['compare-dir', 'approve', 'review'].includes(config.command);
+
+  if (isDirectoryCommand) {
+    config.baseline = config.baseline || fileConfig.baselineDir;
+    config.comparison = config.comparison || fileConfig.actualDir;
+    config.output = config.output || fileConfig.outputDir;
+  }
+  if (config.include.length === 0 && fileConfig.include) {
+    config.include = fileConfig.include;
+  }
+  if (config.exclude.length === 0 && fileConfig.exclude) {
+    config.exclude = fileConfig.exclude;
+  }
+  // Any --reporter or --report replaces the config file's reporters rather than adding to them
+  if (config.reporters.length === 0 && fileConfig.reporters) {
+    config.reporters = fileConfig.reporters;
+  }
+
+  config.allowMissing = config.allowMissing || Boolean(fileConfig.allowMissing);
+  config.manifest = config.manifest || fileConfig.manifestPath;
+  config.history = config.history || fileConfig.historyPath;
+  config.format = config.format || fileConfig.format || 'json';
+  config.options = { threshold: 0.1, ...fileConfig.options, ...config.options };
+  config.overrides = fileConfig.overrides;
+
+  return config;
+}
+
+/**
+ * Print results with the `--format` reporter and write every `--reporter` file
+ */
+async function report(config, results, context) {
+  await runReporters(results, [config.format], context);
+
+  const written = await runReporters(results, config.reporters, context);
+  for (const { name, outputFile } of written.filter(reporter => reporter.outputFile)) {
+    // Keep stdout clean for JSON consumers
+    console.error(`${name} report written to: ${outputFile}`);
   }
 }
 
 function parseArgs(args) {
-  const config = { 
-    threshold: 0.1,
-    format: 'json'
+  const config = {
+    command: 'compare',
+    options: {},
+    include: [],
+    exclude: [],
+    allowMissing: false,
+    reporters: [],
+    files: [],
+    dryRun: false,
+    prune: false
+  };
+
+  let i;
+  // A flag's value; a missing one (e.g. `--baseline --comparison b.png`) is an error
+  const nextValue = () => {
+    const flag = args[i];
+    const value = args[++i];
+    if (value === undefined || value.startsWith('--')) {
+      throw new ValidationError(`${flag} needs a value`);
+    }
+    return value;
+  };
+  const nextNumber = (limits) => {
+    const flag = args[i];
+    return parseNumber(flag, nextValue(), limits);
   };
-  
-  for (let i = 0; i < args.length; i++) {
+
+  for (i = 0; i < args.length; i++) {
     switch (args[i]) {
-      case 'compare':
-        // Skip the command name
-        break;
-      case '--baseline':
-        config.baseline = args[++i];
-        break;
-      case '--comparison':
-        config.comparison = args[++i];
-        break;
-      case '--output':
-        config.output = args[++i];
-        break;
-      case '--threshold':
-        config.threshold = parseFloat(args[++i]);
-        break;
-      case '--format':
-        config.format = args[++i];
-        break;
-    }
-  }
-  
+    case 'compare':
+    case 'compare-dir':
+    case 'compare-seq':
+    case 'approve':
+    case 'render':
+    case 'history':
+    case 'review':
+      config.command = args[i];
+      break;
+    case 'update':
+      config.command = 'approve';
+      break;
+    case '--file':
+      config.files.push(nextValue());
+      break;
+    case '--sketch':
+      config.sketch = nextValue();
+      break;
+    case '--frames':
+      config.frames = nextNumber({ integer: true, min: 1 });
+      break;
+    case '--seed':
+      config.seed = nextNumber({ integer: true });
+      break;
+    case '--frame-rate':
+      config.frameRate = nextNumber({ min: 1 });
+      break;
+    case '--dry-run':
+      config.dryRun = true;
+      break;
+    case '--prune':
+      config.prune = true;
+      break;
+    case '--manifest':
+      config.manifest = nextValue();
+      break;
+    case '--history':
+      config.history = nextValue();
+      break;
+    case '--runs':
+      config.runs = nextNumber({ integer: true, min: 1 });
+      break;
+    case '--flagged':
+      config.flagged = true;
+      break;
+    case '--port':
+      config.port = nextNumber({ integer: true, min: 0, max: 65535 });
+      break;
+    case '--decisions':
+      config.decisions = nextValue();
+      break;
+    case '--include':
+      config.include.push(nextValue());
+      break;
+    case '--exclude':
+      config.exclude.push(nextValue());
+      break;
+    case '--reporter':
+      config.reporters.push(nextValue());
+      break;
+    case '--report':
+      config.report = nextValue();
+      break;
+    case '--report-file':
+      config.reportFile = nextValue();
+      break;
+    case '--allow-missing':
+      config.allowMissing = true;
+      break;
+    case '--fail-fast':
+      config.options.failFast = true;
+      break;
+    case '--baseline':
+      config.baseline = nextValue();
+      break;
+    case '--comparison':
+      config.comparison = nextValue();
+      break;
+    case '--output':
+      config.output = nextValue();
+      break;
+    case '--threshold':
+      config.options.threshold = nextNumber({ min: 0, max: 1 });
+      break;
+    case '--metric':
+      config.options.metric = nextValue();
+      break;
+    case '--diff-style':
+      config.options.diffStyle = nextValue().split(',').map(style => style.trim()).filter(Boolean);
+      break;
+    case '--align':
+      config.options.align = true;
+      break;
+    case '--align-radius':
+      config.options.alignSearchRadius = nextNumber({ integer: true, min: 1 });
+      break;
+    case '--max-offset':
+      config.options.maxAlignOffset = nextNumber({ min: 0 });
+      break;
+    case '--max-side':
+      config.options.maxSide = nextNumber({ integer: true, min: 1 });
+      break;
+    case '--min-cluster-size':
+      config.options.minClusterSize = nextNumber({ integer: true, min: 1 });
+      break;
+    case '--max-diff-pixels':
+      config.options.maxTotalDiffPixels = nextNumber({ integer: true, min: 0 });
+      break;
+    case '--max-clusters':
+      config.options.maxSignificantClusters = nextNumber({ integer: true, min: 0 });
+      break;
+    case '--significance':
+      config.options.significance = nextValue();
+      break;
+    case '--max-diff-percent':
+      config.options.maxDiffPercent = nextNumber({ min: 0 });
+      break;
+    case '--max-cluster-size':
+      config.options.maxClusterSize = nextNumber({ integer: true, min: 0 });
+      break;
+    case '--preprocess':
+      config.options.preprocess = nextValue();
+      break;
+    case '--line-shift-threshold':
+      config.options.lineShiftThreshold = nextNumber({ min: 0, max: 1 });
+      break;
+    case '--connectivity':
+      config.options.clusterConnectivity = nextNumber({ integer: true });
+      break;
+    case '--resize':
+      config.options.resize = nextValue();
+      break;
+    case '--resampling':
+      config.options.resampling = nextValue();
+      break;
+    case '--tile-size':
+      config.options.tileSize = nextNumber({ integer: true, min: 1 });
+      break;
+    case '--watch':
+      config.watch = true;
+      break;
+    case '--watch-baseline':
+      config.watchBaseline = true;
+      break;
+    case '--debounce':
+      config.debounce = nextNumber({ integer: true, min: 0 });
+      break;
+    case '--temporal-offset':
+      config.options.temporalOffset = nextNumber({ integer: true, min: 0 });
+      break;
+    case '--size-policy':
+      config.options.sizePolicy = nextValue();
+      break;
+    case '--alpha':
+      config.options.alpha = nextNumber({ min: 0, max: 1 });
+      break;
+    case '--include-aa':
+      config.options.includeAA = true;
+      break;
+    case '--jobs':
+    case '-j': {
+      const flag = args[i];
+      const jobs = nextValue();
+      config.options.concurrency = jobs === 'auto' ? 'auto' : parseNumber(flag, jobs, { integer: true, min: 1 });
+      break;
+    }
+    case '--config':
+      config.configPath = nextValue();
+      break;
+    case '--no-config':
+      config.noConfig = true;
+      break;
+    case '--format':
+      config.format = nextValue();
+      break;
+    default:
+      throw new ValidationError(`Unknown ${args[i].startsWith('-') ? 'option' : 'argument'}: ${args[i]}. See --help`);
+    }
+  }
+
+  if (config.report) {
+    config.reporters.push({ name: config.report, outputFile: config.reportFile || defaultOutputFile(config.report) });
+  }
+
   return config;
 }
 
-function imageDataToPngBuffer(imageData) {
-  // Create a canvas with the same dimensions
-  const canvas = createCanvas(imageData.width, imageData.height);
-  const ctx = canvas.getContext('2d');
-  
-  // Put the image data onto the canvas
-  ctx.putImageData(imageData, 0, 0);
-  
-  // Convert to PNG buffer
-  return canvas.toBuffer('image/png');
+/**
+ * A numeric flag value; `limits` are `integer`, `min` and `max`
+ * @throws {ValidationError} On anything that isn't such a number (no NaN slips through)
+ */
+function parseNumber(flag, value, { integer = false, min = -Infinity, max = Infinity } = {}) {
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isFinite(number) || (integer && !Number.isInteger(number)) ||
+    number < min || number > max) {
+    const range = [min > -Infinity ? `>= ${min}` : '', max < Infinity ? `<= ${max}` : ''].filter(Boolean).join(' and ');
+    throw new ValidationError(`${flag} expects ${integer ? 'an integer' : 'a number'}${range ? ` ${range}` : ''}, got ${value}`);
+  }
+  return number;
 }
 
-main().catch(console.error);
\ No newline at end of file
+main().catch(error => {
+  console.error(error);
+  process.exitCode = EXIT_CODES.ERROR;
+});
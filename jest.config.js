@@ -11,6 +11,5 @@ module.exports = {
     '**/test/**/*.spec.js',
     '**/__tests__/**/*.js'
   ],
-  verbose: true,
-  setupFilesAfterEnv: ['<rootDir>/test/setup.js']
+  verbose: true
 };
\ No newline at end of file
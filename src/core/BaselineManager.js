@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { toPosixPath } = require('../utils/glob');
+const { ValidationError } = require('../utils/errors');
+
+const MANIFEST_FILENAME = 'baseline-manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Comparison options worth recording alongside an approval
+const RECORDED_OPTIONS = [
+  'threshold',
+  'includeAA',
+  'alpha',
+  'maxSide',
+  'resize',
+  'resampling',
+  'tileSize',
+  'backgroundColor',
+  'minClusterSize',
+  'maxTotalDiffPixels',
+  'maxSignificantClusters',
+  'significance',
+  'maxDiffPercent',
+  'maxClusterSize',
+  'preprocess',
+  'lineShiftThreshold',
+  'clusterConnectivity',
+  'categoryTolerances',
+  'sizePolicy',
+  'metric',
+  'ssimThreshold',
+  'ssimWindowSize',
+  'deltaEThreshold',
+  'align',
+  'alignSearchRadius',
+  'maxAlignOffset',
+  'ignoreRegions'
+];
+
+// Approved by default; errored pairs only when named exactly
+const APPROVABLE_STATUSES = new Set(['failed', 'missing-baseline']);
+
+class BaselineManager {
+  constructor(directoryComparator, options = {}) {
+    this.directoryComparator = directoryComparator;
+    this.options = options;
+  }
+
+  /**
+   * Promote actual images to baselines and record them in the manifest
+   * @param {string} baselineDir
+   * @param {string} actualDir
+   * @param {Object} options - `files` (names or globs; default: every failing
+   *   or new image), `dryRun`, `prune` and `manifestPath`. Images that could
+   *   not be compared are only approved when a `files` entry is their exact name.
+   */
+  async approve(baselineDir, actualDir, options = {}) {
+    const mergedOptions = { ...this.options, ...options };
+    const chosen = mergedOptions.files && mergedOptions.files.length > 0 ? mergedOptions.files : null;
+
+    const results = await this._compare(baselineDir, actualDir, {
+      ...mergedOptions,
+      include: chosen || mergedOptions.include
+    });
+
+    const candidates = results.filter(result => {
+      if (result.status === 'missing-actual') {
+        return false;
+      }
+      if (result.status === 'error') {
+        return Boolean(chosen) && chosen.includes(result.name);
+      }
+      return Boolean(chosen) || APPROVABLE_STATUSES.has(result.status);
+    });
+
+    if (chosen && candidates.length === 0) {
+      throw new ValidationError(`No actual images match: ${chosen.join(', ')}`);
+    }
+
+    return this._promote(baselineDir, actualDir, candidates, mergedOptions);
+  }
+
+  /**
+   * Approve exactly these images: `names` are relative paths, not globs, and
+   * are never matched by basename. Errored pairs are approved too.
+   * @param {string[]} names - e.g. `['mobile/typography.png']`
+   * @param {Object} options - `dryRun`, `prune` and `manifestPath`
+   */
+  async approveNames(baselineDir, actualDir, names, options = {}) {
+    const mergedOptions = { ...this.options, ...options };
+    const results = await this._compare(baselineDir, actualDir, {
+      ...mergedOptions,
+      // Named files are approved whatever the include/exclude globs say
+      include: ['**'],
+      exclude: [],
+      files: null,
+      names
+    });
+
+    const candidates = results.filter(result => result.status !== 'missing-actual');
+    const unknown = names.filter(name => !candidates.some(result => result.name === name));
+    if (unknown.length > 0) {
+      throw new ValidationError(`No actual image named: ${unknown.join(', ')}`);
+    }
+
+    return this._promote(baselineDir, actualDir, candidates, mergedOptions);
+  }
+
+  async _compare(baselineDir, actualDir, options) {
+    const { results } = await this.directoryComparator.compare(baselineDir, actualDir, {
+      ...options,
+      outputDir: null,
+      allowMissing: true,
+      // Every candidate needs a result, whatever the run's failFast setting
+      failFast: false
+    });
+    return results;
+  }
+
+  async _promote(baselineDir, actualDir, candidates, mergedOptions) {
+    const manifestPath = this._manifestPath(baselineDir, mergedOptions);
+    const manifest = await this.readManifest(manifestPath);
+    const approvedAt = new Date().toISOString();
+    const recordedOptions = this._recordedOptions(mergedOptions);
+    const approved = [];
+
+    for (const result of candidates) {
+      const source = path.join(actualDir, result.name);
+      const target = path.join(baselineDir, result.name);
+      const content = await fs.readFile(source);
+      const sha256 = this._hash(content);
+      const previousSha256 = result.status === 'missing-baseline' ? null : this._hash(await fs.readFile(target));
+
+      if (!mergedOptions.dryRun) {
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, content);
+      }
+
+      manifest.baselines[result.name] = {
+        sha256,
+        previousSha256,
+        approvedAt,
+        source: toPosixPath(path.relative(path.dirname(manifestPath), source)),
+        status: result.status,
+        options: recordedOptions
+      };
+      approved.push({ name: result.name, status: result.status, source, target, sha256 });
+    }
+
+    const pruned = mergedOptions.prune
+      ? await this._prune(baselineDir, actualDir, manifest, mergedOptions)
+      : [];
+
+    if (!mergedOptions.dryRun && (approved.length > 0 || pruned.length > 0)) {
+      await this.writeManifest(manifestPath, manifest);
+    }
+
+    return { dryRun: Boolean(mergedOptions.dryRun), manifestPath, approved, pruned };
+  }
+
+  /**
+   * Remove baselines that have no matching actual image any more
+   */
+  async prune(baselineDir, actualDir, options = {}) {
+    const mergedOptions = { ...this.options, ...options };
+    const manifestPath = this._manifestPath(baselineDir, mergedOptions);
+    const manifest = await this.readManifest(manifestPath);
+    const pruned = await this._prune(baselineDir, actualDir, manifest, mergedOptions);
+
+    if (!mergedOptions.dryRun && pruned.length > 0) {
+      await this.writeManifest(manifestPath, manifest);
+    }
+
+    return { dryRun: Boolean(mergedOptions.dryRun), manifestPath, approved: [], pruned };
+  }
+
+  async readManifest(manifestPath) {
+    let contents;
+    try {
+      contents = await fs.readFile(manifestPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { version: MANIFEST_VERSION, baselines: {} };
+      }
+      throw error;
+    }
+
+    try {
+      const manifest = JSON.parse(contents);
+      return { version: MANIFEST_VERSION, ...manifest, baselines: manifest.baselines || {} };
+    } catch (error) {
+      throw new ValidationError(`Invalid baseline manifest ${manifestPath}: ${error.message}`);
+    }
+  }
+
+  async writeManifest(manifestPath, manifest) {
+    const sorted = {};
+    for (const name of Object.keys(manifest.baselines).sort()) {
+      sorted[name] = manifest.baselines[name];
+    }
+
+    await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+    await fs.writeFile(manifestPath, `${JSON.stringify({ ...manifest, baselines: sorted }, null, 2)}\n`);
+  }
+
+  async _prune(baselineDir, actualDir, manifest, options) {
+    const include = options.include;
+    const exclude = options.exclude;
+    const baselineFiles = await this.directoryComparator.listFiles(baselineDir, include, exclude);
+    const actualFiles = await this.directoryComparator.listFiles(actualDir, include, exclude);
+    const pruned = [];
+
+    for (const name of [...baselineFiles].sort()) {
+      if (actualFiles.has(name)) {
+        continue;
+      }
+
+      const target = path.join(baselineDir, name);
+      if (!options.dryRun) {
+        await fs.unlink(target);
+      }
+      delete manifest.baselines[name];
+      pruned.push({ name, target });
+    }
+
+    return pruned;
+  }
+
+  _manifestPath(baselineDir, options) {
+    return options.manifestPath || path.join(baselineDir, MANIFEST_FILENAME);
+  }
+
+  _recordedOptions(options) {
+    const recorded = {};
+    for (const key of RECORDED_OPTIONS) {
+      if (options[key] !== undefined) {
+        recorded[key] = options[key];
+      }
+    }
+    return recorded;
+  }
+
+  _hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+}
+
+module.exports = BaselineManager;
@@ -1,25 +1,138 @@
+const ClusterClassifier = require('./ClusterClassifier');
+const { ValidationError } = require('../utils/errors');
+
+// Neighbour offsets as [dx, dy], in the order the labeler visits them
+const NEIGHBORS_8 = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+const NEIGHBORS_4 = [[0, -1], [-1, 0], [1, 0], [0, 1]];
+
 class ClusterAnalyzer {
   constructor(options = {}) {
     this.options = options;
+    this.classifier = new ClusterClassifier(options);
   }
 
-  analyzeClusters(diffBuffer, width, height, options) {
-    const visited = new Set();
+  /**
+   * Group differing pixels into connected clusters
+   * @param {Uint8Array} diffMask - Non-zero for every differing pixel
+   * @param {number} width
+   * @param {number} height
+   * @param {Object} options - `minClusterSize`, `lineShiftThreshold` and
+   *   `clusterConnectivity` (4 or 8, default 8)
+   * @param {{actualData, expectedData}} [images] - Compared pixels, used to
+   *   give each cluster a `category`, `confidence` and `reason`
+   */
+  analyzeClusters(diffMask, width, height, options, images = null) {
+    const mergedOptions = { ...this.options, ...options };
+    const neighbors = this._neighbors(mergedOptions.clusterConnectivity);
+    const labels = new Int32Array(width * height);
+    // Every pixel enters the queue at most once, so one shared buffer suffices
+    const queue = new Int32Array(width * height);
     const clusters = [];
 
-    // Find all clusters using BFS
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const pos = (y * width + x) * 4;
+    for (let i = 0; i < diffMask.length; i++) {
+      if (diffMask[i] && labels[i] === 0) {
+        const label = clusters.length + 1;
+        const cluster = this._labelCluster(diffMask, labels, queue, i, label, width, height, neighbors, mergedOptions);
+        Object.assign(cluster, this.classifier.classify(cluster, diffMask, images, width, height));
+        clusters.push(cluster);
+      }
+    }
+
+    return this._summarize(clusters, mergedOptions);
+  }
+
+  /**
+   * `analyzeClusters` for images too large to label in one pass. Pixels are
+   * labelled a tile at a time and clusters that cross tile edges are joined
+   * with a union-find, so only one tile of labels is held at once. Clusters
+   * come out in the same order and with the same sizes, bounds, line-shift
+   * shares and categories as from `analyzeClusters`, but without `pixels`.
+   * @param {Uint8Array} diffMask
+   * @param {number} width
+   * @param {number} height
+   * @param {Object} options - As for `analyzeClusters`, plus `tileSize`
+   * @param {Function} [readImages] - `(x, y, width, height) => ({actualData, expectedData})`
+   *   for a rectangle of the compared images; each cluster is classified from
+   *   its bounding box (plus a one-pixel ring) only
+   */
+  analyzeTiles(diffMask, width, height, options, readImages = null) {
+    const mergedOptions = { ...this.options, ...options };
+    const neighbors = this._neighbors(mergedOptions.clusterConnectivity);
+    const tileSize = mergedOptions.tileSize;
+    const components = new Components();
+
+    // Provisional cluster ids (0 = none) for the current tile, the column left of it and the row above it
+    const labels = new Int32Array(tileSize * tileSize);
+    const leftColumn = new Int32Array(tileSize);
+    let aboveRow = new Int32Array(width);
+    let nextAboveRow = new Int32Array(width);
+
+    for (let y0 = 0; y0 < height; y0 += tileSize) {
+      const y1 = Math.min(height, y0 + tileSize);
+
+      for (let x0 = 0; x0 < width; x0 += tileSize) {
+        const x1 = Math.min(width, x0 + tileSize);
+        const tileWidth = x1 - x0;
+        labels.fill(0);
+
+        for (let y = y0; y < y1; y++) {
+          for (let x = x0; x < x1; x++) {
+            if (!diffMask[y * width + x]) continue;
+
+            // Join every neighbour that was labelled before this pixel, in this tile or an earlier one
+            let label = 0;
+            for (const [dx, dy] of neighbors) {
+              const nx = x + dx;
+              const ny = y + dy;
+              if (nx < 0 || nx >= width || ny < 0 || ny >= height || !diffMask[ny * width + nx]) continue;
+
+              let neighbor;
+              if (ny < y0) {
+                neighbor = aboveRow[nx];
+              } else if (nx < x0 && ny < y1) {
+                neighbor = leftColumn[ny - y0];
+              } else if (nx < x1 && ny < y1 && (ny < y || (ny === y && nx < x))) {
+                neighbor = labels[(ny - y0) * tileWidth + nx - x0];
+              } else {
+                continue;
+              }
+              label = label ? components.union(label, neighbor) : components.find(neighbor);
+            }
+
+            label = label || components.add();
+            components.addPixel(label, x, y, y * width + x, this._isLineLike(diffMask, x, y, width, height));
+            labels[(y - y0) * tileWidth + x - x0] = label;
+          }
+        }
 
-        // Check if this is a diff pixel (red from pixelmatch) and not visited
-        if (this._isDiffPixel(diffBuffer, pos) && !visited.has(pos)) {
-          const cluster = this._findCluster(diffBuffer, x, y, width, height, visited);
-          clusters.push(cluster);
+        for (let y = y0; y < y1; y++) {
+          leftColumn[y - y0] = labels[(y - y0) * tileWidth + tileWidth - 1];
         }
+        nextAboveRow.set(labels.subarray((y1 - y0 - 1) * tileWidth, (y1 - y0) * tileWidth), x0);
       }
+
+      [aboveRow, nextAboveRow] = [nextAboveRow, aboveRow];
     }
 
+    const clusters = components.roots()
+      .sort((a, b) => a.first - b.first)
+      .map(({ first, size, minX, minY, maxX, maxY, lineLike }) => {
+        const lineShiftShare = lineLike / size;
+        const cluster = {
+          size,
+          isLineShift: lineShiftShare > mergedOptions.lineShiftThreshold,
+          lineShiftShare,
+          bounds: { minX, minY, maxX, maxY, width: maxX - minX + 1, height: maxY - minY + 1 }
+        };
+        return Object.assign(cluster, readImages
+          ? this._classifyRegion(cluster, first, diffMask, width, height, neighbors, readImages)
+          : this.classifier.classify(cluster, diffMask, null, width, height));
+      });
+
+    return this._summarize(clusters, mergedOptions);
+  }
+
+  _summarize(clusters, options) {
     // Analyze cluster significance
     const significantClusters = clusters.filter(
       cluster => !cluster.isLineShift && cluster.size >= options.minClusterSize
@@ -31,109 +144,244 @@ class ClusterAnalyzer {
       clusters,
       significantClusters: significantClusters.length,
       significantPixels,
-      totalClusters: clusters.length
+      totalClusters: clusters.length,
+      categories: this._summarizeCategories(clusters)
     };
   }
 
-  _isDiffPixel(buffer, pos) {
-    return buffer[pos] === 255 && buffer[pos + 1] === 0 && buffer[pos + 2] === 0;
+  /**
+   * Classify one cluster from its bounding box plus a one-pixel ring, which
+   * is everything ClusterClassifier looks at
+   */
+  _classifyRegion(cluster, first, diffMask, width, height, neighbors, readImages) {
+    const { minX, minY, maxX, maxY } = cluster.bounds;
+    const x0 = Math.max(0, minX - 1);
+    const y0 = Math.max(0, minY - 1);
+    const cropWidth = Math.min(width - 1, maxX + 1) - x0 + 1;
+    const cropHeight = Math.min(height - 1, maxY + 1) - y0 + 1;
+
+    const cropMask = new Uint8Array(cropWidth * cropHeight);
+    for (let y = 0; y < cropHeight; y++) {
+      const start = (y0 + y) * width + x0;
+      cropMask.set(diffMask.subarray(start, start + cropWidth), y * cropWidth);
+    }
+
+    const firstX = first % width;
+    const firstY = (first - firstX) / width;
+    const members = this._floodFill(cropMask, (firstY - y0) * cropWidth + firstX - x0, cropWidth, cropHeight, neighbors);
+    const local = {
+      ...cluster,
+      bounds: { ...cluster.bounds, minX: minX - x0, minY: minY - y0, maxX: maxX - x0, maxY: maxY - y0 },
+      pixels: memberPixels(members, cropWidth, cluster.size)
+    };
+
+    return this.classifier.classify(local, cropMask, readImages(x0, y0, cropWidth, cropHeight), cropWidth, cropHeight);
   }
 
-  _findCluster(buffer, startX, startY, width, height, visited) {
-    const queue = [{ x: startX, y: startY }];
-    const clusterPixels = [];
-    let size = 0;
+  // 1 for every pixel connected to `start`
+  _floodFill(diffMask, start, width, height, neighbors) {
+    const members = new Uint8Array(width * height);
+    const queue = [start];
+    members[start] = 1;
 
     while (queue.length > 0) {
-      const { x, y } = queue.shift();
-      const pos = (y * width + x) * 4;
+      const index = queue.pop();
+      const x = index % width;
+      const y = (index - x) / width;
 
-      if (visited.has(pos) || !this._isDiffPixel(buffer, pos)) {
-        continue;
+      for (const [dx, dy] of neighbors) {
+        const nx = x + dx;
+        const ny = y + dy;
+        const neighbor = ny * width + nx;
+        if (nx >= 0 && nx < width && ny >= 0 && ny < height && diffMask[neighbor] && !members[neighbor]) {
+          members[neighbor] = 1;
+          queue.push(neighbor);
+        }
       }
+    }
 
-      visited.add(pos);
-      size++;
-      clusterPixels.push({ x, y });
+    return members;
+  }
 
-      // Add 8-connected neighbors
-      for (let dy = -1; dy <= 1; dy++) {
-        for (let dx = -1; dx <= 1; dx++) {
-          if (dx === 0 && dy === 0) continue;
+  /**
+   * Cluster and pixel counts per category, e.g. `{ added: { clusters: 1, pixels: 40 } }`
+   */
+  _summarizeCategories(clusters) {
+    const categories = {};
+    for (const { category, size } of clusters) {
+      const entry = categories[category] || (categories[category] = { clusters: 0, pixels: 0 });
+      entry.clusters++;
+      entry.pixels += size;
+    }
+    return categories;
+  }
 
-          const nx = x + dx;
-          const ny = y + dy;
+  _neighbors(connectivity = 8) {
+    if (connectivity === 8) return NEIGHBORS_8;
+    if (connectivity === 4) return NEIGHBORS_4;
+    throw new ValidationError(`clusterConnectivity must be 4 or 8, got ${connectivity}`);
+  }
 
-          if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-            const npos = (ny * width + nx) * 4;
-            if (!visited.has(npos)) {
-              queue.push({ x: nx, y: ny });
-            }
+  /**
+   * Breadth-first flood fill from `start`, labelling pixels as they are queued
+   */
+  _labelCluster(diffMask, labels, queue, start, label, width, height, neighbors, options) {
+    const pixels = [];
+    let minX = width, minY = height, maxX = 0, maxY = 0;
+    let head = 0;
+    let tail = 0;
+
+    labels[start] = label;
+    queue[tail++] = start;
+
+    while (head < tail) {
+      const index = queue[head++];
+      const x = index % width;
+      const y = (index - x) / width;
+
+      pixels.push({ x, y });
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+
+      for (const [dx, dy] of neighbors) {
+        const nx = x + dx;
+        const ny = y + dy;
+
+        if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+          const neighbor = ny * width + nx;
+          if (diffMask[neighbor] && labels[neighbor] === 0) {
+            labels[neighbor] = label;
+            queue[tail++] = neighbor;
           }
         }
       }
     }
 
-    const isLineShift = this._detectLineShift(clusterPixels, buffer, width, height);
+    const lineShiftShare = this._lineShiftShare(pixels, diffMask, width, height);
 
     return {
-      size,
-      pixels: clusterPixels,
-      isLineShift,
-      bounds: this._calculateBounds(clusterPixels)
+      size: pixels.length,
+      pixels,
+      isLineShift: lineShiftShare > options.lineShiftThreshold,
+      lineShiftShare,
+      bounds: { minX, minY, maxX, maxY, width: maxX - minX + 1, height: maxY - minY + 1 }
     };
   }
 
-  _detectLineShift(clusterPixels, buffer, width, height) {
-    if (clusterPixels.length === 0) return false;
+  /**
+   * Share of cluster pixels that look like part of a thin line
+   */
+  _lineShiftShare(clusterPixels, diffMask, width, height) {
+    if (clusterPixels.length === 0) return 0;
 
     let linelikePixels = 0;
 
     for (const { x, y } of clusterPixels) {
-      let neighbors = 0;
+      if (this._isLineLike(diffMask, x, y, width, height)) {
+        linelikePixels++;
+      }
+    }
 
-      // Count diff pixel neighbors in 8-connected neighborhood
-      for (let dy = -1; dy <= 1; dy++) {
-        for (let dx = -1; dx <= 1; dx++) {
-          if (dx === 0 && dy === 0) continue;
+    return linelikePixels / clusterPixels.length;
+  }
 
-          const nx = x + dx;
-          const ny = y + dy;
+  _isLineLike(diffMask, x, y, width, height) {
+    let neighbors = 0;
 
-          if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-            const npos = (ny * width + nx) * 4;
-            if (this._isDiffPixel(buffer, npos)) {
-              neighbors++;
-            }
-          }
-        }
-      }
+    // Count diff pixel neighbors in the 8-connected neighborhood, whatever the labeling connectivity
+    for (const [dx, dy] of NEIGHBORS_8) {
+      const nx = x + dx;
+      const ny = y + dy;
 
-      // Line-like pixels typically have ≤2 neighbors
-      if (neighbors <= 2) {
-        linelikePixels++;
+      if (nx >= 0 && nx < width && ny >= 0 && ny < height && diffMask[ny * width + nx]) {
+        neighbors++;
       }
     }
 
-    // If >80% of pixels are line-like, consider it a line shift
-    return linelikePixels / clusterPixels.length > this.options.lineShiftThreshold;
+    // Line-like pixels typically have ≤2 neighbors
+    return neighbors <= 2;
   }
+}
 
-  _calculateBounds(pixels) {
-    if (pixels.length === 0) return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+/**
+ * Union-find over provisional cluster ids (from 1). Each root keeps its
+ * cluster's size, bounds, line-like pixel count and first pixel in raster order.
+ */
+class Components {
+  constructor() {
+    this.parent = [0];
+    this.stats = [null];
+  }
+
+  add() {
+    const id = this.parent.length;
+    this.parent.push(id);
+    this.stats.push({ first: Infinity, size: 0, minX: Infinity, minY: Infinity, maxX: -1, maxY: -1, lineLike: 0 });
+    return id;
+  }
 
-    let minX = pixels[0].x, maxX = pixels[0].x;
-    let minY = pixels[0].y, maxY = pixels[0].y;
+  find(id) {
+    while (this.parent[id] !== id) {
+      this.parent[id] = this.parent[this.parent[id]];
+      id = this.parent[id];
+    }
+    return id;
+  }
 
-    for (const { x, y } of pixels) {
-      minX = Math.min(minX, x);
-      maxX = Math.max(maxX, x);
-      minY = Math.min(minY, y);
-      maxY = Math.max(maxY, y);
+  union(a, b) {
+    const rootA = this.find(a);
+    const rootB = this.find(b);
+    if (rootA === rootB) {
+      return rootA;
     }
 
-    return { minX, minY, maxX, maxY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    const [root, child] = rootA < rootB ? [rootA, rootB] : [rootB, rootA];
+    const target = this.stats[root];
+    const source = this.stats[child];
+    this.parent[child] = root;
+    this.stats[child] = null;
+
+    target.first = Math.min(target.first, source.first);
+    target.size += source.size;
+    target.minX = Math.min(target.minX, source.minX);
+    target.minY = Math.min(target.minY, source.minY);
+    target.maxX = Math.max(target.maxX, source.maxX);
+    target.maxY = Math.max(target.maxY, source.maxY);
+    target.lineLike += source.lineLike;
+    return root;
+  }
+
+  addPixel(root, x, y, index, lineLike) {
+    const stats = this.stats[root];
+    stats.size++;
+    // Tiles aren't visited in raster order, so the first pixel isn't always the one that opened the cluster
+    if (index < stats.first) stats.first = index;
+    if (x < stats.minX) stats.minX = x;
+    if (x > stats.maxX) stats.maxX = x;
+    if (y < stats.minY) stats.minY = y;
+    if (y > stats.maxY) stats.maxY = y;
+    if (lineLike) stats.lineLike++;
   }
+
+  roots() {
+    return this.stats.filter(Boolean);
+  }
+}
+
+// Stands in for `cluster.pixels` without holding them: the member pixels, created as they are iterated
+function memberPixels(members, width, count) {
+  return {
+    length: count,
+    * [Symbol.iterator]() {
+      for (let i = 0; i < members.length; i++) {
+        if (members[i]) {
+          yield { x: i % width, y: (i - (i % width)) / width };
+        }
+      }
+    }
+  };
 }
 
 module.exports = ClusterAnalyzer;
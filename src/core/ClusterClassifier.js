@@ -0,0 +1,263 @@
+const { luma } = require('./metrics/diffImage');
+
+const ADDED = 1;
+const REMOVED = 2;
+
+const CATEGORIES = ['anti-alias', 'line-shift', 'tint-shift', 'added', 'removed', 'text-noise', 'other'];
+
+// A pixel counts as "ink" when it differs this much (max channel) from the local background
+const INK_CONTRAST = 48;
+// A pixel sits on an edge when a 4-neighbour differs this much in luma
+const EDGE_CONTRAST = 40;
+// Anti-alias noise: tiny clusters of faint changes hugging an edge
+const ANTI_ALIAS_MAX_SIZE = 3;
+const ANTI_ALIAS_MAX_DELTA = 0.35;
+// Line shift: ink that appears within this many pixels of ink that disappeared
+const SHIFT_RADIUS = 2;
+const SHIFT_MIN_SHARE = 0.8;
+// Share of pixels needed to call a cluster added, removed or recoloured
+const DOMINANT_SHARE = 0.6;
+// Text noise: glyph-sized, moderate, colourless changes almost only on edges, with ink in both images
+const TEXT_MAX_HEIGHT = 48;
+const TEXT_MAX_DELTA = 0.5;
+const TEXT_MAX_CHROMA_DELTA = 0.1;
+const TEXT_MIN_EDGE_SHARE = 0.8;
+const TEXT_MIN_INK_SHARE = 0.2;
+
+/**
+ * Sort a cluster into one of CATEGORIES by comparing its pixels in both
+ * images against the background around it. Rules are tried in a fixed order
+ * and the first match wins; each returns a 0-1 confidence and a reason.
+ */
+class ClusterClassifier {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * @param {Object} cluster - `size`, `pixels`, `bounds`, `isLineShift` and `lineShiftShare`
+   * @param {Uint8Array} diffMask
+   * @param {{actualData, expectedData}|null} images
+   * @returns {{category: string, confidence: number, reason: string}}
+   */
+  classify(cluster, diffMask, images, width, height) {
+    if (!images) {
+      return cluster.isLineShift
+        ? this._result('line-shift', cluster.lineShiftShare, `${percent(cluster.lineShiftShare)} of pixels lie on thin lines`)
+        : this._result('other', 0, 'No image data to classify the change');
+    }
+
+    const stats = this._collectStats(cluster, diffMask, images, width, height);
+
+    if (cluster.size <= ANTI_ALIAS_MAX_SIZE && stats.meanDelta <= ANTI_ALIAS_MAX_DELTA && stats.edgeShare >= 0.5) {
+      return this._result('anti-alias', stats.edgeShare * (1 - stats.meanDelta),
+        `${cluster.size} faint pixel(s) on an edge (mean change ${percent(stats.meanDelta)})`);
+    }
+    if (stats.addedShare > 0 && stats.removedShare > 0 && stats.shiftShare >= SHIFT_MIN_SHARE) {
+      return this._result('line-shift', stats.shiftShare * (stats.addedShare + stats.removedShare),
+        `${percent(stats.shiftShare)} of the ink that moved reappears within ${SHIFT_RADIUS}px`);
+    }
+    if (stats.addedShare >= DOMINANT_SHARE) {
+      return this._result('added', stats.addedShare,
+        `${percent(stats.addedShare)} of pixels are drawn only in the actual image`);
+    }
+    if (stats.removedShare >= DOMINANT_SHARE) {
+      return this._result('removed', stats.removedShare,
+        `${percent(stats.removedShare)} of pixels are drawn only in the expected image`);
+    }
+    if (cluster.bounds.height <= TEXT_MAX_HEIGHT && stats.meanDelta <= TEXT_MAX_DELTA &&
+      stats.meanChromaDelta < TEXT_MAX_CHROMA_DELTA && stats.edgeShare >= TEXT_MIN_EDGE_SHARE &&
+      stats.actualInkShare >= TEXT_MIN_INK_SHARE && stats.expectedInkShare >= TEXT_MIN_INK_SHARE) {
+      return this._result('text-noise', stats.edgeShare * (1 - stats.meanDelta),
+        `Moderate changes along edges (${percent(stats.edgeShare)}) in glyph-sized bounds, typical of text rendering`);
+    }
+    if (stats.sharedShare >= DOMINANT_SHARE) {
+      return this._result('tint-shift', stats.sharedShare,
+        `${percent(stats.sharedShare)} of pixels are drawn in both images in a different colour`);
+    }
+    if (cluster.isLineShift) {
+      return this._result('line-shift', cluster.lineShiftShare / 2,
+        `${percent(cluster.lineShiftShare)} of pixels lie on thin lines`);
+    }
+
+    return this._result('other', 1 - Math.max(stats.addedShare, stats.removedShare, stats.sharedShare),
+      `Mixed change: ${percent(stats.addedShare)} added, ${percent(stats.removedShare)} removed, ` +
+      `${percent(stats.sharedShare)} recoloured`);
+  }
+
+  _collectStats(cluster, diffMask, { actualData, expectedData }, width, height) {
+    const actualBackground = this._background(actualData, cluster.bounds, diffMask, width, height);
+    const expectedBackground = this._background(expectedData, cluster.bounds, diffMask, width, height);
+
+    // ADDED or REMOVED per pixel of the bounding box, for matching moved ink afterwards
+    const { minX, minY, width: boxWidth, height: boxHeight } = cluster.bounds;
+    const inkChanges = new Uint8Array(boxWidth * boxHeight);
+    let added = 0;
+    let removed = 0;
+    let shared = 0;
+    let actualInk = 0;
+    let expectedInk = 0;
+    let edges = 0;
+    let delta = 0;
+    let chromaDelta = 0;
+
+    for (const { x, y } of cluster.pixels) {
+      const pos = (y * width + x) * 4;
+      const inActual = this._isInk(actualData, pos, actualBackground);
+      const inExpected = this._isInk(expectedData, pos, expectedBackground);
+
+      if (inActual && inExpected) {
+        shared++;
+      } else if (inActual) {
+        added++;
+        inkChanges[(y - minY) * boxWidth + x - minX] = ADDED;
+      } else if (inExpected) {
+        removed++;
+        inkChanges[(y - minY) * boxWidth + x - minX] = REMOVED;
+      }
+      if (inActual) actualInk++;
+      if (inExpected) expectedInk++;
+
+      if (this._isEdge(expectedData, x, y, width, height) || this._isEdge(actualData, x, y, width, height)) {
+        edges++;
+      }
+      delta += Math.max(
+        Math.abs(actualData[pos] - expectedData[pos]),
+        Math.abs(actualData[pos + 1] - expectedData[pos + 1]),
+        Math.abs(actualData[pos + 2] - expectedData[pos + 2])
+      ) / 255;
+      chromaDelta += this._chromaDistance(actualData, expectedData, pos);
+    }
+
+    const size = cluster.pixels.length;
+    return {
+      addedShare: added / size,
+      removedShare: removed / size,
+      sharedShare: shared / size,
+      actualInkShare: actualInk / size,
+      expectedInkShare: expectedInk / size,
+      edgeShare: edges / size,
+      meanDelta: delta / size,
+      meanChromaDelta: chromaDelta / size,
+      shiftShare: this._shiftShare(inkChanges, boxWidth, boxHeight, added + removed)
+    };
+  }
+
+  /**
+   * Share of added/removed pixels with a pixel of the opposite kind within
+   * SHIFT_RADIUS: high when a shape moved rather than appeared or vanished
+   */
+  _shiftShare(inkChanges, width, height, total) {
+    if (total === 0) return 0;
+
+    let matched = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const kind = inkChanges[y * width + x];
+        if (kind && this._hasOppositeNearby(inkChanges, x, y, width, height, kind)) {
+          matched++;
+        }
+      }
+    }
+
+    return matched / total;
+  }
+
+  _hasOppositeNearby(inkChanges, x, y, width, height, kind) {
+    for (let ny = Math.max(0, y - SHIFT_RADIUS); ny <= Math.min(height - 1, y + SHIFT_RADIUS); ny++) {
+      for (let nx = Math.max(0, x - SHIFT_RADIUS); nx <= Math.min(width - 1, x + SHIFT_RADIUS); nx++) {
+        const other = inkChanges[ny * width + nx];
+        if (other && other !== kind) return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Distance between the two pixels in opponent-colour space (0-1), ignoring lightness
+   */
+  _chromaDistance(actualData, expectedData, pos) {
+    const opponent = (data) => [
+      data[pos] - data[pos + 1],
+      (data[pos] + data[pos + 1]) / 2 - data[pos + 2]
+    ];
+    const [a1, b1] = opponent(actualData);
+    const [a2, b2] = opponent(expectedData);
+    return Math.min(1, Math.hypot(a1 - a2, b1 - b2) / 255);
+  }
+
+  /**
+   * Most common colour among the unchanged pixels in a one-pixel ring around
+   * the bounds. Colours are bucketed (16 levels per channel) and the winning
+   * bucket is averaged, so a neighbouring stroke doesn't skew the result.
+   */
+  _background(data, bounds, diffMask, width, height) {
+    const buckets = new Map();
+
+    const add = (x, y) => {
+      if (x < 0 || x >= width || y < 0 || y >= height || diffMask[y * width + x]) return;
+      const pos = (y * width + x) * 4;
+      const key = ((data[pos] >> 4) << 8) | ((data[pos + 1] >> 4) << 4) | (data[pos + 2] >> 4);
+      const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] };
+      bucket.count++;
+      bucket.sum[0] += data[pos];
+      bucket.sum[1] += data[pos + 1];
+      bucket.sum[2] += data[pos + 2];
+      buckets.set(key, bucket);
+    };
+
+    const { minX, minY, maxX, maxY } = bounds;
+    for (let x = minX - 1; x <= maxX + 1; x++) {
+      add(x, minY - 1);
+      add(x, maxY + 1);
+    }
+    for (let y = minY; y <= maxY; y++) {
+      add(minX - 1, y);
+      add(maxX + 1, y);
+    }
+
+    let best = null;
+    for (const bucket of buckets.values()) {
+      if (!best || bucket.count > best.count) best = bucket;
+    }
+
+    // No unchanged surroundings (the cluster covers the image): assume white
+    return best ? best.sum.map(channel => channel / best.count) : [255, 255, 255];
+  }
+
+  _isInk(data, pos, background) {
+    return Math.max(
+      Math.abs(data[pos] - background[0]),
+      Math.abs(data[pos + 1] - background[1]),
+      Math.abs(data[pos + 2] - background[2])
+    ) > INK_CONTRAST;
+  }
+
+  _isEdge(data, x, y, width, height) {
+    const pos = (y * width + x) * 4;
+    const value = luma(data[pos], data[pos + 1], data[pos + 2]);
+    const neighbors = [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]];
+
+    return neighbors.some(([nx, ny]) => {
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height) return false;
+      const npos = (ny * width + nx) * 4;
+      return Math.abs(luma(data[npos], data[npos + 1], data[npos + 2]) - value) > EDGE_CONTRAST;
+    });
+  }
+
+  _result(category, confidence, reason) {
+    return {
+      category,
+      confidence: Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100,
+      reason
+    };
+  }
+}
+
+function percent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+ClusterClassifier.CATEGORIES = CATEGORIES;
+
+module.exports = ClusterClassifier;
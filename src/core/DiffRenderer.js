@@ -0,0 +1,193 @@
+const { createCanvas, createImageData } = require('canvas');
+const { IGNORED_REGION_COLOR, luma } = require('./metrics/diffImage');
+const { ValidationError } = require('../utils/errors');
+
+const DIFF_STYLES = ['pixelmatch', 'heatmap', 'overlay', 'composite', 'annotated'];
+
+// Low-to-high colour stops for the heatmap (dark blue → red → yellow)
+const HEATMAP_STOPS = [
+  [0, [20, 20, 120]],
+  [0.35, [180, 30, 140]],
+  [0.7, [240, 60, 30]],
+  [1, [255, 240, 60]]
+];
+
+const COMPOSITE_GAP = 4;
+const COMPOSITE_BACKGROUND = '#ffffff';
+const CLUSTER_COLOR = '#ff00ff';
+const LINE_SHIFT_COLOR = '#ffa000';
+
+class DiffRenderer {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Normalise the `diffStyle` option to a non-empty list of known styles
+   * @param {string|Array<string>} diffStyle
+   * @returns {Array<string>}
+   */
+  resolveStyles(diffStyle) {
+    const styles = Array.isArray(diffStyle) ? diffStyle : [diffStyle || 'pixelmatch'];
+
+    for (const style of styles) {
+      if (!DIFF_STYLES.includes(style)) {
+        throw new ValidationError(`Unknown diffStyle: ${style}. Expected one of ${DIFF_STYLES.join(', ')}`);
+      }
+    }
+
+    return styles.length > 0 ? styles : ['pixelmatch'];
+  }
+
+  /**
+   * Render every requested style as a PNG buffer
+   * @param {Array<string>} styles
+   * @param {Object} context - `diffImageData`, `diffImage`, `diffMask`,
+   *   `actualData`, `expectedData`, `width`, `height`, `clusters` and `ignoreMask`;
+   *   tiled comparisons pass `diffCanvas` instead of `diffImageData`
+   * @returns {Object<string, Buffer>}
+   */
+  renderAll(styles, context) {
+    const images = {};
+    for (const style of styles) {
+      images[style] = this.render(style, context);
+    }
+    return images;
+  }
+
+  render(style, context) {
+    switch (style) {
+    case 'pixelmatch':
+      return context.diffImage;
+    case 'heatmap':
+      return this._renderHeatmap(context);
+    case 'overlay':
+      return this._renderOverlay(context);
+    case 'composite':
+      return this._renderComposite(context);
+    case 'annotated':
+      return this._renderAnnotated(context);
+    default:
+      throw new ValidationError(`Unknown diffStyle: ${style}`);
+    }
+  }
+
+  _renderHeatmap({ actualData, expectedData, width, height, ignoreMask }) {
+    const buffer = new Uint8ClampedArray(width * height * 4);
+
+    for (let i = 0; i < width * height; i++) {
+      const pos = i * 4;
+      const magnitude = Math.max(
+        Math.abs(actualData[pos] - expectedData[pos]),
+        Math.abs(actualData[pos + 1] - expectedData[pos + 1]),
+        Math.abs(actualData[pos + 2] - expectedData[pos + 2]),
+        Math.abs(actualData[pos + 3] - expectedData[pos + 3])
+      ) / 255;
+
+      let color;
+      if (ignoreMask && ignoreMask[i]) {
+        color = IGNORED_REGION_COLOR;
+      } else if (magnitude === 0) {
+        // Unchanged pixels: faded greyscale so the drawing stays recognisable
+        const value = 255 + (luma(expectedData[pos], expectedData[pos + 1], expectedData[pos + 2]) - 255) * 0.1;
+        color = [value, value, value];
+      } else {
+        color = this._heatmapColor(magnitude);
+      }
+
+      buffer[pos] = color[0];
+      buffer[pos + 1] = color[1];
+      buffer[pos + 2] = color[2];
+      buffer[pos + 3] = 255;
+    }
+
+    return this._toPng(buffer, width, height);
+  }
+
+  _heatmapColor(value) {
+    for (let i = 1; i < HEATMAP_STOPS.length; i++) {
+      const [stop, color] = HEATMAP_STOPS[i];
+      if (value <= stop) {
+        const [previousStop, previousColor] = HEATMAP_STOPS[i - 1];
+        const t = (value - previousStop) / (stop - previousStop);
+        return previousColor.map((channel, c) => channel + (color[c] - channel) * t);
+      }
+    }
+    return HEATMAP_STOPS[HEATMAP_STOPS.length - 1][1];
+  }
+
+  _renderOverlay({ actualData, diffMask, width, height }) {
+    const buffer = new Uint8ClampedArray(actualData);
+
+    for (let i = 0; i < diffMask.length; i++) {
+      if (diffMask[i]) {
+        const pos = i * 4;
+        buffer[pos] = (buffer[pos] + 255) >> 1;
+        buffer[pos + 1] = buffer[pos + 1] >> 1;
+        buffer[pos + 2] = buffer[pos + 2] >> 1;
+        buffer[pos + 3] = 255;
+      }
+    }
+
+    return this._toPng(buffer, width, height);
+  }
+
+  _renderComposite({ expectedData, actualData, diffImageData, width, height }) {
+    const canvas = createCanvas(width * 3 + COMPOSITE_GAP * 2, height);
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = COMPOSITE_BACKGROUND;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const panels = [
+      createImageData(new Uint8ClampedArray(expectedData), width, height),
+      createImageData(new Uint8ClampedArray(actualData), width, height),
+      diffImageData
+    ];
+    panels.forEach((panel, index) => {
+      ctx.putImageData(panel, index * (width + COMPOSITE_GAP), 0);
+    });
+
+    return canvas.toBuffer('image/png');
+  }
+
+  _renderAnnotated({ diffImageData, diffCanvas, width, height, clusters }) {
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    if (diffCanvas) {
+      ctx.drawImage(diffCanvas, 0, 0);
+    } else {
+      ctx.putImageData(diffImageData, 0, 0);
+    }
+    ctx.lineWidth = 1;
+
+    for (const cluster of clusters) {
+      const { minX, minY, width: boxWidth, height: boxHeight } = cluster.bounds;
+      ctx.strokeStyle = cluster.isLineShift ? LINE_SHIFT_COLOR : CLUSTER_COLOR;
+      // Half-pixel offset keeps 1px strokes crisp and around the cluster
+      ctx.strokeRect(minX - 0.5, minY - 0.5, boxWidth + 1, boxHeight + 1);
+    }
+
+    return canvas.toBuffer('image/png');
+  }
+
+  _toPng(buffer, width, height) {
+    const canvas = createCanvas(width, height);
+    canvas.getContext('2d').putImageData(createImageData(buffer, width, height), 0, 0);
+    return canvas.toBuffer('image/png');
+  }
+}
+
+/**
+ * Output path for one diff style: the primary style keeps `basePath`, the
+ * others get the style name before the extension (`diff.heatmap.png`)
+ */
+function diffStylePath(basePath, style, primaryStyle) {
+  return style === primaryStyle ? basePath : basePath.replace(/(\.png)?$/i, `.${style}.png`);
+}
+
+DiffRenderer.DIFF_STYLES = DIFF_STYLES;
+DiffRenderer.diffStylePath = diffStylePath;
+
+module.exports = DiffRenderer;
@@ -0,0 +1,211 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { diffStylePath } = require('./DiffRenderer');
+const { matchesAny, toPosixPath } = require('../utils/glob');
+const { overridesFor } = require('../utils/config');
+const { runBatch, resolveConcurrency } = require('../utils/concurrency');
+const ParallelComparator = require('./ParallelComparator');
+const { ValidationError, MissingFileError, errorCode } = require('../utils/errors');
+
+// Every format the decoder reads; matched in any case, so .PNG and .JPG count too
+const DEFAULT_INCLUDE = ['**/*.{png,jpg,jpeg,webp,gif,bmp}'];
+
+const STATUS = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  ERROR: 'error',
+  MISSING_ACTUAL: 'missing-actual',
+  MISSING_BASELINE: 'missing-baseline',
+  CANCELLED: 'cancelled'
+};
+
+class DirectoryComparator {
+  constructor(comparator, options = {}) {
+    this.comparator = comparator;
+    this.options = options;
+  }
+
+  /**
+   * @param {EventEmitter} [events] - Receives the `pair:*` progress events
+   */
+  async compare(baselineDir, actualDir, options = {}, events = null) {
+    const mergedOptions = { ...this.options, ...options };
+    const include = mergedOptions.include || DEFAULT_INCLUDE;
+    const exclude = mergedOptions.exclude || [];
+
+    await this._assertDirectory(baselineDir, 'Baseline');
+    await this._assertDirectory(actualDir, 'Actual');
+
+    const baselineFiles = await this.listFiles(baselineDir, include, exclude);
+    const actualFiles = await this.listFiles(actualDir, include, exclude);
+    let names = [...new Set([...baselineFiles, ...actualFiles])].sort();
+    if (mergedOptions.files) {
+      names = names.filter(name => matchesAny(name, mergedOptions.files));
+    }
+    if (mergedOptions.names) {
+      // Exact relative paths, unlike the `files` globs
+      const exact = new Set(mergedOptions.names);
+      names = names.filter(name => exact.has(name));
+    }
+
+    const concurrency = resolveConcurrency(mergedOptions.concurrency);
+    const comparator = concurrency > 1 ? new ParallelComparator(concurrency, this.comparator.options) : this.comparator;
+
+    let batch;
+    try {
+      batch = await runBatch(names, name =>
+        this._comparePair(name, baselineDir, actualDir, baselineFiles, actualFiles, mergedOptions, comparator), {
+        concurrency,
+        signal: mergedOptions.signal,
+        failFast: mergedOptions.failFast,
+        events,
+        nameOf: name => name,
+        isFailure: result => result.status === STATUS.FAILED || result.status === STATUS.ERROR,
+        cancelled: name => ({ name, status: STATUS.CANCELLED, ok: false, baseline: null, actual: null })
+      });
+    } finally {
+      if (comparator !== this.comparator) {
+        await comparator.close();
+      }
+    }
+
+    const { results, stoppedBy } = batch;
+    return {
+      baselineDir,
+      actualDir,
+      outputDir: mergedOptions.outputDir || null,
+      results,
+      summary: { ...this._summarize(results, mergedOptions), stoppedBy }
+    };
+  }
+
+  async _comparePair(name, baselineDir, actualDir, baselineFiles, actualFiles, options, comparator) {
+    const baselinePath = path.join(baselineDir, name);
+    const actualPath = path.join(actualDir, name);
+
+    if (!actualFiles.has(name)) {
+      return { name, status: STATUS.MISSING_ACTUAL, ok: false, baseline: baselinePath, actual: null };
+    }
+    if (!baselineFiles.has(name)) {
+      return { name, status: STATUS.MISSING_BASELINE, ok: false, baseline: null, actual: actualPath };
+    }
+
+    const startedAt = performance.now();
+
+    try {
+      const [actual, expected] = await Promise.all([
+        fs.readFile(actualPath),
+        fs.readFile(baselinePath)
+      ]);
+
+      const result = await comparator.compare(actual, expected, {
+        ...options,
+        ...overridesFor(options.overrides, name)
+      });
+      // Keep only the encoded PNG; raw pixel data adds up across large folders
+      delete result.diffImageData;
+      delete result.diffMask;
+      let diffPath = null;
+
+      if (options.outputDir) {
+        // Keep the source extension so a.png and a.jpg don't share a diff file
+        const outputPath = path.join(options.outputDir, `${name}.diff.png`);
+        if (result.ok) {
+          // Drop diffs left over from an earlier failing run
+          for (const style of Object.keys(result.diffImages)) {
+            await fs.rm(diffStylePath(outputPath, style, result.diffStyle), { force: true });
+          }
+        } else {
+          diffPath = outputPath;
+          await fs.mkdir(path.dirname(diffPath), { recursive: true });
+          for (const [style, image] of Object.entries(result.diffImages)) {
+            await fs.writeFile(diffStylePath(diffPath, style, result.diffStyle), image);
+          }
+        }
+      }
+
+      return {
+        name,
+        status: result.ok ? STATUS.PASSED : STATUS.FAILED,
+        baseline: baselinePath,
+        actual: actualPath,
+        diffPath,
+        duration: Math.round(performance.now() - startedAt),
+        ...result
+      };
+    } catch (error) {
+      return {
+        name,
+        status: STATUS.ERROR,
+        ok: false,
+        baseline: baselinePath,
+        actual: actualPath,
+        error: error.message,
+        errorCode: errorCode(error),
+        duration: Math.round(performance.now() - startedAt)
+      };
+    }
+  }
+
+  async _assertDirectory(dir, label) {
+    let stats;
+    try {
+      stats = await fs.stat(dir);
+    } catch (error) {
+      throw new MissingFileError(`${label} directory not found: ${dir}`, dir, error);
+    }
+    if (!stats.isDirectory()) {
+      throw new ValidationError(`${label} path is not a directory: ${dir}`);
+    }
+  }
+
+  /**
+   * Recursively list files under rootDir as forward-slash relative paths
+   * @returns {Promise<Set<string>>}
+   */
+  async listFiles(rootDir, include = DEFAULT_INCLUDE, exclude = []) {
+    const files = new Set();
+    const ignoreCase = include === DEFAULT_INCLUDE;
+
+    const walk = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          const relativePath = toPosixPath(path.relative(rootDir, fullPath));
+          if (matchesAny(relativePath, include, { ignoreCase }) && !matchesAny(relativePath, exclude)) {
+            files.add(relativePath);
+          }
+        }
+      }
+    };
+
+    await walk(rootDir);
+    return files;
+  }
+
+  _summarize(results, options) {
+    const count = status => results.filter(r => r.status === status).length;
+    const summary = {
+      total: results.length,
+      passed: count(STATUS.PASSED),
+      failed: count(STATUS.FAILED),
+      errors: count(STATUS.ERROR),
+      missingActual: count(STATUS.MISSING_ACTUAL),
+      missingBaseline: count(STATUS.MISSING_BASELINE),
+      cancelled: count(STATUS.CANCELLED)
+    };
+
+    const missing = options.allowMissing ? 0 : summary.missingActual + summary.missingBaseline;
+    summary.ok = summary.failed === 0 && summary.errors === 0 && missing === 0 && summary.cancelled === 0;
+
+    return summary;
+  }
+}
+
+DirectoryComparator.STATUS = STATUS;
+
+module.exports = DirectoryComparator;
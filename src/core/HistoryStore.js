@@ -0,0 +1,214 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { matchesAny } = require('../utils/glob');
+const { ValidationError } = require('../utils/errors');
+
+const HISTORY_VERSION = 1;
+const DEFAULT_MAX_RUNS = 100;
+
+// Defaults for analyze()
+const DEFAULT_WINDOW = 20;
+const DEFAULT_CREEP_RATIO = 0.5;
+const CREEP_RUNS = 3;
+
+/**
+ * Local JSON file of past runs: per image the verdict, diffCount, significant
+ * pixels and the measure and limit the significance strategy decided on, so
+ * flaky images and slowly growing diffs stand out. Only the last
+ * `maxHistoryRuns` runs are kept.
+ */
+class HistoryStore {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Append one run. Unnamed results and pairs that were never compared
+   * (status 'cancelled') are left out.
+   * @param {Array} results - From batchCompare, compareDirectories or single comparisons
+   * @param {Object} options - `historyPath` and `maxHistoryRuns`
+   * @returns {Promise<Object>} The recorded run
+   */
+  async record(results, options = {}) {
+    const mergedOptions = { ...this.options, ...options };
+    const historyPath = this._historyPath(mergedOptions);
+    const history = await this.read(historyPath);
+
+    const run = { startedAt: new Date().toISOString(), results: {} };
+    for (const result of results) {
+      const verdict = verdictOf(result);
+      if (verdict === 'cancelled' || !result.name) {
+        continue;
+      }
+
+      // What decided the verdict: e.g. diff-percent measures a percentage against maxDiffPercent
+      const significance = (result.details && result.details.significance) || {};
+      run.results[result.name] = {
+        verdict,
+        diffCount: result.diffCount !== undefined ? result.diffCount : null,
+        significantPixels: result.details ? result.details.significantDiffPixels : null,
+        strategy: significance.strategy || null,
+        measure: isNumber(significance.measure) ? significance.measure : null,
+        limit: isNumber(significance.limit) ? significance.limit : null
+      };
+    }
+
+    const maxRuns = mergedOptions.maxHistoryRuns || DEFAULT_MAX_RUNS;
+    history.runs = [...history.runs, run].slice(-maxRuns);
+    await this.write(historyPath, history);
+
+    return run;
+  }
+
+  /**
+   * Trends per image over the last `window` runs, worst first
+   * @param {Object} options - `historyPath`, `window` (default 20), `files`
+   *   (names or globs) and `creepRatio` (default 0.5: share of the limit a
+   *   growing diff must reach to be flagged)
+   * @returns {Promise<{historyPath: string, runs: number, from: string|null, to: string|null, images: Array}>}
+   *   Each image: `name`, `runs`, `passed`, `failed`, `errors`, `flips`,
+   *   `verdicts` (oldest first), `significantPixels`, `latest`, `flags`
+   *   ('flaky', 'regressed', 'fixed', 'creeping') and `creepChecked` (false
+   *   when the last compared run's strategy reported no limit to creep toward)
+   */
+  async analyze(options = {}) {
+    const mergedOptions = { ...this.options, ...options };
+    const historyPath = this._historyPath(mergedOptions);
+    const { runs: allRuns } = await this.read(historyPath);
+    const runs = allRuns.slice(-(mergedOptions.window || DEFAULT_WINDOW));
+    const creepRatio = mergedOptions.creepRatio !== undefined ? mergedOptions.creepRatio : DEFAULT_CREEP_RATIO;
+
+    const entriesByName = new Map();
+    for (const run of runs) {
+      for (const [name, entry] of Object.entries(run.results)) {
+        if (!entriesByName.has(name)) {
+          entriesByName.set(name, []);
+        }
+        entriesByName.get(name).push(entry);
+      }
+    }
+
+    let names = [...entriesByName.keys()].sort();
+    if (mergedOptions.files && mergedOptions.files.length > 0) {
+      names = names.filter(name => matchesAny(name, mergedOptions.files));
+    }
+
+    const images = names.map(name => analyzeImage(name, entriesByName.get(name), creepRatio));
+    images.sort((a, b) => b.flags.length - a.flags.length || b.flips - a.flips || a.name.localeCompare(b.name));
+
+    return {
+      historyPath,
+      runs: runs.length,
+      from: runs.length > 0 ? runs[0].startedAt : null,
+      to: runs.length > 0 ? runs[runs.length - 1].startedAt : null,
+      images
+    };
+  }
+
+  async read(historyPath) {
+    let contents;
+    try {
+      contents = await fs.readFile(historyPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { version: HISTORY_VERSION, runs: [] };
+      }
+      throw error;
+    }
+
+    try {
+      const history = JSON.parse(contents);
+      return { version: HISTORY_VERSION, ...history, runs: history.runs || [] };
+    } catch (error) {
+      throw new ValidationError(`Invalid history file ${historyPath}: ${error.message}`);
+    }
+  }
+
+  async write(historyPath, history) {
+    await fs.mkdir(path.dirname(historyPath), { recursive: true });
+    await fs.writeFile(historyPath, `${JSON.stringify(history, null, 2)}\n`);
+  }
+
+  _historyPath(options) {
+    if (!options.historyPath) {
+      throw new ValidationError('No history file: set historyPath');
+    }
+    return options.historyPath;
+  }
+}
+
+function verdictOf(result) {
+  if (result.status) {
+    return result.status;
+  }
+  if (result.error) {
+    return 'error';
+  }
+  return result.ok ? 'passed' : 'failed';
+}
+
+function analyzeImage(name, entries, creepRatio) {
+  const count = verdict => entries.filter(entry => entry.verdict === verdict).length;
+  const outcomes = entries.filter(entry => entry.verdict === 'passed' || entry.verdict === 'failed');
+  const latest = entries[entries.length - 1];
+
+  let flips = 0;
+  for (let i = 1; i < outcomes.length; i++) {
+    if (outcomes[i].verdict !== outcomes[i - 1].verdict) {
+      flips++;
+    }
+  }
+
+  const flags = [];
+  if (flips >= 2) {
+    flags.push('flaky');
+  } else if (flips === 1) {
+    // One change of verdict: it started failing (or was fixed) rather than flapping
+    flags.push(outcomes[outcomes.length - 1].verdict === 'failed' ? 'regressed' : 'fixed');
+  }
+  // Errored and missing runs have no measure; the last compared run tells whether a limit applies
+  const lastOutcome = outcomes[outcomes.length - 1];
+  const creepChecked = !lastOutcome || (isNumber(lastOutcome.measure) && isNumber(lastOutcome.limit));
+  if (creepChecked && isCreeping(entries, creepRatio)) {
+    flags.push('creeping');
+  }
+
+  return {
+    name,
+    runs: entries.length,
+    passed: count('passed'),
+    failed: count('failed'),
+    errors: count('error'),
+    flips,
+    verdicts: entries.map(entry => entry.verdict),
+    significantPixels: entries.map(entry => entry.significantPixels),
+    latest,
+    flags,
+    creepChecked
+  };
+}
+
+/**
+ * Still passing, but the strategy's measure grew over the last runs (all
+ * decided by the same strategy) and is now at least `creepRatio` of its limit
+ */
+function isCreeping(entries, creepRatio) {
+  const recent = entries.slice(-CREEP_RUNS);
+  const latest = recent[recent.length - 1];
+  if (recent.length < CREEP_RUNS || latest.verdict !== 'passed') {
+    return false;
+  }
+  if (recent.some(entry => entry.verdict !== 'passed' || !isNumber(entry.measure) || entry.strategy !== latest.strategy)) {
+    return false;
+  }
+
+  const measures = recent.map(entry => entry.measure);
+  const growing = measures.every((value, i) => i === 0 || value >= measures[i - 1]) && measures[measures.length - 1] > measures[0];
+  return growing && latest.measure >= creepRatio * latest.limit;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+module.exports = HistoryStore;
@@ -0,0 +1,106 @@
+const { luma } = require('./metrics/diffImage');
+
+class ImageAligner {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Find the global offset (dx, dy) for which actual(x + dx, y + dy) best
+   * matches expected(x, y), searching every offset within `radius`
+   * @param {Uint8Array|null} ignoreMask - Pixels left out of the score
+   * @returns {{x: number, y: number, error: number}}
+   */
+  findOffset(actualData, expectedData, width, height, radius, ignoreMask = null) {
+    const actualLuma = this._toLuma(actualData, width * height);
+    const expectedLuma = this._toLuma(expectedData, width * height);
+
+    let best = { x: 0, y: 0, error: this._meanError(actualLuma, expectedLuma, width, height, 0, 0, ignoreMask) };
+
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (dx === 0 && dy === 0) continue;
+
+        const error = this._meanError(actualLuma, expectedLuma, width, height, dx, dy, ignoreMask);
+        // Prefer the smaller shift when two offsets score the same
+        const isBetter = error < best.error ||
+          (error === best.error && Math.abs(dx) + Math.abs(dy) < Math.abs(best.x) + Math.abs(best.y));
+
+        if (isBetter) {
+          best = { x: dx, y: dy, error };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Shift actual pixels by the offset. Pixels with no source after the shift
+   * are copied from expected and marked in the returned border mask.
+   * @returns {{data: Uint8ClampedArray, borderMask: Uint8Array|null}}
+   */
+  shift(actualData, expectedData, width, height, dx, dy) {
+    if (dx === 0 && dy === 0) {
+      return { data: actualData, borderMask: null };
+    }
+
+    const data = new Uint8ClampedArray(actualData.length);
+    const borderMask = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      const sy = y + dy;
+      for (let x = 0; x < width; x++) {
+        const sx = x + dx;
+        const pos = (y * width + x) * 4;
+        const inside = sx >= 0 && sx < width && sy >= 0 && sy < height;
+        const source = inside ? actualData : expectedData;
+        const sourcePos = inside ? (sy * width + sx) * 4 : pos;
+
+        data[pos] = source[sourcePos];
+        data[pos + 1] = source[sourcePos + 1];
+        data[pos + 2] = source[sourcePos + 2];
+        data[pos + 3] = source[sourcePos + 3];
+
+        if (!inside) {
+          borderMask[y * width + x] = 1;
+        }
+      }
+    }
+
+    return { data, borderMask };
+  }
+
+  _toLuma(data, size) {
+    const values = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      const pos = i * 4;
+      values[i] = luma(data[pos], data[pos + 1], data[pos + 2]);
+    }
+    return values;
+  }
+
+  _meanError(actualLuma, expectedLuma, width, height, dx, dy, ignoreMask) {
+    let total = 0;
+    let count = 0;
+
+    const yStart = Math.max(0, -dy);
+    const yEnd = Math.min(height, height - dy);
+    const xStart = Math.max(0, -dx);
+    const xEnd = Math.min(width, width - dx);
+
+    for (let y = yStart; y < yEnd; y++) {
+      for (let x = xStart; x < xEnd; x++) {
+        const i = y * width + x;
+        if (ignoreMask && ignoreMask[i]) continue;
+
+        total += Math.abs(actualLuma[(y + dy) * width + x + dx] - expectedLuma[i]);
+        count++;
+      }
+    }
+
+    return count > 0 ? total / count : Infinity;
+  }
+}
+
+module.exports = ImageAligner;
@@ -1,107 +1,291 @@
-const pixelmatch = require('pixelmatch');
 const { createImageData, createCanvas } = require('canvas');
 const ClusterAnalyzer = require('./ClusterAnalyzer');
+const ClusterClassifier = require('./ClusterClassifier');
 const ImageProcessor = require('./ImageProcessor');
-const { ValidationError } = require('../utils/errors');
+const ImageAligner = require('./ImageAligner');
+const DiffRenderer = require('./DiffRenderer');
+const TiledComparator = require('./TiledComparator');
+const { resolvePlugin, resolvePreprocessors, applyPreprocessors } = require('./plugins');
+const { IGNORED_REGION_COLOR } = require('./metrics/diffImage');
+const { ValidationError, UnsupportedInputError } = require('../utils/errors');
+const { RESAMPLING_FILTERS } = require('../utils/resample');
 
 class ImageComparator {
   constructor(options = {}) {
     this.options = options;
     this.processor = new ImageProcessor(options);
     this.clusterAnalyzer = new ClusterAnalyzer(options);
+    this.aligner = new ImageAligner(options);
+    this.diffRenderer = new DiffRenderer(options);
+    this.tiledComparator = new TiledComparator(this, options);
   }
 
   async compare(actual, expected, options = {}) {
     const mergedOptions = { ...this.options, ...options };
 
-    this._validateInputs(actual, expected);
+    this._validateInputs(actual, expected, mergedOptions);
+    if (mergedOptions.tileSize) {
+      return this.tiledComparator.compare(actual, expected, mergedOptions);
+    }
+    const diffStyles = this.diffRenderer.resolveStyles(mergedOptions.diffStyle);
 
     const processedImages = await this.processor.processImages(actual, expected, mergedOptions);
-    const { actualImageData, expectedImageData, width, height } = processedImages;
+    const { actualImageData, expectedImageData, scale, width, height, resize, dimensions } = processedImages;
+    const preprocess = resolvePreprocessors(mergedOptions.preprocess);
+    const expectedData = applyPreprocessors(preprocess, expectedImageData.data, width, height);
+    let { ignoreMask } = processedImages;
+    let actualData = applyPreprocessors(preprocess, actualImageData.data, width, height);
+    let alignment = null;
+
+    if (mergedOptions.align) {
+      ({ actualData, ignoreMask, alignment } = this._align(
+        actualData, expectedData, ignoreMask, width, height, scale, mergedOptions
+      ));
+    }
 
     const diffBuffer = new Uint8ClampedArray(width * height * 4);
+    if (ignoreMask) {
+      actualData = this._applyIgnoreMask(actualData, expectedData, ignoreMask);
+    }
 
-    const diffCount = pixelmatch(
-      actualImageData.data,
-      expectedImageData.data,
+    const metric = mergedOptions.metric || 'pixelmatch';
+    const { diffCount, diffMask, score } = resolvePlugin('metric', metric)(
+      actualData,
+      expectedData,
       diffBuffer,
       width,
       height,
-      {
-        threshold: mergedOptions.threshold,
-        includeAA: mergedOptions.includeAA,
-        alpha: mergedOptions.alpha
-      }
+      mergedOptions
     );
 
+    const ignoredPixels = ignoreMask ? this._shadeIgnoredPixels(diffBuffer, ignoreMask) : 0;
     const diffImageData = createImageData(diffBuffer, width, height);
 
-    if (diffCount === 0) {
-      return {
-        ok: true,
-        diffCount: 0,
-        diffImageData,
-        diffImage: this._createDiffPngBuffer(diffImageData), // Add PNG buffer
-        details: {
-          totalDiffPixels: 0,
-          significantDiffPixels: 0,
-          clusters: []
-        }
-      };
-    }
+    const clusterAnalysis = diffCount === 0
+      ? { clusters: [], significantClusters: 0, significantPixels: 0, totalClusters: 0, categories: {} }
+      : this.clusterAnalyzer.analyzeClusters(diffMask, width, height, mergedOptions, {
+        actualData,
+        expectedData
+      });
 
-    const clusterAnalysis = this.clusterAnalyzer.analyzeClusters(
-      diffBuffer,
+    const significance = alignment && alignment.exceeded
+      ? {
+        ok: false,
+        strategy: 'maxAlignOffset',
+        reason: `Offset of ${Math.max(Math.abs(alignment.sourceX), Math.abs(alignment.sourceY))}px exceeds maxAlignOffset (${mergedOptions.maxAlignOffset}px)`,
+        measure: Math.max(Math.abs(alignment.sourceX), Math.abs(alignment.sourceY)),
+        limit: mergedOptions.maxAlignOffset
+      }
+      : this._evaluateSignificance(clusterAnalysis, mergedOptions, { diffCount, width, height });
+    const ok = significance.ok;
+    const diffImage = this._createDiffPngBuffer(diffImageData);
+
+    const diffImages = this.diffRenderer.renderAll(diffStyles, {
+      diffImageData,
+      diffImage,
+      diffMask,
+      actualData,
+      expectedData,
       width,
       height,
-      mergedOptions
-    );
-
-    const ok = this._evaluateSignificance(clusterAnalysis, mergedOptions);
+      clusters: clusterAnalysis.clusters,
+      ignoreMask
+    });
 
     return {
       ok,
       diffCount,
       diffImageData,
-      diffImage: this._createDiffPngBuffer(diffImageData), // Add PNG buffer
+      diffImage,
+      diffMask,
+      diffStyle: diffStyles[0],
+      diffImages,
       details: {
         totalDiffPixels: diffCount,
         significantDiffPixels: clusterAnalysis.significantPixels,
+        ignoredPixels,
+        metric,
+        score,
+        significance: {
+          strategy: significance.strategy,
+          reason: significance.reason,
+          measure: significance.measure,
+          limit: significance.limit
+        },
+        preprocess: preprocess.map(step => step.name),
+        dimensions,
+        resize,
+        alignment,
+        categories: clusterAnalysis.categories,
         clusters: clusterAnalysis.clusters,
         analysis: clusterAnalysis
       }
     };
   }
 
-  _validateInputs(actual, expected) {
+  _validateInputs(actual, expected, options) {
     if (!actual || !expected) {
-      throw new ValidationError('Both actual and expected images are required');
+      throw new UnsupportedInputError('Both actual and expected images are required');
     }
+    this.validateOptions(options);
   }
 
-  _evaluateSignificance(analysis, options) {
-    const { significantPixels, significantClusters } = analysis;
+  /**
+   * Check option values up front, before any image is read
+   * @throws {ValidationError}
+   */
+  validateOptions(options) {
+    if (options.metric) {
+      resolvePlugin('metric', options.metric);
+    }
+    if (options.significance) {
+      resolvePlugin('significance', options.significance);
+    }
+    resolvePreprocessors(options.preprocess);
+    if (options.sizePolicy && !ImageProcessor.SIZE_POLICIES.includes(options.sizePolicy)) {
+      throw new ValidationError(
+        `Unknown sizePolicy: ${options.sizePolicy}. Expected one of ${ImageProcessor.SIZE_POLICIES.join(', ')}`
+      );
+    }
+    if (options.resampling && !RESAMPLING_FILTERS.includes(options.resampling)) {
+      throw new ValidationError(
+        `Unknown resampling filter: ${options.resampling}. Expected one of ${RESAMPLING_FILTERS.join(', ')}`
+      );
+    }
+    this.processor.parseResize(options.resize);
+    if (options.tileSize !== undefined && options.tileSize !== null &&
+      !(Number.isInteger(options.tileSize) && options.tileSize > 0)) {
+      throw new ValidationError(`tileSize must be a positive integer, got ${options.tileSize}`);
+    }
+    if (options.clusterConnectivity !== undefined && ![4, 8].includes(options.clusterConnectivity)) {
+      throw new ValidationError(`clusterConnectivity must be 4 or 8, got ${options.clusterConnectivity}`);
+    }
+    for (const [category, tolerance] of Object.entries(options.categoryTolerances || {})) {
+      if (!ClusterClassifier.CATEGORIES.includes(category)) {
+        throw new ValidationError(
+          `Unknown cluster category in categoryTolerances: ${category}. Expected one of ${ClusterClassifier.CATEGORIES.join(', ')}`
+        );
+      }
+      if (typeof tolerance !== 'boolean' && !(tolerance >= 0)) {
+        throw new ValidationError(`categoryTolerances.${category} must be true, false or a pixel count, got ${tolerance}`);
+      }
+    }
+  }
 
-    return (
-      significantPixels === 0 ||
-      (
-        significantPixels <= options.maxTotalDiffPixels &&
-        significantClusters <= options.maxSignificantClusters
-      )
-    );
+  /**
+   * Shift the actual image by the best global offset. Search radius and
+   * offset limit are in source pixels; the search runs on the resized images.
+   */
+  _align(actualData, expectedData, ignoreMask, width, height, scale, options) {
+    const radius = Math.max(1, Math.ceil(options.alignSearchRadius * Math.max(scale.x, scale.y)));
+    const offset = this.aligner.findOffset(actualData, expectedData, width, height, radius, ignoreMask);
+    const { data, borderMask } = this.aligner.shift(actualData, expectedData, width, height, offset.x, offset.y);
+
+    let mergedMask = ignoreMask;
+    if (borderMask) {
+      mergedMask = ignoreMask ? ignoreMask.map((value, i) => value | borderMask[i]) : borderMask;
+    }
+
+    const sourceX = offset.x / scale.x;
+    const sourceY = offset.y / scale.y;
+    const maxOffset = options.maxAlignOffset;
+
+    return {
+      actualData: data,
+      ignoreMask: mergedMask,
+      alignment: {
+        x: offset.x,
+        y: offset.y,
+        sourceX,
+        sourceY,
+        searchRadius: radius,
+        exceeded: maxOffset !== undefined && maxOffset !== null &&
+          Math.max(Math.abs(sourceX), Math.abs(sourceY)) > maxOffset
+      }
+    };
+  }
+
+  /**
+   * Copy expected pixels over the ignored areas of the actual image so
+   * pixelmatch never reports them.
+   */
+  _applyIgnoreMask(actualData, expectedData, mask) {
+    const masked = new Uint8ClampedArray(actualData);
+
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i]) {
+        const pos = i * 4;
+        masked[pos] = expectedData[pos];
+        masked[pos + 1] = expectedData[pos + 1];
+        masked[pos + 2] = expectedData[pos + 2];
+        masked[pos + 3] = expectedData[pos + 3];
+      }
+    }
+
+    return masked;
+  }
+
+  _shadeIgnoredPixels(diffBuffer, mask) {
+    const [r, g, b] = IGNORED_REGION_COLOR;
+    let ignored = 0;
+
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i]) {
+        const pos = i * 4;
+        diffBuffer[pos] = (diffBuffer[pos] + r) >> 1;
+        diffBuffer[pos + 1] = (diffBuffer[pos + 1] + g) >> 1;
+        diffBuffer[pos + 2] = (diffBuffer[pos + 2] + b) >> 1;
+        diffBuffer[pos + 3] = 255;
+        ignored++;
+      }
+    }
+
+    return ignored;
+  }
+
+  /**
+   * Categories listed in `categoryTolerances` are judged only by their own
+   * tolerance (`true` = always allowed, `false` or a number = max pixels);
+   * every other cluster goes to the `significance` strategy (default `clusters`).
+   * @param {Object} context - `diffCount`, `width` and `height` of the comparison
+   * @returns {{ok: boolean, strategy: string, reason: string|null, measure: number|null, limit: number|null}}
+   *   `strategy` is what decided; `measure` and `limit` are null when it doesn't report them
+   */
+  _evaluateSignificance(analysis, options, context) {
+    const tolerances = options.categoryTolerances || {};
+
+    for (const [category, tolerance] of Object.entries(tolerances)) {
+      const pixels = analysis.categories && analysis.categories[category] ? analysis.categories[category].pixels : 0;
+      if ((tolerance === false && pixels > 0) || (typeof tolerance === 'number' && pixels > tolerance)) {
+        return {
+          ok: false,
+          strategy: 'categoryTolerances',
+          reason: `${pixels} px of ${category} (allowed: ${tolerance === false ? 0 : tolerance} px)`,
+          measure: pixels,
+          limit: tolerance === false ? 0 : tolerance
+        };
+      }
+    }
+
+    const name = options.significance || 'clusters';
+    const judged = analysis.clusters.filter(cluster => tolerances[cluster.category] === undefined);
+    const verdict = resolvePlugin('significance', name)(judged, { ...context, options, analysis });
+    const { ok, reason = null, measure = null, limit = null } = typeof verdict === 'boolean' ? { ok: verdict } : verdict;
+
+    return { ok: Boolean(ok), strategy: name, reason, measure, limit };
   }
 
   _createDiffPngBuffer(imageData) {
     // Create a canvas with the same dimensions
     const canvas = createCanvas(imageData.width, imageData.height);
     const ctx = canvas.getContext('2d');
-    
+
     // Put the image data onto the canvas
     ctx.putImageData(imageData, 0, 0);
-    
+
     // Convert to PNG buffer
     return canvas.toBuffer('image/png');
   }
 }
 
-module.exports = ImageComparator;
\ No newline at end of file
+module.exports = ImageComparator;
@@ -1,4 +1,9 @@
-const { createCanvas, Image } = require('canvas');
+const { createCanvas, createImageData } = require('canvas');
+const { ValidationError, DimensionMismatchError } = require('../utils/errors');
+const { resample } = require('../utils/resample');
+const { loadImageInput } = require('../utils/imageInput');
+
+const SIZE_POLICIES = ['strict', 'pad', 'crop', 'scale-to-expected'];
 
 class ImageProcessor {
   constructor(options = {}) {
@@ -6,95 +11,344 @@ class ImageProcessor {
   }
 
   async processImages(actual, expected, options) {
-    const actualCanvas = await this._toCanvas(actual);
-    const expectedCanvas = await this._toCanvas(expected);
+    const actualCanvas = await this._toCanvas(actual, 'actual');
+    const expectedCanvas = await this._toCanvas(expected, 'expected');
 
-    const scale = this._calculateScale(expectedCanvas, options.maxSide);
+    const sizePolicy = options.sizePolicy || 'pad';
+    const target = this._targetSize(actualCanvas, expectedCanvas, sizePolicy);
+    const resize = this.parseResize(options.resize);
+    const { scale, width, height } = this._planResize(target, resize, options.maxSide);
+    const filter = options.resampling || 'bilinear';
 
-    const resizedActual = this._resizeImage(actualCanvas, scale);
-    const resizedExpected = this._resizeImage(expectedCanvas, scale);
+    const resizedExpected = this._resizeImage(expectedCanvas, scale, filter);
+    const resizedActual = sizePolicy === 'scale-to-expected'
+      ? this._resizeTo(actualCanvas, resizedExpected.width, resizedExpected.height, filter)
+      : this._resizeImage(actualCanvas, scale, filter);
 
-    const width = resizedExpected.width;
-    const height = resizedExpected.height;
     const processedActual = this._createStandardizedCanvas(resizedActual, width, height, options.backgroundColor);
     const processedExpected = this._createStandardizedCanvas(resizedExpected, width, height, options.backgroundColor);
 
     const actualImageData = processedActual.getContext('2d').getImageData(0, 0, width, height);
     const expectedImageData = processedExpected.getContext('2d').getImageData(0, 0, width, height);
 
+    const ignoreMask = await this.createIgnoreMask(options, scale, width, height);
+
     return {
       actualImageData,
       expectedImageData,
+      ignoreMask,
+      scale,
+      width,
+      height,
+      resize: { mode: resize.mode, resampling: filter, scale, width, height },
+      dimensions: {
+        actual: this._describeSize(actualCanvas),
+        expected: this._describeSize(expectedCanvas),
+        compared: { width: target.width, height: target.height },
+        match: actualCanvas.width === expectedCanvas.width && actualCanvas.height === expectedCanvas.height,
+        sizePolicy
+      }
+    };
+  }
+
+  /**
+   * Decode both images for a tiled comparison: full resolution (`resize` and
+   * `maxSide` don't apply) and nothing read back into JS memory yet. Pixels
+   * are fetched a region at a time with `readRegion`.
+   */
+  async loadFullSize(actual, expected, options) {
+    const actualCanvas = await this._toCanvas(actual, 'actual');
+    const expectedCanvas = await this._toCanvas(expected, 'expected');
+
+    const sizePolicy = options.sizePolicy || 'pad';
+    const { width, height } = this._targetSize(actualCanvas, expectedCanvas, sizePolicy);
+    const filter = options.resampling || 'bilinear';
+    const scale = { x: 1, y: 1 };
+
+    return {
+      actualCanvas: sizePolicy === 'scale-to-expected'
+        ? this._resizeTo(actualCanvas, width, height, filter)
+        : actualCanvas,
+      expectedCanvas,
+      maskCanvas: await this._drawIgnoreMask(options, scale, width, height),
+      backgroundColor: options.backgroundColor,
       width,
-      height
+      height,
+      resize: { mode: 'none', resampling: filter, scale, width, height },
+      dimensions: {
+        actual: this._describeSize(actualCanvas),
+        expected: this._describeSize(expectedCanvas),
+        compared: { width, height },
+        match: actualCanvas.width === expectedCanvas.width && actualCanvas.height === expectedCanvas.height,
+        sizePolicy
+      }
     };
   }
 
-  _toCanvas(input) {
-    // Check if it's already a canvas (Node.js canvas or browser canvas)
-    if (input && typeof input.getContext === 'function' && input.width && input.height) {
-      return input;
+  /**
+   * Pixels of one rectangle of images loaded with `loadFullSize`, standardised
+   * the same way `processImages` standardises whole images
+   * @returns {{actualData: Uint8ClampedArray, expectedData: Uint8ClampedArray, ignoreMask: Uint8Array|null}}
+   */
+  readRegion(images, x, y, width, height) {
+    const read = canvas => this._createStandardizedCanvas(canvas, width, height, images.backgroundColor, x, y)
+      .getContext('2d')
+      .getImageData(0, 0, width, height)
+      .data;
+
+    return {
+      actualData: read(images.actualCanvas),
+      expectedData: read(images.expectedCanvas),
+      ignoreMask: images.maskCanvas ? this._readMask(images.maskCanvas, x, y, width, height) : null
+    };
+  }
+
+  /**
+   * Source-pixel size both images are compared at under `sizePolicy`:
+   * `strict` rejects any mismatch, `pad` uses the larger and `crop` the
+   * smaller extent on each axis, `scale-to-expected` stretches actual to expected
+   */
+  _targetSize(actualCanvas, expectedCanvas, sizePolicy) {
+    const actual = this._describeSize(actualCanvas);
+    const expected = this._describeSize(expectedCanvas);
+    const match = actual.width === expected.width && actual.height === expected.height;
+
+    switch (sizePolicy) {
+    case 'strict':
+      if (!match) {
+        throw new DimensionMismatchError(
+          `Image dimensions differ: actual ${actual.width}x${actual.height}, expected ${expected.width}x${expected.height}`,
+          actual,
+          expected
+        );
+      }
+      return { width: expected.width, height: expected.height };
+    case 'pad':
+      return { width: Math.max(actual.width, expected.width), height: Math.max(actual.height, expected.height) };
+    case 'crop':
+      return { width: Math.min(actual.width, expected.width), height: Math.min(actual.height, expected.height) };
+    case 'scale-to-expected':
+      return { width: expected.width, height: expected.height };
+    default:
+      throw new ValidationError(`Unknown sizePolicy: ${sizePolicy}. Expected one of ${SIZE_POLICIES.join(', ')}`);
     }
+  }
 
-    // Check if it's ImageData
-    if (input && input.data && input.width && input.height && input.data instanceof Uint8ClampedArray) {
-      const canvas = createCanvas(input.width, input.height);
-      const ctx = canvas.getContext('2d');
-      ctx.putImageData(input, 0, 0);
-      return canvas;
+  _describeSize(canvas) {
+    return {
+      width: canvas.width,
+      height: canvas.height,
+      aspectRatio: Math.round((canvas.width / canvas.height) * 10000) / 10000
+    };
+  }
+
+  /**
+   * Rasterise ignore regions and/or a mask image into a per-pixel mask.
+   * Regions are given in source (expected image) coordinates and are scaled
+   * with the same per-axis `scale` as the images.
+   * @returns {Promise<Uint8Array|null>} 1 for ignored pixels, null if nothing is ignored
+   */
+  async createIgnoreMask(options, scale, width, height) {
+    const canvas = await this._drawIgnoreMask(options, scale, width, height);
+    return canvas ? this._readMask(canvas, 0, 0, width, height) : null;
+  }
+
+  // White on black; null when nothing is ignored
+  async _drawIgnoreMask(options, scale, width, height) {
+    const regions = options.ignoreRegions || [];
+    const maskImage = options.ignoreMask;
+
+    if (!Array.isArray(regions)) {
+      throw new ValidationError('ignoreRegions must be an array');
+    }
+    if (regions.length === 0 && !maskImage) {
+      return null;
     }
 
-    // Check if it's a Buffer
-    if (Buffer.isBuffer(input)) {
-      const img = new Image();
-      img.src = input;
-      const canvas = createCanvas(img.width, img.height);
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(img, 0, 0);
-      return canvas;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+
+    if (maskImage) {
+      const maskCanvas = await this._toCanvas(maskImage, 'ignoreMask');
+      ctx.drawImage(maskCanvas, 0, 0, maskCanvas.width * scale.x, maskCanvas.height * scale.y);
     }
 
-    // Check if it's an Image object from canvas library
-    if (input && typeof input === 'object' && input.width && input.height && input.src) {
-      const canvas = createCanvas(input.width, input.height);
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(input, 0, 0);
-      return canvas;
+    ctx.fillStyle = '#fff';
+    ctx.save();
+    ctx.scale(scale.x, scale.y);
+    for (const region of regions) {
+      this._drawRegion(ctx, region);
+    }
+    ctx.restore();
+
+    return canvas;
+  }
+
+  _readMask(canvas, x, y, width, height) {
+    const { data } = canvas.getContext('2d').getImageData(x, y, width, height);
+    const mask = new Uint8Array(width * height);
+
+    // Any coverage at all counts as ignored, so resampled edges stay inside the region
+    for (let i = 0; i < mask.length; i++) {
+      if (data[i * 4] > 0) {
+        mask[i] = 1;
+      }
     }
 
-    throw new Error(`Unsupported image input type: ${typeof input}. Expected Canvas, ImageData, Buffer, or Image object.`);
+    return mask;
   }
 
-  _calculateScale(canvas, maxSide) {
-    const scale = Math.min(maxSide / canvas.width, maxSide / canvas.height);
-    const ratio = canvas.width / canvas.height;
-    const narrow = ratio !== 1;
+  _drawRegion(ctx, region) {
+    if (region && Array.isArray(region.points)) {
+      if (region.points.length < 3) {
+        throw new ValidationError('Polygon ignore regions need at least 3 points');
+      }
+      ctx.beginPath();
+      region.points.forEach((point, i) => {
+        const [x, y] = Array.isArray(point) ? point : [point.x, point.y];
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+          throw new ValidationError(`Invalid polygon point: ${JSON.stringify(point)}`);
+        }
+        if (i === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+      ctx.closePath();
+      ctx.fill();
+      return;
+    }
 
-    return narrow ? scale * 2 : scale;
+    const { x, y, width, height } = region || {};
+    if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+      throw new ValidationError(
+        `Invalid ignore region: ${JSON.stringify(region)}. Expected { x, y, width, height } or { points: [[x, y], ...] }`
+      );
+    }
+    ctx.fillRect(x, y, width, height);
   }
 
-  _resizeImage(canvas, scale) {
-    const newWidth = Math.ceil(canvas.width * scale);
-    const newHeight = Math.ceil(canvas.height * scale);
+  /**
+   * Load any supported input (see loadImageInput) onto a canvas
+   * @param {string} side - 'actual', 'expected' or 'ignoreMask', for error messages
+   */
+  async _toCanvas(input, side) {
+    const image = await loadImageInput(input, side);
+    if (typeof image.getContext === 'function') {
+      return image;
+    }
 
-    const resizedCanvas = createCanvas(newWidth, newHeight);
-    const ctx = resizedCanvas.getContext('2d');
+    const canvas = createCanvas(image.width, image.height);
+    const ctx = canvas.getContext('2d');
+    if (image.data) {
+      ctx.putImageData(image, 0, 0);
+    } else {
+      ctx.drawImage(image, 0, 0);
+    }
+    return canvas;
+  }
+
+  /**
+   * Normalise the `resize` option: `'fit'` (default, longest side to
+   * `maxSide`), `'none'`, a scale factor such as `0.5`, or an exact size as
+   * `'800x600'` or `{ width, height }`
+   * @returns {{mode: string, factor?: number, width?: number, height?: number}}
+   */
+  parseResize(resize = 'fit') {
+    if (resize === 'fit' || resize === 'none') {
+      return { mode: resize };
+    }
+
+    const factor = typeof resize === 'string' && /^\d*\.?\d+$/.test(resize) ? parseFloat(resize) : resize;
+    if (typeof factor === 'number') {
+      if (!(factor > 0) || !Number.isFinite(factor)) {
+        throw new ValidationError(`resize scale factor must be a positive number, got ${resize}`);
+      }
+      return { mode: 'scale', factor };
+    }
+
+    const match = typeof resize === 'string' && resize.match(/^(\d+)x(\d+)$/);
+    const size = match ? { width: parseInt(match[1], 10), height: parseInt(match[2], 10) } : resize;
+    if (size && Number.isInteger(size.width) && Number.isInteger(size.height) && size.width > 0 && size.height > 0) {
+      return { mode: 'exact', width: size.width, height: size.height };
+    }
+
+    throw new ValidationError(
+      `Invalid resize: ${JSON.stringify(resize)}. Expected 'fit', 'none', a scale factor or a size like '800x600'`
+    );
+  }
 
-    ctx.drawImage(canvas, 0, 0, newWidth, newHeight);
+  /**
+   * Scale per axis and compared size for a `target` of source pixels
+   */
+  _planResize(target, resize, maxSide) {
+    if (resize.mode === 'exact') {
+      return {
+        scale: { x: resize.width / target.width, y: resize.height / target.height },
+        width: resize.width,
+        height: resize.height
+      };
+    }
+
+    let factor = 1;
+    if (resize.mode === 'fit') {
+      factor = Math.min(maxSide / target.width, maxSide / target.height);
+    } else if (resize.mode === 'scale') {
+      factor = resize.factor;
+    }
+
+    return {
+      scale: { x: factor, y: factor },
+      width: scaledSize(target.width, factor),
+      height: scaledSize(target.height, factor)
+    };
+  }
+
+  _resizeImage(canvas, scale, filter) {
+    return this._resizeTo(
+      canvas,
+      scaledSize(canvas.width, scale.x),
+      scaledSize(canvas.height, scale.y),
+      filter
+    );
+  }
+
+  _resizeTo(canvas, newWidth, newHeight, filter) {
+    if (canvas.width === newWidth && canvas.height === newHeight) {
+      return canvas;
+    }
+
+    const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    const resized = resample(data, canvas.width, canvas.height, newWidth, newHeight, filter);
+
+    const resizedCanvas = createCanvas(newWidth, newHeight);
+    resizedCanvas.getContext('2d').putImageData(createImageData(resized, newWidth, newHeight), 0, 0);
     return resizedCanvas;
   }
 
-  _createStandardizedCanvas(sourceCanvas, width, height, backgroundColor) {
+  // `x` and `y` pick the part of the source that lands at the canvas origin
+  _createStandardizedCanvas(sourceCanvas, width, height, backgroundColor, x = 0, y = 0) {
     const canvas = createCanvas(width, height);
     const ctx = canvas.getContext('2d');
 
     ctx.fillStyle = `rgba(${backgroundColor.join(',')})`;
     ctx.fillRect(0, 0, width, height);
 
-    ctx.drawImage(sourceCanvas, 0, 0);
+    ctx.drawImage(sourceCanvas, -x, -y);
 
     return canvas;
   }
 }
 
+// Pixels covered by `size * factor`, ignoring float error such as 300 * (800 / 300) = 800.0000000001
+function scaledSize(size, factor) {
+  return Math.max(1, Math.ceil(size * factor - 1e-9));
+}
+
+ImageProcessor.SIZE_POLICIES = SIZE_POLICIES;
+
 module.exports = ImageProcessor;
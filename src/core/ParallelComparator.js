@@ -0,0 +1,170 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { createImageData } = require('canvas');
+const ImageComparator = require('./ImageComparator');
+const { needsMainThread } = require('./plugins');
+const { ComparisonError, errorFromJSON } = require('../utils/errors');
+
+const WORKER_PATH = path.join(__dirname, 'compareWorker.js');
+
+// Options that only matter on the main thread (and may hold functions or an AbortSignal)
+const MAIN_THREAD_OPTIONS = ['reporters', 'overrides', 'signal'];
+
+/**
+ * Drop-in replacement for ImageComparator that runs comparisons on a pool
+ * of worker threads. Inputs that can't cross threads (Canvas, Image) are
+ * compared on the main thread instead.
+ */
+class ParallelComparator {
+  constructor(concurrency, options = {}) {
+    this.concurrency = concurrency;
+    this.options = options;
+    this.localComparator = new ImageComparator(options);
+    this.idleWorkers = [];
+    this.busyWorkers = new Map();
+    this.queue = [];
+    this.nextTaskId = 0;
+  }
+
+  compare(actual, expected, options = {}) {
+    const mergedOptions = { ...this.options, ...options };
+    const message = this._toMessage(actual, expected, mergedOptions);
+
+    if (!message) {
+      return this.localComparator.compare(actual, expected, mergedOptions);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ message, actual, expected, options: mergedOptions, resolve, reject });
+      this._drain();
+    });
+  }
+
+  /**
+   * Terminate every worker. Call once the batch is done so the process can exit.
+   */
+  async close() {
+    const workers = [...this.idleWorkers, ...this.busyWorkers.keys()];
+    this.idleWorkers = [];
+    this.busyWorkers.clear();
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+  _drain() {
+    while (this.queue.length > 0) {
+      let worker = this.idleWorkers.pop();
+      if (!worker) {
+        if (this.busyWorkers.size >= this.concurrency) {
+          return;
+        }
+        worker = this._spawn();
+      }
+
+      const task = this.queue.shift();
+      task.message.id = this.nextTaskId++;
+
+      try {
+        worker.postMessage(task.message);
+      } catch (error) {
+        // Options that can't be cloned (e.g. a canvas ignoreMask): compare here instead
+        this.idleWorkers.push(worker);
+        this.localComparator.compare(task.actual, task.expected, task.options).then(task.resolve, task.reject);
+        continue;
+      }
+      this.busyWorkers.set(worker, task);
+    }
+  }
+
+  _spawn() {
+    const worker = new Worker(WORKER_PATH);
+
+    worker.on('message', ({ result, error }) => {
+      const task = this.busyWorkers.get(worker);
+      this.busyWorkers.delete(worker);
+      this.idleWorkers.push(worker);
+
+      if (error) {
+        task.reject(errorFromJSON(error));
+      } else {
+        task.resolve(this._fromWorkerResult(result));
+      }
+      this._drain();
+    });
+
+    // A crashed worker fails only the comparison it was running
+    const onCrash = reason => {
+      const task = this.busyWorkers.get(worker);
+      this.busyWorkers.delete(worker);
+      this.idleWorkers = this.idleWorkers.filter(idle => idle !== worker);
+
+      if (task) {
+        task.reject(new ComparisonError(`Comparison worker crashed: ${reason}`));
+      }
+      this._drain();
+    };
+    worker.on('error', error => onCrash(error.message));
+    worker.on('exit', code => onCrash(`exited with code ${code}`));
+
+    return worker;
+  }
+
+  _toMessage(actual, expected, options) {
+    // Plugins registered from code don't exist in the workers
+    if (needsMainThread(options)) {
+      return null;
+    }
+
+    const workerOptions = {};
+    for (const [key, value] of Object.entries(options)) {
+      if (!MAIN_THREAD_OPTIONS.includes(key) && typeof value !== 'function') {
+        workerOptions[key] = value;
+      }
+    }
+
+    const inputs = [this._toTransferable(actual), this._toTransferable(expected)];
+    if (inputs.includes(null)) {
+      return null;
+    }
+
+    if (options.ignoreMask) {
+      workerOptions.ignoreMask = this._toTransferable(options.ignoreMask);
+      if (!workerOptions.ignoreMask) {
+        return null;
+      }
+    }
+
+    return { actual: inputs[0], expected: inputs[1], options: workerOptions };
+  }
+
+  // Canvases, Images and streams can't cross threads; those pairs run locally
+  _toTransferable(input) {
+    if (typeof input === 'string') {
+      return { type: 'string', data: input };
+    }
+    if (input instanceof Uint8Array) {
+      return { type: 'buffer', data: new Uint8Array(input) };
+    }
+    if (input && ArrayBuffer.isView(input.data) && input.width && input.height && !input.getContext) {
+      return { type: 'imageData', data: input.data, width: input.width, height: input.height };
+    }
+    return null;
+  }
+
+  _fromWorkerResult(result) {
+    const toBuffer = bytes => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const diffImages = {};
+    for (const [style, image] of Object.entries(result.diffImages)) {
+      diffImages[style] = toBuffer(image);
+    }
+
+    const { diffImageData } = result;
+    return {
+      ...result,
+      diffImageData: diffImageData && createImageData(diffImageData.data, diffImageData.width, diffImageData.height),
+      diffImage: toBuffer(result.diffImage),
+      diffImages
+    };
+  }
+}
+
+module.exports = ParallelComparator;
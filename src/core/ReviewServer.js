@@ -0,0 +1,482 @@
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const { detectFormat } = require('../utils/imageInput');
+const { ValidationError } = require('../utils/errors');
+
+const DECISIONS_FILENAME = 'review-decisions.json';
+const DECISIONS_VERSION = 1;
+const DECISIONS = ['accepted', 'rejected'];
+const HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Results that need a reviewer; passed and cancelled pairs are left out
+const REVIEWABLE_STATUSES = new Set(['failed', 'error', 'missing-baseline', 'missing-actual']);
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  bmp: 'image/bmp'
+};
+
+/**
+ * Local web page for going through a directory comparison: baseline, actual
+ * and diff side by side with zoom, and buttons to accept a change (the actual
+ * image becomes the baseline, recorded in the baseline manifest) or mark it
+ * as a regression. Decisions are saved to `review-decisions.json` in the
+ * baseline directory. Everything is served from this process, so it works
+ * offline; it only listens on 127.0.0.1.
+ */
+class ReviewServer {
+  /**
+   * @param {VisualComparisonEngine} engine - Used to approve accepted images
+   * @param {Object} report - From `compareDirectories`
+   * @param {Object} options - `port` (default: any free port), `decisionsPath` and `manifestPath`
+   */
+  constructor(engine, report, options = {}) {
+    this.engine = engine;
+    this.report = report;
+    this.options = options;
+    this.decisionsPath = options.decisionsPath || path.join(report.baselineDir, DECISIONS_FILENAME);
+    this.results = new Map(
+      report.results.filter(result => REVIEWABLE_STATUSES.has(result.status)).map(result => [result.name, result])
+    );
+    this.decisions = {};
+    this.server = null;
+    this.url = null;
+  }
+
+  /**
+   * @returns {Promise<string>} The page URL
+   */
+  async start() {
+    this.decisions = (await this.readDecisions()).decisions;
+    this.server = http.createServer((request, response) => {
+      this._handle(request, response).catch(error => {
+        const status = error instanceof ValidationError ? 400 : 500;
+        sendJson(response, status, { error: error.message });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port || 0, HOST, resolve);
+    });
+
+    this.port = this.server.address().port;
+    this.url = `http://${HOST}:${this.port}/`;
+    return this.url;
+  }
+
+  close() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      // Browsers keep idle connections open, which would hold close() up;
+      // closeAllConnections only exists from Node 18.2
+      if (typeof this.server.closeAllConnections === 'function') {
+        this.server.closeAllConnections();
+      }
+    });
+  }
+
+  async readDecisions() {
+    let contents;
+    try {
+      contents = await fs.readFile(this.decisionsPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { version: DECISIONS_VERSION, decisions: {} };
+      }
+      throw error;
+    }
+
+    try {
+      const file = JSON.parse(contents);
+      return { version: DECISIONS_VERSION, ...file, decisions: file.decisions || {} };
+    } catch (error) {
+      throw new ValidationError(`Invalid review decisions ${this.decisionsPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a decision; `accepted` first copies the actual image over the baseline
+   * @returns {Promise<Object>} The updated item, as listed by `/api/results`
+   */
+  async decide(name, decision, note = '') {
+    const result = this.results.get(name);
+    if (!result) {
+      throw new ValidationError(`Nothing to review named ${name}`);
+    }
+    if (!DECISIONS.includes(decision)) {
+      throw new ValidationError(`Unknown decision: ${decision}. Expected one of ${DECISIONS.join(', ')}`);
+    }
+
+    if (decision === 'accepted') {
+      if (!result.actual) {
+        throw new ValidationError(`${name} has no actual image to accept`);
+      }
+      // By exact name: `files` globs would also match e.g. mobile/typography.png
+      await this.engine.baselineManager.approveNames(this.report.baselineDir, this.report.actualDir, [name], {
+        manifestPath: this.options.manifestPath
+      });
+      result.baseline = path.join(this.report.baselineDir, name);
+    }
+
+    this.decisions[name] = {
+      decision,
+      decidedAt: new Date().toISOString(),
+      status: result.status,
+      diffCount: result.diffCount !== undefined ? result.diffCount : null,
+      note: note || undefined
+    };
+    await this._writeDecisions();
+
+    return this._item(result);
+  }
+
+  async _writeDecisions() {
+    const sorted = {};
+    for (const name of Object.keys(this.decisions).sort()) {
+      sorted[name] = this.decisions[name];
+    }
+
+    await fs.mkdir(path.dirname(this.decisionsPath), { recursive: true });
+    await fs.writeFile(
+      this.decisionsPath,
+      `${JSON.stringify({ version: DECISIONS_VERSION, decisions: sorted }, null, 2)}\n`
+    );
+  }
+
+  async _handle(request, response) {
+    // Refuse other hosts (DNS rebinding) so only pages on this machine can drive the server
+    if (![`${HOST}:${this.port}`, `localhost:${this.port}`].includes(request.headers.host)) {
+      sendJson(response, 403, { error: 'Forbidden host' });
+      return;
+    }
+
+    const url = new URL(request.url, this.url);
+
+    if (request.method === 'GET' && url.pathname === '/') {
+      send(response, 200, 'text/html; charset=utf-8', PAGE);
+    } else if (request.method === 'GET' && url.pathname === '/api/results') {
+      sendJson(response, 200, {
+        baselineDir: this.report.baselineDir,
+        actualDir: this.report.actualDir,
+        decisionsPath: this.decisionsPath,
+        summary: this.report.summary,
+        items: [...this.results.values()].map(result => this._item(result))
+      });
+    } else if (request.method === 'POST' && url.pathname === '/api/decisions') {
+      // JSON only: a cross-site form post can't set this content type without a CORS preflight
+      if (!String(request.headers['content-type']).startsWith('application/json')) {
+        sendJson(response, 415, { error: 'Expected application/json' });
+        return;
+      }
+      const { name, decision, note } = await readJson(request);
+      sendJson(response, 200, await this.decide(name, decision, note));
+    } else if (request.method === 'GET' && url.pathname.startsWith('/image/')) {
+      await this._sendImage(response, url.pathname.slice('/image/'.length), url.searchParams);
+    } else {
+      sendJson(response, 404, { error: 'Not found' });
+    }
+  }
+
+  // Only images that belong to a listed result are served, never arbitrary paths
+  async _sendImage(response, kind, params) {
+    const result = this.results.get(params.get('name'));
+    let image = null;
+
+    if (result && kind === 'diff' && result.diffImages) {
+      image = result.diffImages[params.get('style') || result.diffStyle] || null;
+    } else if (result && (kind === 'baseline' || kind === 'actual') && result[kind]) {
+      try {
+        image = await fs.readFile(result[kind]);
+      } catch (error) {
+        // Deleted since the comparison ran
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    if (!image) {
+      sendJson(response, 404, { error: 'No such image' });
+      return;
+    }
+    send(response, 200, MIME_TYPES[detectFormat(image)] || 'application/octet-stream', image);
+  }
+
+  _item(result) {
+    return {
+      name: result.name,
+      status: result.status,
+      diffCount: result.diffCount !== undefined ? result.diffCount : null,
+      significantDiffPixels: result.details ? result.details.significantDiffPixels : null,
+      clusters: result.details ? result.details.clusters.length : 0,
+      significance: result.details ? result.details.significance : null,
+      error: result.error || null,
+      hasBaseline: Boolean(result.baseline),
+      hasActual: Boolean(result.actual),
+      diffStyles: result.diffImages ? Object.keys(result.diffImages) : [],
+      diffStyle: result.diffStyle || null,
+      decision: this.decisions[result.name] || null
+    };
+  }
+}
+
+function send(response, status, contentType, body) {
+  response.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+  response.end(body);
+}
+
+function sendJson(response, status, value) {
+  send(response, status, 'application/json; charset=utf-8', JSON.stringify(value));
+}
+
+async function readJson(request) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new ValidationError('Request body too large');
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    throw new ValidationError(`Invalid JSON: ${error.message}`);
+  }
+}
+
+const STYLES = `
+body { font-family: system-ui, sans-serif; margin: 0; background: #f4f4f4; color: #222; height: 100vh; display: flex; flex-direction: column; }
+header { background: #fff; padding: 12px 24px; border-bottom: 1px solid #ddd; }
+h1 { margin: 0 0 4px; font-size: 20px; }
+.summary, .meta { color: #555; font-size: 13px; margin: 0; }
+.layout { flex: 1; display: flex; min-height: 0; }
+nav { width: 280px; overflow-y: auto; background: #fff; border-right: 1px solid #ddd; }
+nav button { display: block; width: 100%; text-align: left; border: 0; border-bottom: 1px solid #eee; background: none; padding: 8px 12px; cursor: pointer; font: inherit; font-size: 13px; }
+nav button.active { background: #e3f2fd; }
+nav .name { display: block; word-break: break-all; }
+main { flex: 1; display: flex; flex-direction: column; min-width: 0; padding: 12px 16px; }
+.badge { text-transform: uppercase; font-size: 10px; padding: 1px 5px; border-radius: 3px; color: #fff; background: #6d4c41; }
+.badge.failed { background: #c62828; }
+.badge.missing-baseline, .badge.missing-actual { background: #ef6c00; }
+.badge.accepted { background: #2e7d32; }
+.badge.rejected { background: #4a148c; }
+.toolbar { display: flex; gap: 8px; align-items: center; flex-wrap: wrap; margin: 8px 0; }
+.toolbar button { border: 1px solid #ccc; background: #fafafa; padding: 4px 10px; cursor: pointer; }
+.toolbar button.active { background: #333; color: #fff; }
+.toolbar .accept { background: #2e7d32; color: #fff; border-color: #2e7d32; }
+.toolbar .reject { background: #c62828; color: #fff; border-color: #c62828; }
+.toolbar input[type=text] { flex: 1; min-width: 160px; padding: 4px; }
+.panes { flex: 1; display: flex; gap: 12px; min-height: 0; }
+.pane { flex: 1; display: flex; flex-direction: column; min-width: 0; }
+.pane h3 { font-size: 12px; color: #777; font-weight: normal; margin: 0 0 4px; }
+.scroll { flex: 1; overflow: auto; background: repeating-conic-gradient(#ddd 0% 25%, #fff 0% 50%) 0 0 / 16px 16px; border: 1px solid #ddd; }
+.scroll img { display: block; image-rendering: pixelated; }
+.fit .scroll img { max-width: 100%; max-height: 100%; }
+.missing, .empty, .message { padding: 24px; color: #999; text-align: center; }
+.message { color: #6d4c41; }
+`;
+
+const SCRIPT = `
+(function () {
+  var items = [];
+  var current = -1;
+  var zoom = 'fit';
+  var diffStyle = null;
+  var version = Date.now();
+  var list = document.getElementById('list');
+  var viewer = document.getElementById('viewer');
+
+  function escape(value) {
+    return String(value).replace(/[&<>"']/g, function (c) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+    });
+  }
+
+  function imageUrl(kind, item) {
+    var url = 'image/' + kind + '?name=' + encodeURIComponent(item.name) + '&v=' + version;
+    return kind === 'diff' && diffStyle ? url + '&style=' + encodeURIComponent(diffStyle) : url;
+  }
+
+  function load() {
+    fetch('api/results').then(function (response) { return response.json(); }).then(function (data) {
+      items = data.items;
+      var decided = items.filter(function (item) { return item.decision; }).length;
+      document.getElementById('summary').textContent = items.length + ' to review, ' + decided + ' decided. ' +
+        'Baselines: ' + data.baselineDir + ' \\u00b7 actual: ' + data.actualDir + ' \\u00b7 decisions: ' + data.decisionsPath;
+      renderList();
+      show(items.length > 0 ? 0 : -1);
+    });
+  }
+
+  function renderList() {
+    list.innerHTML = items.map(function (item, index) {
+      var decision = item.decision ? ' <span class="badge ' + item.decision.decision + '">' + item.decision.decision + '</span>' : '';
+      var pixels = item.diffCount !== null ? ' ' + item.diffCount + ' px' : '';
+      return '<button data-index="' + index + '" class="' + (index === current ? 'active' : '') + '">' +
+        '<span class="name">' + escape(item.name) + '</span>' +
+        '<span class="badge ' + item.status + '">' + item.status + '</span>' + decision + pixels + '</button>';
+    }).join('');
+  }
+
+  function pane(label, kind, item, available) {
+    return '<div class="pane"><h3>' + label + '</h3><div class="scroll">' +
+      (available ? '<img src="' + imageUrl(kind, item) + '" alt="' + label + '">' : '<div class="missing">Not available</div>') +
+      '</div></div>';
+  }
+
+  function show(index) {
+    current = index;
+    renderList();
+    if (index < 0) {
+      viewer.innerHTML = '<p class="empty">Nothing to review: every comparison passed.</p>';
+      return;
+    }
+
+    var item = items[index];
+    if (!diffStyle || item.diffStyles.indexOf(diffStyle) < 0) diffStyle = item.diffStyle;
+    var meta = item.error ? item.error
+      : item.diffCount !== null ? item.diffCount + ' diff pixels, ' + item.significantDiffPixels + ' significant, ' + item.clusters + ' clusters'
+        : item.status;
+    var reason = item.significance && item.significance.reason ? ' \\u00b7 ' + item.significance.strategy + ': ' + item.significance.reason : '';
+    var decided = item.decision ? ' \\u00b7 ' + item.decision.decision + (item.decision.note ? ' (' + item.decision.note + ')' : '') : '';
+    var zooms = ['fit', 1, 2, 4, 8].map(function (value) {
+      return '<button data-zoom="' + value + '" class="' + (String(value) === String(zoom) ? 'active' : '') + '">' +
+        (value === 'fit' ? 'Fit' : value + '\\u00d7') + '</button>';
+    }).join('');
+    var styles = item.diffStyles.length > 1 ? '<select id="diff-style">' + item.diffStyles.map(function (style) {
+      return '<option' + (style === diffStyle ? ' selected' : '') + '>' + escape(style) + '</option>';
+    }).join('') + '</select>' : '';
+
+    viewer.innerHTML = '<h2>' + escape(item.name) + '</h2>' +
+      '<p class="meta">' + escape(meta + reason + decided) + '</p>' +
+      '<div class="toolbar">' + zooms + styles +
+      '<input type="text" id="note" placeholder="Note (optional)" value="' + escape(item.decision && item.decision.note || '') + '">' +
+      '<button class="accept" data-decision="accepted"' + (item.hasActual ? '' : ' disabled') + ' title="a">Accept change</button>' +
+      '<button class="reject" data-decision="rejected" title="r">Mark as regression</button></div>' +
+      '<div class="panes ' + (zoom === 'fit' ? 'fit' : '') + '">' +
+      pane('Baseline', 'baseline', item, item.hasBaseline) +
+      pane('Actual', 'actual', item, item.hasActual) +
+      pane('Diff', 'diff', item, item.diffStyles.length > 0) + '</div>' +
+      (item.error ? '<p class="message">' + escape(item.error) + '</p>' : '');
+
+    applyZoom();
+  }
+
+  function applyZoom() {
+    viewer.querySelectorAll('.scroll img').forEach(function (img) {
+      var size = function () { img.style.width = zoom === 'fit' ? '' : img.naturalWidth * zoom + 'px'; };
+      if (img.complete) size(); else img.addEventListener('load', size);
+    });
+  }
+
+  function decide(decision) {
+    var item = items[current];
+    if (!item) return;
+    var note = document.getElementById('note').value;
+    fetch('api/decisions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: item.name, decision: decision, note: note })
+    }).then(function (response) {
+      return response.json().then(function (body) {
+        if (!response.ok) throw new Error(body.error);
+        items[current] = body;
+        version = Date.now();
+        var next = items.findIndex(function (candidate, index) { return index > current && !candidate.decision; });
+        show(next >= 0 ? next : current);
+      });
+    }).catch(function (error) {
+      alert(error.message);
+    });
+  }
+
+  list.addEventListener('click', function (event) {
+    var button = event.target.closest('button');
+    if (button) show(Number(button.dataset.index));
+  });
+
+  viewer.addEventListener('click', function (event) {
+    var button = event.target.closest('button');
+    if (!button) return;
+    if (button.dataset.zoom) {
+      zoom = button.dataset.zoom === 'fit' ? 'fit' : Number(button.dataset.zoom);
+      show(current);
+    } else if (button.dataset.decision) {
+      decide(button.dataset.decision);
+    }
+  });
+
+  viewer.addEventListener('change', function (event) {
+    if (event.target.id === 'diff-style') {
+      diffStyle = event.target.value;
+      show(current);
+    }
+  });
+
+  // Zoomed panes scroll together
+  var syncing = false;
+  viewer.addEventListener('scroll', function (event) {
+    if (syncing || !event.target.classList || !event.target.classList.contains('scroll')) return;
+    syncing = true;
+    viewer.querySelectorAll('.scroll').forEach(function (other) {
+      if (other !== event.target) {
+        other.scrollLeft = event.target.scrollLeft;
+        other.scrollTop = event.target.scrollTop;
+      }
+    });
+    syncing = false;
+  }, true);
+
+  document.addEventListener('keydown', function (event) {
+    if (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT') return;
+    if (event.key === 'j' || event.key === 'ArrowDown') show(Math.min(items.length - 1, current + 1));
+    else if (event.key === 'k' || event.key === 'ArrowUp') show(Math.max(0, current - 1));
+    else if (event.key === 'a' && items[current] && items[current].hasActual) decide('accepted');
+    else if (event.key === 'r') decide('rejected');
+    else if (event.key === '0') { zoom = 'fit'; show(current); }
+    else if (['1', '2', '4', '8'].indexOf(event.key) >= 0) { zoom = Number(event.key); show(current); }
+    else return;
+    event.preventDefault();
+  });
+
+  load();
+})();
+`;
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Visual Review</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>Visual Review</h1>
+  <p class="summary" id="summary">Loading&hellip;</p>
+  <p class="meta">Keys: j/k next/previous &middot; a accept &middot; r regression &middot; 0 fit &middot; 1 2 4 8 zoom</p>
+</header>
+<div class="layout">
+  <nav id="list"></nav>
+  <main id="viewer"></main>
+</div>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+
+ReviewServer.DECISIONS = DECISIONS;
+
+module.exports = ReviewServer;
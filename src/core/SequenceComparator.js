@@ -0,0 +1,142 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { diffStylePath } = require('./DiffRenderer');
+const { loadFrames } = require('../utils/frames');
+const { ValidationError, errorCode } = require('../utils/errors');
+const { STATUS } = require('./DirectoryComparator');
+
+/**
+ * Compare two animations frame by frame. With a `temporalOffset` of k,
+ * actual frame N may match any expected frame N±k, so a sketch that runs a
+ * frame or two ahead or behind still passes.
+ */
+class SequenceComparator {
+  constructor(comparator, options = {}) {
+    this.comparator = comparator;
+    this.options = options;
+  }
+
+  /**
+   * @param {string|Buffer|Array} actual - Frame directory, GIF/APNG path or Buffer, or an array of images
+   * @param {string|Buffer|Array} expected - Same, for the baseline
+   * @returns {Promise<{results: Array, summary: Object}>} One result per frame, in order
+   */
+  async compare(actual, expected, options = {}) {
+    const mergedOptions = { ...this.options, ...options };
+    const temporalOffset = mergedOptions.temporalOffset || 0;
+    if (!Number.isInteger(temporalOffset) || temporalOffset < 0) {
+      throw new ValidationError(`temporalOffset must be a non-negative integer, got ${temporalOffset}`);
+    }
+
+    const [actualFrames, expectedFrames] = await Promise.all([loadFrames(actual), loadFrames(expected)]);
+    const results = [];
+
+    for (let index = 0; index < actualFrames.length; index++) {
+      results.push(await this._compareFrame(index, actualFrames, expectedFrames, temporalOffset, mergedOptions));
+    }
+    for (let index = actualFrames.length; index < expectedFrames.length; index++) {
+      results.push({
+        name: expectedFrames[index].name,
+        frame: index,
+        status: STATUS.MISSING_ACTUAL,
+        ok: false
+      });
+    }
+
+    return {
+      results,
+      summary: this._summarize(results, actualFrames.length, expectedFrames.length)
+    };
+  }
+
+  /**
+   * Try expected frames nearest first (N, N-1, N+1, N-2, ...) and keep the
+   * first that passes; when none does, report the comparison against frame N
+   * (or the nearest one that exists)
+   */
+  async _compareFrame(index, actualFrames, expectedFrames, temporalOffset, options) {
+    const { name, image } = actualFrames[index];
+    const candidates = [index];
+    for (let step = 1; step <= temporalOffset; step++) {
+      candidates.push(index - step, index + step);
+    }
+    const inRange = candidates.filter(candidate => candidate >= 0 && candidate < expectedFrames.length);
+
+    if (inRange.length === 0) {
+      return { name, frame: index, status: STATUS.MISSING_BASELINE, ok: false };
+    }
+
+    const startedAt = performance.now();
+    let closest = null;
+
+    try {
+      for (const candidate of inRange) {
+        const result = await this.comparator.compare(image, expectedFrames[candidate].image, options);
+        // Keep only the encoded diffs; raw pixel data adds up over long animations
+        delete result.diffImageData;
+        delete result.diffMask;
+
+        const entry = {
+          name,
+          frame: index,
+          matchedFrame: candidate,
+          offset: candidate - index,
+          status: result.ok ? STATUS.PASSED : STATUS.FAILED,
+          ...result
+        };
+        if (result.ok) {
+          return { ...entry, duration: Math.round(performance.now() - startedAt) };
+        }
+        closest = closest || entry;
+      }
+
+      if (options.outputDir) {
+        closest.diffPath = await this._writeDiffs(closest, options.outputDir);
+      }
+    } catch (error) {
+      return {
+        name,
+        frame: index,
+        status: STATUS.ERROR,
+        ok: false,
+        error: error.message,
+        errorCode: errorCode(error),
+        duration: Math.round(performance.now() - startedAt)
+      };
+    }
+
+    return { ...closest, duration: Math.round(performance.now() - startedAt) };
+  }
+
+  async _writeDiffs(result, outputDir) {
+    // Named like DirectoryComparator's diffs: frame-001.png -> frame-001.png.diff.png
+    const diffPath = path.join(outputDir, `${result.name}.diff.png`);
+    await fs.mkdir(outputDir, { recursive: true });
+    for (const [style, image] of Object.entries(result.diffImages)) {
+      await fs.writeFile(diffStylePath(diffPath, style, result.diffStyle), image);
+    }
+    return diffPath;
+  }
+
+  _summarize(results, actualCount, expectedCount) {
+    const count = status => results.filter(r => r.status === status).length;
+    const divergent = results.find(r => !r.ok);
+    const summary = {
+      total: results.length,
+      passed: count(STATUS.PASSED),
+      failed: count(STATUS.FAILED),
+      errors: count(STATUS.ERROR),
+      missingActual: count(STATUS.MISSING_ACTUAL),
+      missingBaseline: count(STATUS.MISSING_BASELINE),
+      frameCount: { actual: actualCount, expected: expectedCount },
+      firstDivergentFrame: divergent ? divergent.frame : null,
+      // Largest offset any passing frame needed
+      maxOffset: Math.max(0, ...results.filter(r => r.ok).map(r => Math.abs(r.offset)))
+    };
+
+    summary.ok = divergent === undefined;
+    return summary;
+  }
+}
+
+module.exports = SequenceComparator;
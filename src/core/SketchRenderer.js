@@ -0,0 +1,274 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createRequire } = require('module');
+const { ValidationError, MissingFileError, RenderError } = require('../utils/errors');
+
+const HTML_TEMPLATE = '<!DOCTYPE html><html><head></head><body><main></main></body></html>';
+
+class SketchRenderer {
+  constructor(options = {}) {
+    this.options = {
+      frames: 1,
+      seed: 0,
+      frameRate: 60,
+      pixelDensity: 1,
+      startTime: '2020-01-01T00:00:00.000Z',
+      timeout: 10000,
+      mode: 'auto',
+      ...options
+    };
+  }
+
+  /**
+   * Render a p5.js sketch headlessly and capture the canvas as a PNG
+   * @param {string} sketchPath - Global-mode sketch, or a module exporting an instance-mode sketch function
+   * @param {Object} options - `frames`, `seed`, `frameRate`, `pixelDensity`,
+   *   `startTime`, `timeout`, `mode` ('auto' | 'global' | 'instance') and `output`
+   * @returns {Promise<{buffer: Buffer, width: number, height: number, frames: number, output: string|null}>}
+   */
+  async render(sketchPath, options = {}) {
+    const mergedOptions = { ...this.options };
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined) {
+        mergedOptions[key] = value;
+      }
+    }
+    this._validateOptions(mergedOptions);
+
+    const resolvedPath = path.resolve(sketchPath);
+    let source;
+    try {
+      source = await fs.readFile(resolvedPath, 'utf8');
+    } catch (error) {
+      throw new MissingFileError(`Sketch not found: ${sketchPath}`, resolvedPath, error);
+    }
+
+    const dom = this._createDom();
+    const { window } = dom;
+
+    try {
+      const clock = this._pinEnvironment(window, mergedOptions);
+      await this._waitForLoad(window);
+      window.eval(await this._loadP5Source(resolvedPath));
+      // Let p5's own global-mode bootstrap run (and find nothing) before we start the sketch
+      await new Promise(resolve => setImmediate(resolve));
+
+      if (typeof window.p5 !== 'function') {
+        throw new RenderError('p5 failed to initialise in the headless window');
+      }
+
+      const instance = await this._start(window, resolvedPath, source, mergedOptions);
+
+      // The first frame is drawn right after setup; drive the rest manually
+      for (let frame = 1; frame < mergedOptions.frames; frame++) {
+        clock.advance();
+        instance.redraw();
+      }
+
+      const buffer = this._captureCanvas(instance);
+      if (mergedOptions.output) {
+        await fs.mkdir(path.dirname(path.resolve(mergedOptions.output)), { recursive: true });
+        await fs.writeFile(mergedOptions.output, buffer);
+      }
+
+      return {
+        buffer,
+        width: instance.canvas.width,
+        height: instance.canvas.height,
+        frames: mergedOptions.frames,
+        output: mergedOptions.output || null
+      };
+    } catch (error) {
+      if (error instanceof RenderError) {
+        throw error;
+      }
+      throw new RenderError(`Failed to render ${sketchPath}: ${error.message}`, error);
+    } finally {
+      window.close();
+    }
+  }
+
+  _validateOptions(options) {
+    if (!Number.isInteger(options.frames) || options.frames < 1) {
+      throw new ValidationError(`frames must be a positive integer, got ${options.frames}`);
+    }
+    if (!(options.frameRate > 0)) {
+      throw new ValidationError(`frameRate must be positive, got ${options.frameRate}`);
+    }
+    if (Number.isNaN(new Date(options.startTime).getTime())) {
+      throw new ValidationError(`Invalid startTime: ${options.startTime}`);
+    }
+    if (!['auto', 'global', 'instance'].includes(options.mode)) {
+      throw new ValidationError(`mode must be auto, global or instance, got ${options.mode}`);
+    }
+  }
+
+  _createDom() {
+    // jsdom picks up node-canvas automatically for <canvas> support
+    const { JSDOM } = require('jsdom');
+    return new JSDOM(HTML_TEMPLATE, { runScripts: 'outside-only' });
+  }
+
+  /**
+   * Replace every time and randomness source a sketch can reach with
+   * deterministic ones, so repeated renders are pixel-identical
+   */
+  _pinEnvironment(window, options) {
+    const frameDuration = 1000 / options.frameRate;
+    const startTime = new Date(options.startTime).getTime();
+    const clock = {
+      now: 0,
+      advance() {
+        clock.now += frameDuration;
+      }
+    };
+
+    Object.defineProperty(window.performance, 'now', {
+      configurable: true,
+      value: () => clock.now
+    });
+
+    const NativeDate = window.Date;
+    // A function, not a class: like the real Date, `Date()` without `new` returns a string
+    function PinnedDate(...args) {
+      if (!new.target) {
+        return new NativeDate(startTime + clock.now).toString();
+      }
+      const date = args.length === 0 ? new NativeDate(startTime + clock.now) : new NativeDate(...args);
+      // Keeps subclasses (`class Stamp extends Date`) working
+      return Object.setPrototypeOf(date, new.target.prototype);
+    }
+    Object.setPrototypeOf(PinnedDate, NativeDate);
+    PinnedDate.prototype = NativeDate.prototype;
+    PinnedDate.now = () => startTime + clock.now;
+    window.Date = PinnedDate;
+
+    window.Math.random = createSeededRandom(options.seed);
+
+    // Frames are driven by hand; never let p5 schedule its own loop
+    window.requestAnimationFrame = () => 0;
+    window.cancelAnimationFrame = () => {};
+
+    return clock;
+  }
+
+  _waitForLoad(window) {
+    if (window.document.readyState === 'complete') {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+  }
+
+  _loadP5Source(sketchPath) {
+    let p5Path;
+    try {
+      p5Path = require.resolve('p5/lib/p5.min.js', { paths: [path.dirname(sketchPath), process.cwd(), __dirname] });
+    } catch (error) {
+      throw new RenderError('p5 is not installed. Add it to your project with `npm install p5`', error);
+    }
+    return fs.readFile(p5Path, 'utf8');
+  }
+
+  _start(window, sketchPath, source, options) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new RenderError(`Sketch did not finish setup within ${options.timeout}ms (stuck in preload?)`));
+      }, options.timeout);
+
+      const wrapSetup = userSetup => function setup() {
+        // `this` is the window in global mode and the p5 instance in instance mode
+        this.randomSeed(options.seed);
+        this.noiseSeed(options.seed);
+        this.pixelDensity(options.pixelDensity);
+        if (typeof userSetup === 'function') {
+          userSetup.call(this);
+        }
+        this.noLoop();
+      };
+
+      // p5 draws the first frame synchronously after setup, so resolving on
+      // the next tick hands back an instance with frame 1 already rendered
+      const onReady = instance => {
+        setImmediate(() => {
+          clearTimeout(timer);
+          resolve(instance);
+        });
+      };
+
+      try {
+        if (this._isInstanceMode(source, options)) {
+          const sketch = this._evaluateSketch(window, sketchPath, source);
+          new window.p5(p => {
+            sketch(p);
+            const userSetup = p.setup;
+            p.setup = function () {
+              wrapSetup(userSetup).call(p);
+              onReady(p);
+            };
+          }, window.document.querySelector('main'));
+        } else {
+          window.eval(source);
+          const userSetup = window.setup;
+          window.setup = function () {
+            wrapSetup(userSetup).call(window);
+            onReady(window.p5.instance);
+          };
+          new window.p5();
+        }
+      } catch (error) {
+        clearTimeout(timer);
+        reject(error);
+      }
+    });
+  }
+
+  _isInstanceMode(source, options) {
+    if (options.mode !== 'auto') {
+      return options.mode === 'instance';
+    }
+    return /\bmodule\.exports\b|\bexports\.\w+\s*=/.test(source);
+  }
+
+  /**
+   * Run an instance-mode module inside the jsdom window rather than with
+   * Node's require, so it sees the pinned Date, Math.random and performance
+   */
+  _evaluateSketch(window, sketchPath, source) {
+    const module = { exports: {} };
+    const factory = window.eval(`(function (module, exports, require, __filename, __dirname) {\n${source}\n})`);
+    factory.call(module.exports, module, module.exports, createRequire(sketchPath), sketchPath, path.dirname(sketchPath));
+
+    const exported = module.exports;
+    const sketch = typeof exported === 'function' ? exported : exported && exported.default;
+
+    if (typeof sketch !== 'function') {
+      throw new RenderError(`Instance-mode sketch ${sketchPath} must export a function (p) => { ... }`);
+    }
+    return sketch;
+  }
+
+  _captureCanvas(instance) {
+    if (!instance.canvas || typeof instance.canvas.toDataURL !== 'function') {
+      throw new RenderError('Sketch has no canvas to capture');
+    }
+
+    const dataUrl = instance.canvas.toDataURL('image/png');
+    return Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64');
+  }
+}
+
+/**
+ * mulberry32: small, fast seeded PRNG used in place of Math.random
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = SketchRenderer;
@@ -0,0 +1,238 @@
+const { createCanvas, createImageData } = require('canvas');
+const { resolvePlugin, resolvePreprocessors, applyPreprocessors } = require('./plugins');
+const { ValidationError } = require('../utils/errors');
+
+// Styles that can be drawn from the diff alone; the others need both whole images
+const TILED_DIFF_STYLES = ['pixelmatch', 'annotated'];
+
+/**
+ * Compare very large images in square tiles at full resolution. Only one
+ * tile of pixels is in JS memory at a time; the diff mask (one byte per pixel)
+ * and the diff image (on a canvas) are the only full-size buffers. Each tile
+ * is diffed with a margin of surrounding pixels, because pixelmatch's
+ * anti-aliasing check, SSIM windows and blurring look past the tile edge,
+ * and clusters that cross tile edges are joined, so the verdict, counts and
+ * clusters match a comparison with `resize: 'none'`.
+ */
+class TiledComparator {
+  constructor(comparator, options = {}) {
+    this.comparator = comparator;
+    this.options = options;
+  }
+
+  async compare(actual, expected, options = {}) {
+    const mergedOptions = { ...this.options, ...options };
+    const { processor, clusterAnalyzer, diffRenderer } = this.comparator;
+    const diffStyles = this._resolveStyles(mergedOptions);
+
+    const images = await processor.loadFullSize(actual, expected, mergedOptions);
+    const { width, height, resize, dimensions } = images;
+    const tileSize = mergedOptions.tileSize;
+    const metric = mergedOptions.metric || 'pixelmatch';
+    const compareRegion = resolvePlugin('metric', metric);
+    // Context the metric needs on every side of a tile; preprocessing context is added when reading
+    const margin = compareRegion.margin ? compareRegion.margin(mergedOptions) : 0;
+    images.preprocess = resolvePreprocessors(mergedOptions.preprocess);
+
+    const diffMask = new Uint8Array(width * height);
+    const diffCanvas = createCanvas(width, height);
+    const scores = [];
+    let diffCount = 0;
+    let ignoredPixels = 0;
+    let tileCount = 0;
+
+    for (let y = 0; y < height; y += tileSize) {
+      for (let x = 0; x < width; x += tileSize) {
+        const tile = { x, y, width: Math.min(tileSize, width - x), height: Math.min(tileSize, height - y) };
+        const result = this._compareTile(images, tile, margin, compareRegion, mergedOptions, diffMask, diffCanvas);
+
+        diffCount += result.diffCount;
+        ignoredPixels += result.ignoredPixels;
+        scores.push({ score: result.score, pixels: tile.width * tile.height });
+        tileCount++;
+      }
+    }
+
+    const readImages = (x, y, regionWidth, regionHeight) => this._readRegion(images, x, y, regionWidth, regionHeight);
+    const clusterAnalysis = diffCount === 0
+      ? { clusters: [], significantClusters: 0, significantPixels: 0, totalClusters: 0, categories: {} }
+      : clusterAnalyzer.analyzeTiles(diffMask, width, height, mergedOptions, readImages);
+
+    const significance = this.comparator._evaluateSignificance(clusterAnalysis, mergedOptions, { diffCount, width, height });
+    const diffImage = diffCanvas.toBuffer('image/png');
+    const diffImages = diffRenderer.renderAll(diffStyles, {
+      diffImage,
+      diffCanvas,
+      width,
+      height,
+      clusters: clusterAnalysis.clusters
+    });
+
+    return {
+      ok: significance.ok,
+      diffCount,
+      // A full-size RGBA copy is what tiling avoids; the diff is in diffImage
+      diffImageData: null,
+      diffImage,
+      diffMask,
+      diffStyle: diffStyles[0],
+      diffImages,
+      details: {
+        totalDiffPixels: diffCount,
+        significantDiffPixels: clusterAnalysis.significantPixels,
+        ignoredPixels,
+        metric,
+        score: combineScores(scores),
+        significance: {
+          strategy: significance.strategy,
+          reason: significance.reason,
+          measure: significance.measure,
+          limit: significance.limit
+        },
+        preprocess: images.preprocess.map(step => step.name),
+        dimensions,
+        resize,
+        alignment: null,
+        tiles: { size: tileSize, count: tileCount, margin: margin + preprocessMargin(images.preprocess) },
+        categories: clusterAnalysis.categories,
+        clusters: clusterAnalysis.clusters,
+        analysis: clusterAnalysis
+      }
+    };
+  }
+
+  _resolveStyles(options) {
+    if (options.align) {
+      throw new ValidationError('align searches the whole image and can\'t be combined with tileSize');
+    }
+
+    const styles = this.comparator.diffRenderer.resolveStyles(options.diffStyle);
+    for (const style of styles) {
+      if (!TILED_DIFF_STYLES.includes(style)) {
+        throw new ValidationError(
+          `diffStyle ${style} needs whole images and can't be combined with tileSize. Use ${TILED_DIFF_STYLES.join(' or ')}`
+        );
+      }
+    }
+    return styles;
+  }
+
+  /**
+   * Diff one tile plus its margin, keep the tile's share of the mask and
+   * draw its part of the diff image
+   */
+  _compareTile(images, tile, margin, compareRegion, options, diffMask, diffCanvas) {
+    const x0 = Math.max(0, tile.x - margin);
+    const y0 = Math.max(0, tile.y - margin);
+    const regionWidth = Math.min(images.width, tile.x + tile.width + margin) - x0;
+    const regionHeight = Math.min(images.height, tile.y + tile.height + margin) - y0;
+    const region = { x: tile.x - x0, y: tile.y - y0, width: tile.width, height: tile.height };
+
+    const { actualData, expectedData, ignoreMask } = this._readRegion(images, x0, y0, regionWidth, regionHeight);
+    const diffBuffer = new Uint8ClampedArray(regionWidth * regionHeight * 4);
+    const result = compareRegion(actualData, expectedData, diffBuffer, regionWidth, regionHeight, { ...options, region });
+
+    let ignoredPixels = 0;
+    if (ignoreMask) {
+      this.comparator._shadeIgnoredPixels(diffBuffer, ignoreMask);
+      ignoredPixels = countInRegion(ignoreMask, regionWidth, region);
+    }
+
+    for (let row = 0; row < tile.height; row++) {
+      const start = (region.y + row) * regionWidth + region.x;
+      diffMask.set(result.diffMask.subarray(start, start + tile.width), (tile.y + row) * images.width + tile.x);
+    }
+    diffCanvas.getContext('2d').putImageData(
+      createImageData(diffBuffer, regionWidth, regionHeight),
+      x0,
+      y0,
+      region.x,
+      region.y,
+      region.width,
+      region.height
+    );
+
+    return { diffCount: result.diffCount, score: result.score, ignoredPixels };
+  }
+
+  /**
+   * Compared pixels of a rectangle: preprocessed (from a read that is larger
+   * by the preprocessors' margin, then cropped) and with ignored pixels
+   * already copied from expected
+   */
+  _readRegion(images, x, y, width, height) {
+    const extra = preprocessMargin(images.preprocess);
+    const x0 = Math.max(0, x - extra);
+    const y0 = Math.max(0, y - extra);
+    const readWidth = Math.min(images.width, x + width + extra) - x0;
+    const readHeight = Math.min(images.height, y + height + extra) - y0;
+
+    const read = this.comparator.processor.readRegion(images, x0, y0, readWidth, readHeight);
+    const region = { x: x - x0, y: y - y0, width, height };
+    const crop = data => cropPixels(applyPreprocessors(images.preprocess, data, readWidth, readHeight), readWidth, region);
+    const actualData = crop(read.actualData);
+    const expectedData = crop(read.expectedData);
+    const ignoreMask = read.ignoreMask && cropPixels(read.ignoreMask, readWidth, region, 1);
+
+    return {
+      actualData: ignoreMask ? this.comparator._applyIgnoreMask(actualData, expectedData, ignoreMask) : actualData,
+      expectedData,
+      ignoreMask
+    };
+  }
+}
+
+/**
+ * Join per-tile metric scores: `min*` and `max*` fields take the extreme,
+ * everything else (ratios and means) is weighted by the tile's pixel count
+ */
+function combineScores(scores) {
+  const total = scores.reduce((sum, { pixels }) => sum + pixels, 0);
+  const combined = {};
+
+  for (const { score, pixels } of scores) {
+    for (const [key, value] of Object.entries(score)) {
+      if (key.startsWith('min')) {
+        combined[key] = Math.min(combined[key] !== undefined ? combined[key] : Infinity, value);
+      } else if (key.startsWith('max')) {
+        combined[key] = Math.max(combined[key] !== undefined ? combined[key] : -Infinity, value);
+      } else {
+        combined[key] = (combined[key] || 0) + value * pixels / total;
+      }
+    }
+  }
+
+  return combined;
+}
+
+function preprocessMargin(steps) {
+  return steps.reduce((sum, step) => sum + step.margin, 0);
+}
+
+// Copy a rectangle out of a row-major buffer with `channels` values per pixel
+function cropPixels(data, width, region, channels = 4) {
+  if (region.x === 0 && region.y === 0 && region.width === width && region.height * width * channels === data.length) {
+    return data;
+  }
+
+  const cropped = new data.constructor(region.width * region.height * channels);
+  for (let row = 0; row < region.height; row++) {
+    const start = ((region.y + row) * width + region.x) * channels;
+    cropped.set(data.subarray(start, start + region.width * channels), row * region.width * channels);
+  }
+  return cropped;
+}
+
+function countInRegion(mask, width, region) {
+  let count = 0;
+  for (let y = region.y; y < region.y + region.height; y++) {
+    for (let x = region.x; x < region.x + region.width; x++) {
+      count += mask[y * width + x];
+    }
+  }
+  return count;
+}
+
+TiledComparator.TILED_DIFF_STYLES = TILED_DIFF_STYLES;
+
+module.exports = TiledComparator;
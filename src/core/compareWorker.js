@@ -0,0 +1,39 @@
+const { parentPort } = require('worker_threads');
+const ImageComparator = require('./ImageComparator');
+
+// Worker entry for ParallelComparator: one comparison per message
+const comparator = new ImageComparator();
+
+parentPort.on('message', async ({ id, actual, expected, options }) => {
+  try {
+    if (options.ignoreMask) {
+      options.ignoreMask = fromTransferable(options.ignoreMask);
+    }
+
+    const result = await comparator.compare(fromTransferable(actual), fromTransferable(expected), options);
+    const { diffImageData } = result;
+
+    // canvas ImageData can't be cloned across threads; send its parts instead (tiled results have none)
+    parentPort.postMessage({
+      id,
+      result: {
+        ...result,
+        diffImageData: diffImageData && { data: diffImageData.data, width: diffImageData.width, height: diffImageData.height }
+      }
+    });
+  } catch (error) {
+    const { name, message } = error;
+    parentPort.postMessage({ id, error: typeof error.toJSON === 'function' ? error.toJSON() : { name, message } });
+  }
+});
+
+function fromTransferable(input) {
+  if (input.type === 'string') {
+    return input.data;
+  }
+  if (input.type === 'imageData') {
+    // Raw RGBA; ImageProcessor checks its size and builds the ImageData
+    return { data: input.data, width: input.width, height: input.height };
+  }
+  return Buffer.from(input.data.buffer, input.data.byteOffset, input.data.byteLength);
+}
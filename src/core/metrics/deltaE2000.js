@@ -0,0 +1,156 @@
+const { drawFadedPixel, drawDiffPixel, scoredRegion, inRegion } = require('./diffImage');
+
+const RAD = Math.PI / 180;
+const POW25_7 = 25 ** 7;
+
+/**
+ * CIEDE2000 colour difference per pixel. A pixel is a diff when ΔE00
+ * exceeds `deltaEThreshold` (2.3 is roughly one just-noticeable difference).
+ */
+function deltaE2000Metric(actual, expected, diffBuffer, width, height, options) {
+  const threshold = options.deltaEThreshold;
+  const region = scoredRegion(options, width, height);
+  const size = width * height;
+  const diffMask = new Uint8Array(size);
+  let diffCount = 0;
+  let total = 0;
+  let max = 0;
+
+  for (let i = 0; i < size; i++) {
+    const pos = i * 4;
+    if (!inRegion(region, i % width, Math.floor(i / width))) {
+      drawFadedPixel(expected, diffBuffer, pos, options.alpha);
+      continue;
+    }
+
+    const deltaE = deltaE2000(toLab(actual, pos), toLab(expected, pos));
+
+    total += deltaE;
+    max = Math.max(max, deltaE);
+
+    if (deltaE > threshold) {
+      drawDiffPixel(diffBuffer, pos);
+      diffMask[i] = 1;
+      diffCount++;
+    } else {
+      drawFadedPixel(expected, diffBuffer, pos, options.alpha);
+    }
+  }
+
+  return {
+    diffCount,
+    diffMask,
+    score: {
+      meanDeltaE: total / (region.width * region.height),
+      maxDeltaE: max
+    }
+  };
+}
+
+/**
+ * sRGB (blended over white) to CIELAB, D65 white point
+ */
+function toLab(data, pos) {
+  const a = data[pos + 3] / 255;
+  const r = linearize(255 + (data[pos] - 255) * a);
+  const g = linearize(255 + (data[pos + 1] - 255) * a);
+  const b = linearize(255 + (data[pos + 2] - 255) * a);
+
+  const x = (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) / 0.95047;
+  const y = r * 0.2126729 + g * 0.7151522 + b * 0.0721750;
+  const z = (r * 0.0193339 + g * 0.1191920 + b * 0.9503041) / 1.08883;
+
+  const fx = labF(x);
+  const fy = labF(y);
+  const fz = labF(z);
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+function linearize(channel) {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+}
+
+function labF(t) {
+  return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+}
+
+/**
+ * CIEDE2000 (Sharma, Wu & Dalal 2005) with kL = kC = kH = 1
+ */
+function deltaE2000([L1, a1, b1], [L2, a2, b2]) {
+  if (L1 === L2 && a1 === a2 && b1 === b2) {
+    return 0;
+  }
+
+  const C1 = Math.hypot(a1, b1);
+  const C2 = Math.hypot(a2, b2);
+  const meanC7 = ((C1 + C2) / 2) ** 7;
+  const G = 0.5 * (1 - Math.sqrt(meanC7 / (meanC7 + POW25_7)));
+
+  const a1p = a1 * (1 + G);
+  const a2p = a2 * (1 + G);
+  const C1p = Math.hypot(a1p, b1);
+  const C2p = Math.hypot(a2p, b2);
+  const h1p = hueAngle(b1, a1p);
+  const h2p = hueAngle(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) {
+      dhp -= 360;
+    } else if (dhp < -180) {
+      dhp += 360;
+    }
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * RAD);
+
+  const meanLp = (L1 + L2) / 2;
+  const meanCp = (C1p + C2p) / 2;
+
+  let meanHp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) {
+      meanHp /= 2;
+    } else {
+      meanHp = h1p + h2p < 360 ? (meanHp + 360) / 2 : (meanHp - 360) / 2;
+    }
+  }
+
+  const T = 1 -
+    0.17 * Math.cos((meanHp - 30) * RAD) +
+    0.24 * Math.cos(2 * meanHp * RAD) +
+    0.32 * Math.cos((3 * meanHp + 6) * RAD) -
+    0.20 * Math.cos((4 * meanHp - 63) * RAD);
+
+  const dTheta = 30 * Math.exp(-(((meanHp - 275) / 25) ** 2));
+  const meanCp7 = meanCp ** 7;
+  const RC = 2 * Math.sqrt(meanCp7 / (meanCp7 + POW25_7));
+  const SL = 1 + (0.015 * (meanLp - 50) ** 2) / Math.sqrt(20 + (meanLp - 50) ** 2);
+  const SC = 1 + 0.045 * meanCp;
+  const SH = 1 + 0.015 * meanCp * T;
+  const RT = -Math.sin(2 * dTheta * RAD) * RC;
+
+  return Math.sqrt(
+    (dLp / SL) ** 2 +
+    (dCp / SC) ** 2 +
+    (dHp / SH) ** 2 +
+    RT * (dCp / SC) * (dHp / SH)
+  );
+}
+
+function hueAngle(b, a) {
+  if (a === 0 && b === 0) {
+    return 0;
+  }
+  const angle = Math.atan2(b, a) / RAD;
+  return angle >= 0 ? angle : angle + 360;
+}
+
+module.exports = deltaE2000Metric;
+module.exports.deltaE2000 = deltaE2000;
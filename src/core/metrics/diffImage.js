@@ -0,0 +1,54 @@
+// Matches pixelmatch's default output so every metric draws the same diff image
+const DIFF_COLOR = [255, 0, 0];
+
+// Blended into ignored pixels of the diff image
+const IGNORED_REGION_COLOR = [64, 96, 255];
+
+function luma(r, g, b) {
+  return r * 0.29889531 + g * 0.58662247 + b * 0.11448223;
+}
+
+/**
+ * Paint a non-diff pixel as a faded greyscale copy of the expected image
+ */
+function drawFadedPixel(expected, diffBuffer, pos, alpha) {
+  const a = expected[pos + 3] / 255;
+  const r = 255 + (expected[pos] - 255) * a;
+  const g = 255 + (expected[pos + 1] - 255) * a;
+  const b = 255 + (expected[pos + 2] - 255) * a;
+  const value = 255 + (luma(r, g, b) - 255) * alpha;
+
+  diffBuffer[pos] = value;
+  diffBuffer[pos + 1] = value;
+  diffBuffer[pos + 2] = value;
+  diffBuffer[pos + 3] = 255;
+}
+
+/**
+ * The rectangle a metric counts and scores: `options.region` when only part of
+ * the image is being judged (a tile; the pixels around it are context),
+ * otherwise the whole image
+ */
+function scoredRegion(options, width, height) {
+  return options.region || { x: 0, y: 0, width, height };
+}
+
+function inRegion(region, x, y) {
+  return x >= region.x && x < region.x + region.width && y >= region.y && y < region.y + region.height;
+}
+
+function drawDiffPixel(diffBuffer, pos) {
+  diffBuffer[pos] = DIFF_COLOR[0];
+  diffBuffer[pos + 1] = DIFF_COLOR[1];
+  diffBuffer[pos + 2] = DIFF_COLOR[2];
+  diffBuffer[pos + 3] = 255;
+}
+
+module.exports = {
+  IGNORED_REGION_COLOR,
+  luma,
+  drawFadedPixel,
+  drawDiffPixel,
+  scoredRegion,
+  inRegion
+};
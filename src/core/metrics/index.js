@@ -0,0 +1,19 @@
+const pixelmatch = require('./pixelmatch');
+const ssim = require('./ssim');
+const deltaE2000 = require('./deltaE2000');
+
+/**
+ * Diff metrics by name. Each fills `diffBuffer` with a pixelmatch-style diff
+ * image (red = different) and returns `{ diffCount, diffMask, score }`, where
+ * `diffMask` holds 1 for every differing pixel. With `options.region` only
+ * pixels inside that rectangle are counted, masked and scored; the rest is
+ * context, e.g. the halo around a tile (see TiledComparator). A metric that
+ * looks at neighbouring pixels declares how far with `margin(options)`.
+ */
+const METRICS = {
+  pixelmatch,
+  ssim,
+  deltaE2000
+};
+
+module.exports = METRICS;
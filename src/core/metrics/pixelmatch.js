@@ -0,0 +1,42 @@
+const pixelmatch = require('pixelmatch');
+const { drawFadedPixel, drawDiffPixel, scoredRegion, inRegion } = require('./diffImage');
+
+function pixelmatchMetric(actual, expected, diffBuffer, width, height, options) {
+  const size = width * height;
+  const region = scoredRegion(options, width, height);
+
+  // With `diffMask`, pixelmatch draws only the differing pixels onto a transparent buffer
+  const maskBuffer = new Uint8ClampedArray(size * 4);
+  pixelmatch(actual, expected, maskBuffer, width, height, {
+    threshold: options.threshold,
+    includeAA: options.includeAA,
+    alpha: options.alpha,
+    diffMask: true
+  });
+
+  const diffMask = new Uint8Array(size);
+  let diffCount = 0;
+  for (let i = 0; i < size; i++) {
+    const pos = i * 4;
+    if (maskBuffer[pos + 3] !== 0 && inRegion(region, i % width, Math.floor(i / width))) {
+      diffMask[i] = 1;
+      diffCount++;
+      drawDiffPixel(diffBuffer, pos);
+    } else {
+      drawFadedPixel(expected, diffBuffer, pos, options.alpha);
+    }
+  }
+
+  return {
+    diffCount,
+    diffMask,
+    score: {
+      diffRatio: diffCount / (region.width * region.height)
+    }
+  };
+}
+
+// pixelmatch's anti-aliasing check looks two pixels out
+pixelmatchMetric.margin = () => 2;
+
+module.exports = pixelmatchMetric;
@@ -0,0 +1,111 @@
+const { luma, drawFadedPixel, drawDiffPixel, scoredRegion, inRegion } = require('./diffImage');
+
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+/**
+ * Structural similarity on luminance with a square window. Window sums come
+ * from summed-area tables, so the cost is linear in the pixel count.
+ * A pixel is a diff when it changed and its local SSIM is below `ssimThreshold`.
+ */
+function ssimMetric(actual, expected, diffBuffer, width, height, options) {
+  const threshold = options.ssimThreshold;
+  const radius = Math.max(1, Math.floor(options.ssimWindowSize / 2));
+  const region = scoredRegion(options, width, height);
+  const size = width * height;
+  const x = new Float64Array(size);
+  const y = new Float64Array(size);
+
+  for (let i = 0; i < size; i++) {
+    const pos = i * 4;
+    x[i] = luma(actual[pos], actual[pos + 1], actual[pos + 2]);
+    y[i] = luma(expected[pos], expected[pos + 1], expected[pos + 2]);
+  }
+
+  const sumX = summedArea(width, height, i => x[i]);
+  const sumY = summedArea(width, height, i => y[i]);
+  const sumXX = summedArea(width, height, i => x[i] * x[i]);
+  const sumYY = summedArea(width, height, i => y[i] * y[i]);
+  const sumXY = summedArea(width, height, i => x[i] * y[i]);
+
+  const diffMask = new Uint8Array(size);
+  let diffCount = 0;
+  let total = 0;
+  let min = 1;
+
+  for (let py = 0; py < height; py++) {
+    const y0 = Math.max(0, py - radius);
+    const y1 = Math.min(height - 1, py + radius);
+
+    for (let px = 0; px < width; px++) {
+      const x0 = Math.max(0, px - radius);
+      const x1 = Math.min(width - 1, px + radius);
+      const n = (x1 - x0 + 1) * (y1 - y0 + 1);
+
+      const meanX = windowSum(sumX, width, x0, y0, x1, y1) / n;
+      const meanY = windowSum(sumY, width, x0, y0, x1, y1) / n;
+      const varX = windowSum(sumXX, width, x0, y0, x1, y1) / n - meanX * meanX;
+      const varY = windowSum(sumYY, width, x0, y0, x1, y1) / n - meanY * meanY;
+      const covXY = windowSum(sumXY, width, x0, y0, x1, y1) / n - meanX * meanY;
+
+      const ssim = ((2 * meanX * meanY + C1) * (2 * covXY + C2)) /
+        ((meanX * meanX + meanY * meanY + C1) * (varX + varY + C2));
+
+      const i = py * width + px;
+      if (!inRegion(region, px, py)) {
+        drawFadedPixel(expected, diffBuffer, i * 4, options.alpha);
+        continue;
+      }
+
+      total += ssim;
+      min = Math.min(min, ssim);
+
+      const pos = i * 4;
+      const changed = actual[pos] !== expected[pos] || actual[pos + 1] !== expected[pos + 1] ||
+        actual[pos + 2] !== expected[pos + 2] || actual[pos + 3] !== expected[pos + 3];
+
+      if (changed && ssim < threshold) {
+        drawDiffPixel(diffBuffer, pos);
+        diffMask[i] = 1;
+        diffCount++;
+      } else {
+        drawFadedPixel(expected, diffBuffer, pos, options.alpha);
+      }
+    }
+  }
+
+  return {
+    diffCount,
+    diffMask,
+    score: {
+      meanSSIM: total / (region.width * region.height),
+      minSSIM: min
+    }
+  };
+}
+
+// Table is (width + 1) x (height + 1) with a zero first row and column
+function summedArea(width, height, value) {
+  const stride = width + 1;
+  const table = new Float64Array(stride * (height + 1));
+
+  for (let py = 0; py < height; py++) {
+    let rowSum = 0;
+    for (let px = 0; px < width; px++) {
+      rowSum += value(py * width + px);
+      table[(py + 1) * stride + px + 1] = table[py * stride + px + 1] + rowSum;
+    }
+  }
+
+  return table;
+}
+
+function windowSum(table, width, x0, y0, x1, y1) {
+  const stride = width + 1;
+  return table[(y1 + 1) * stride + x1 + 1] - table[y0 * stride + x1 + 1] -
+    table[(y1 + 1) * stride + x0] + table[y0 * stride + x0];
+}
+
+ssimMetric.margin = options => Math.max(1, Math.floor(options.ssimWindowSize / 2));
+
+module.exports = ssimMetric;
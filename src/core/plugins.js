@@ -0,0 +1,132 @@
+const METRICS = require('./metrics');
+const SIGNIFICANCE_STRATEGIES = require('./significance');
+const PREPROCESSORS = require('./preprocessors');
+const { ValidationError } = require('../utils/errors');
+
+const REGISTRIES = {
+  metric: METRICS,
+  significance: SIGNIFICANCE_STRATEGIES,
+  preprocessor: PREPROCESSORS
+};
+
+const BUILT_INS = {
+  metric: Object.keys(METRICS),
+  significance: Object.keys(SIGNIFICANCE_STRATEGIES),
+  preprocessor: Object.keys(PREPROCESSORS)
+};
+
+// Names registered from code in this process; worker threads don't have them
+const registered = {
+  metric: new Set(),
+  significance: new Set(),
+  preprocessor: new Set()
+};
+
+/**
+ * Make a plugin selectable by name. Built-ins can't be replaced; registering
+ * a custom name again replaces the earlier plugin.
+ * @param {string} kind - 'metric', 'significance' or 'preprocessor'
+ * @param {string} name
+ * @param {Function} plugin
+ */
+function register(kind, name, plugin) {
+  if (!REGISTRIES[kind]) {
+    throw new ValidationError(`Unknown plugin kind: ${kind}. Expected one of ${Object.keys(REGISTRIES).join(', ')}`);
+  }
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new ValidationError(`A ${kind} needs a non-empty name`);
+  }
+  if (typeof plugin !== 'function') {
+    throw new ValidationError(`${kind} "${name}" must be a function`);
+  }
+  if (BUILT_INS[kind].includes(name)) {
+    throw new ValidationError(`The built-in ${kind} "${name}" can't be replaced`);
+  }
+
+  REGISTRIES[kind][name] = plugin;
+  registered[kind].add(name);
+}
+
+/**
+ * Find a plugin by registered name; any other name is loaded as a module
+ * path (resolved from `cwd`) whose export is the plugin function
+ * @returns {Function}
+ */
+function resolvePlugin(kind, name, cwd = process.cwd()) {
+  const registry = REGISTRIES[kind];
+  if (Object.prototype.hasOwnProperty.call(registry, name)) {
+    return registry[name];
+  }
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new ValidationError(`Invalid ${kind}: ${JSON.stringify(name)}`);
+  }
+
+  let plugin;
+  try {
+    plugin = require(require.resolve(name, { paths: [cwd] }));
+  } catch (error) {
+    throw new ValidationError(
+      `Unknown ${kind} "${name}". Use one of ${Object.keys(registry).join(', ')} or a module path (${error.message})`
+    );
+  }
+  if (typeof plugin !== 'function') {
+    throw new ValidationError(`${kind} module "${name}" must export a function`);
+  }
+  return plugin;
+}
+
+/**
+ * Normalise the `preprocess` option (a name, a comma-separated list, or an
+ * array of names and `{ name, ...params }` objects) to resolved steps
+ * @returns {Array<{name: string, run: Function, params: Object, margin: number}>}
+ */
+function resolvePreprocessors(preprocess) {
+  return parsePreprocess(preprocess).map(({ name, params }) => {
+    const run = resolvePlugin('preprocessor', name);
+    return { name, run, params, margin: run.margin ? run.margin(params) : 0 };
+  });
+}
+
+function parsePreprocess(preprocess) {
+  if (!preprocess) {
+    return [];
+  }
+
+  const specs = Array.isArray(preprocess) ? preprocess : String(preprocess).split(',').map(name => name.trim());
+  return specs.map(spec => {
+    const { name, ...params } = typeof spec === 'string' ? { name: spec } : spec;
+    return { name, params };
+  });
+}
+
+/**
+ * Run preprocessing steps on one image's RGBA pixels (which may be modified)
+ * @returns {Uint8ClampedArray}
+ */
+function applyPreprocessors(steps, data, width, height) {
+  return steps.reduce((pixels, step) => step.run(pixels, width, height, step.params), data);
+}
+
+/**
+ * Whether comparisons with these options use plugins registered from code,
+ * which only exist on the main thread
+ */
+function needsMainThread(options) {
+  return registered.metric.has(options.metric) ||
+    registered.significance.has(options.significance) ||
+    parsePreprocess(options.preprocess).some(({ name }) => registered.preprocessor.has(name));
+}
+
+module.exports = {
+  METRICS,
+  SIGNIFICANCE_STRATEGIES,
+  PREPROCESSORS,
+  register,
+  registerMetric: (name, metric) => register('metric', name, metric),
+  registerSignificance: (name, strategy) => register('significance', name, strategy),
+  registerPreprocessor: (name, preprocessor) => register('preprocessor', name, preprocessor),
+  resolvePlugin,
+  resolvePreprocessors,
+  applyPreprocessors,
+  needsMainThread
+};
@@ -0,0 +1,59 @@
+const { luma } = require('./metrics/diffImage');
+
+/**
+ * Built-in preprocessors, run on both images before they are diffed. Each is
+ * called as `(data, width, height, params)` with RGBA pixels and returns the
+ * processed pixels (the same array or a new one). An optional
+ * `margin(params)` says how many pixels around a pixel its result depends on,
+ * so tiled comparisons can read that much context around every tile.
+ */
+const PREPROCESSORS = {
+  greyscale,
+  blur
+};
+
+function greyscale(data) {
+  for (let pos = 0; pos < data.length; pos += 4) {
+    const value = luma(data[pos], data[pos + 1], data[pos + 2]);
+    data[pos] = value;
+    data[pos + 1] = value;
+    data[pos + 2] = value;
+  }
+  return data;
+}
+
+/**
+ * Box blur over a (2 * radius + 1) square, one axis at a time. Windows are
+ * cut off at the image edges rather than padded.
+ */
+function blur(data, width, height, { radius = 1 } = {}) {
+  const horizontal = boxPass(data, radius, 4, width * 4, width, height);
+  return boxPass(horizontal, radius, width * 4, 4, height, width);
+}
+blur.margin = ({ radius = 1 } = {}) => radius;
+
+// Average along lines of `length` pixels `step` bytes apart; `count` lines, `stride` bytes apart
+function boxPass(source, radius, step, stride, length, count) {
+  const result = new Uint8ClampedArray(source.length);
+
+  for (let line = 0; line < count; line++) {
+    const start = line * stride;
+    for (let channel = 0; channel < 4; channel++) {
+      let sum = 0;
+      let lo = 0;
+      let hi = -1;
+
+      for (let i = 0; i < length; i++) {
+        const from = Math.max(0, i - radius);
+        const to = Math.min(length - 1, i + radius);
+        while (hi < to) sum += source[start + ++hi * step + channel];
+        while (lo < from) sum -= source[start + lo++ * step + channel];
+        result[start + i * step + channel] = Math.round(sum / (to - from + 1));
+      }
+    }
+  }
+
+  return result;
+}
+
+module.exports = PREPROCESSORS;
@@ -0,0 +1,58 @@
+/**
+ * Built-in significance strategies: each decides whether the clusters left
+ * after `categoryTolerances` fail the comparison. A strategy is called with
+ * those clusters and `{ options, analysis, diffCount, width, height }` and
+ * returns `{ ok, reason }` (or just a boolean). `measure` and `limit`, when
+ * given, are the number the verdict was decided on and its allowed maximum;
+ * run history uses them to spot diffs creeping toward the limit.
+ */
+const SIGNIFICANCE_STRATEGIES = {
+  clusters,
+  'diff-percent': diffPercent,
+  'largest-cluster': largestCluster
+};
+
+// Few, small clusters pass: at most maxSignificantClusters clusters and maxTotalDiffPixels pixels
+function clusters(judged, { options }) {
+  const significant = judged.filter(cluster => !cluster.isLineShift && cluster.size >= options.minClusterSize);
+  const pixels = significant.reduce((sum, cluster) => sum + cluster.size, 0);
+
+  return {
+    ok: pixels === 0 || (pixels <= options.maxTotalDiffPixels && significant.length <= options.maxSignificantClusters),
+    reason: `${significant.length} significant cluster(s) with ${pixels} px ` +
+      `(allowed: ${options.maxSignificantClusters} clusters, ${options.maxTotalDiffPixels} px)`,
+    measure: pixels,
+    limit: options.maxTotalDiffPixels
+  };
+}
+
+// Changed area, line shifts aside, as a share of the compared image
+function diffPercent(judged, { options, width, height }) {
+  const pixels = judged.filter(cluster => !cluster.isLineShift).reduce((sum, cluster) => sum + cluster.size, 0);
+  const percent = (pixels / (width * height)) * 100;
+
+  return {
+    ok: percent <= options.maxDiffPercent,
+    reason: `${round(percent)}% of the image differs (allowed: ${options.maxDiffPercent}%)`,
+    measure: round(percent),
+    limit: options.maxDiffPercent
+  };
+}
+
+// Any number of clusters, as long as none is bigger than maxClusterSize
+function largestCluster(judged, { options }) {
+  const largest = Math.max(0, ...judged.filter(cluster => !cluster.isLineShift).map(cluster => cluster.size));
+
+  return {
+    ok: largest <= options.maxClusterSize,
+    reason: `Largest cluster has ${largest} px (allowed: ${options.maxClusterSize} px)`,
+    measure: largest,
+    limit: options.maxClusterSize
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = SIGNIFICANCE_STRATEGIES;
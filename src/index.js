@@ -1,72 +1,360 @@
+const EventEmitter = require('events');
 const ImageComparator = require('./core/ImageComparator');
-const { ComparisonError } = require('./utils/errors');
+const DirectoryComparator = require('./core/DirectoryComparator');
+const SequenceComparator = require('./core/SequenceComparator');
+const BaselineManager = require('./core/BaselineManager');
+const HistoryStore = require('./core/HistoryStore');
+const ReviewServer = require('./core/ReviewServer');
+const SketchRenderer = require('./core/SketchRenderer');
+const ParallelComparator = require('./core/ParallelComparator');
+const reporters = require('./reporters');
+const plugins = require('./core/plugins');
+const errors = require('./utils/errors');
+const { loadConfig, overridesFor } = require('./utils/config');
+const { runBatch, resolveConcurrency } = require('./utils/concurrency');
+const { ComparisonError, VisualRegressionError, errorCode } = require('./utils/errors');
 
-class VisualComparisonEngine {
+/**
+ * Emits progress while `batchCompare` and `compareDirectories` run:
+ * `pair:start`, `pair:result`, `pair:error` (a pair that could not be
+ * compared) and `batch:done`.
+ */
+class VisualComparisonEngine extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.options = {
       threshold: options.threshold || 0.5,
       includeAA: options.includeAA !== undefined ? options.includeAA : false,
       alpha: options.alpha || 0.1,
       maxSide: options.maxSide || 400,
+      resize: options.resize || 'fit',
+      resampling: options.resampling || 'bilinear',
+      tileSize: options.tileSize || null,
       backgroundColor: options.backgroundColor || [240, 240, 240, 255],
       minClusterSize: options.minClusterSize || 4,
       maxTotalDiffPixels: options.maxTotalDiffPixels || 40,
       maxSignificantClusters: options.maxSignificantClusters || 2,
+      significance: options.significance || 'clusters',
+      maxDiffPercent: options.maxDiffPercent !== undefined ? options.maxDiffPercent : 0.1,
+      maxClusterSize: options.maxClusterSize !== undefined ? options.maxClusterSize : 40,
       lineShiftThreshold: options.lineShiftThreshold || 0.8,
+      clusterConnectivity: options.clusterConnectivity || 8,
+      sizePolicy: options.sizePolicy || 'pad',
+      metric: options.metric || 'pixelmatch',
+      ssimThreshold: options.ssimThreshold || 0.95,
+      ssimWindowSize: options.ssimWindowSize || 7,
+      deltaEThreshold: options.deltaEThreshold || 2.3,
+      align: options.align || false,
+      alignSearchRadius: options.alignSearchRadius || 3,
+      maxAlignOffset: options.maxAlignOffset !== undefined ? options.maxAlignOffset : null,
+      concurrency: options.concurrency || 1,
+      temporalOffset: options.temporalOffset || 0,
+      failFast: options.failFast || false,
       ...options
     };
 
     this.comparator = new ImageComparator(this.options);
+    this.directoryComparator = new DirectoryComparator(this.comparator, this.options);
+    this.sequenceComparator = new SequenceComparator(this.comparator, this.options);
+    this.baselineManager = new BaselineManager(this.directoryComparator, this.options);
+    this.historyStore = new HistoryStore(this.options);
+    this.sketchRenderer = new SketchRenderer(this.options.render);
   }
 
   /**
    * Compare two images and return comparison result
-   * @param {ImageData|Buffer|Canvas} actual - Actual image
-   * @param {ImageData|Buffer|Canvas} expected - Expected image
-   * @param {Object} options - Override default options
+   * @param {ImageData|Buffer|Canvas|string|Readable|Object} actual - Actual image: also a
+   *   file path, `data:` URL, readable stream or raw RGBA `{data, width, height}`;
+   *   PNG, JPEG, WebP, GIF (first frame) and BMP are detected by content
+   * @param {ImageData|Buffer|Canvas|string|Readable|Object} expected - Expected image, same kinds
+   * @param {Object} options - Override default options, including
+   *   `ignoreRegions` (rectangles or polygons) and `ignoreMask` (white = ignored)
    * @returns {Promise<ComparisonResult>}
+   * @throws {VisualRegressionError} A subclass with a stable `code`, e.g. DecodeError
+   *   or DimensionMismatchError (`sizePolicy: 'strict'`); anything unexpected is
+   *   wrapped in a ComparisonError
    */
   async compare(actual, expected, options = {}) {
     try {
       const mergedOptions = { ...this.options, ...options };
       return await this.comparator.compare(actual, expected, mergedOptions);
     } catch (error) {
+      if (error instanceof VisualRegressionError) {
+        throw error;
+      }
       throw new ComparisonError(`Comparison failed: ${error.message}`, error);
     }
   }
 
+  /**
+   * Check comparison options, and every config override on top of them,
+   * without comparing anything
+   * @param {Object} options - Override default options
+   * @throws {ValidationError} On an unknown metric, size policy, resampling filter, ...
+   */
+  validateOptions(options = {}) {
+    const mergedOptions = { ...this.options, ...options };
+    this.comparator.validateOptions(mergedOptions);
+    for (const override of mergedOptions.overrides || []) {
+      this.comparator.validateOptions({ ...mergedOptions, ...override.options });
+    }
+  }
+
   /**
    * Batch compare multiple image pairs
-   * @param {Array<{actual, expected, name}>} imagePairs
-   * @param {Object} options
-   * @returns {Promise<Array<ComparisonResult>>}
+   * @param {Array<{actual, expected, name, options}>} imagePairs - `options`
+   *   overrides per pair, e.g. pair-specific `ignoreRegions`; config `overrides`
+   *   matching `name` apply underneath them
+   * @param {Object} options - Override default options, plus `reporters`
+   *   (e.g. `['junit:reports/junit.xml', 'markdown']`), `concurrency`
+   *   (worker threads; `'auto'` uses every core but one), `signal` (an
+   *   AbortSignal), `failFast` (stop after the first failing pair) and
+   *   `historyPath` (record the run in this history file)
+   * @returns {Promise<Array<ComparisonResult>>} In input order, each with its `duration`
+   *   in ms and the pair's `baseline`/`actual` when they are file paths or Buffers;
+   *   pairs skipped after an abort or with `failFast` have `status: 'cancelled'`
    */
   async batchCompare(imagePairs, options = {}) {
-    const results = [];
     const mergedOptions = { ...this.options, ...options };
+    const concurrency = resolveConcurrency(mergedOptions.concurrency);
+    const comparator = concurrency > 1 ? new ParallelComparator(concurrency, this.options) : this.comparator;
 
-    for (const pair of imagePairs) {
-      try {
-        const result = await this.comparator.compare(
-          pair.actual,
-          pair.expected,
-          mergedOptions
-        );
-        results.push({
-          name: pair.name,
-          ...result
-        });
-      } catch (error) {
-        results.push({
-          name: pair.name,
-          ok: false,
-          error: error.message
-        });
+    let batch;
+    try {
+      batch = await runBatch(imagePairs, pair => this._compareBatchPair(comparator, pair, mergedOptions), {
+        concurrency,
+        signal: mergedOptions.signal,
+        failFast: mergedOptions.failFast,
+        events: this,
+        nameOf: pair => pair.name,
+        isFailure: result => !result.ok,
+        cancelled: pair => ({ name: pair.name, ...sourcesOf(pair), status: 'cancelled', ok: false })
+      });
+    } finally {
+      if (comparator !== this.comparator) {
+        await comparator.close();
       }
     }
 
+    const { results, stoppedBy } = batch;
+    if (mergedOptions.reporters) {
+      await reporters.runReporters(results, mergedOptions.reporters, { threshold: mergedOptions.threshold });
+    }
+    if (mergedOptions.historyPath) {
+      await this.historyStore.record(results, mergedOptions);
+    }
+
+    this.emit('batch:done', { results, ...progressOf(results), stoppedBy });
     return results;
   }
+
+  async _compareBatchPair(comparator, pair, options) {
+    const startedAt = performance.now();
+
+    try {
+      const result = await comparator.compare(
+        pair.actual,
+        pair.expected,
+        { ...options, ...overridesFor(options.overrides, pair.name), ...pair.options }
+      );
+      return {
+        name: pair.name,
+        ...sourcesOf(pair),
+        duration: Math.round(performance.now() - startedAt),
+        ...result
+      };
+    } catch (error) {
+      return {
+        name: pair.name,
+        ...sourcesOf(pair),
+        ok: false,
+        error: error.message,
+        errorCode: errorCode(error),
+        duration: Math.round(performance.now() - startedAt)
+      };
+    }
+  }
+
+  /**
+   * Recursively compare two directories, pairing images by relative path
+   * @param {string} [baselineDir] - Directory with expected images (default: config `baselineDir`)
+   * @param {string} [actualDir] - Directory with actual images (default: config `actualDir`)
+   * @param {Object} options - Override default options, plus `include`/`exclude`
+   *   glob arrays, `files` (names or globs) to compare only some pairs, `outputDir`
+   *   for mirrored diff images, `allowMissing`, `concurrency`, `reporters`,
+   *   `signal` (an AbortSignal), `failFast` (stop after the first failing pair)
+   *   and `historyPath` (record the run in this history file)
+   * @returns {Promise<{results: Array, summary: Object}>} `summary.stoppedBy` is
+   *   'abort' or 'fail-fast' when pairs were skipped (status 'cancelled')
+   */
+  async compareDirectories(baselineDir = this.options.baselineDir, actualDir = this.options.actualDir, options = {}) {
+    const mergedOptions = { ...this.options, ...options };
+    const report = await this.directoryComparator.compare(baselineDir, actualDir, mergedOptions, this);
+
+    if (mergedOptions.reporters) {
+      await reporters.runReporters(report.results, mergedOptions.reporters, {
+        summary: report.summary,
+        threshold: mergedOptions.threshold
+      });
+    }
+    if (mergedOptions.historyPath) {
+      await this.historyStore.record(report.results, mergedOptions);
+    }
+
+    this.emit('batch:done', {
+      results: report.results,
+      ...progressOf(report.results),
+      stoppedBy: report.summary.stoppedBy,
+      summary: report.summary
+    });
+    return report;
+  }
+
+  /**
+   * Compare two animations frame by frame
+   * @param {string|Buffer|Array} actual - Frame directory, animated GIF or APNG
+   *   (path or Buffer), or an array of frame images
+   * @param {string|Buffer|Array} expected - Same, for the baseline
+   * @param {Object} options - Override default options, plus `temporalOffset`
+   *   (frame N may match expected frame N±k), `outputDir` for failing frame diffs and `reporters`
+   * @returns {Promise<{results: Array, summary: Object}>} One result per frame with
+   *   `frame`, `matchedFrame` and `offset`; `summary.firstDivergentFrame` is the first frame that failed
+   */
+  async compareSequences(actual, expected, options = {}) {
+    const mergedOptions = { ...this.options, ...options };
+    const report = await this.sequenceComparator.compare(actual, expected, mergedOptions);
+
+    if (mergedOptions.reporters) {
+      await reporters.runReporters(report.results, mergedOptions.reporters, {
+        summary: report.summary,
+        threshold: mergedOptions.threshold
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * Promote actual images to baselines and record them in the baseline manifest
+   * @param {string} [baselineDir] - Directory with expected images (default: config `baselineDir`)
+   * @param {string} [actualDir] - Directory with actual images (default: config `actualDir`)
+   * @param {Object} options - Override default options, plus `files` (names or
+   *   globs, default: every failing or new image), `dryRun`, `prune` and `manifestPath`
+   * @returns {Promise<{approved: Array, pruned: Array, manifestPath: string, dryRun: boolean}>}
+   */
+  approveBaselines(baselineDir = this.options.baselineDir, actualDir = this.options.actualDir, options = {}) {
+    return this.baselineManager.approve(baselineDir, actualDir, { ...this.options, ...options });
+  }
+
+  /**
+   * Delete baselines whose actual image no longer exists
+   * @param {string} [baselineDir] - Directory with expected images (default: config `baselineDir`)
+   * @param {string} [actualDir] - Directory with actual images (default: config `actualDir`)
+   * @param {Object} options - `dryRun`, `manifestPath`, `include` and `exclude`
+   * @returns {Promise<{approved: Array, pruned: Array, manifestPath: string, dryRun: boolean}>}
+   */
+  pruneBaselines(baselineDir = this.options.baselineDir, actualDir = this.options.actualDir, options = {}) {
+    return this.baselineManager.prune(baselineDir, actualDir, { ...this.options, ...options });
+  }
+
+  /**
+   * Compare two directories, then serve the pairs that need a decision on a
+   * local page (127.0.0.1 only, no network access needed) where each change
+   * is accepted as the new baseline or marked as a regression
+   * @param {string} [baselineDir] - Directory with expected images (default: config `baselineDir`)
+   * @param {string} [actualDir] - Directory with actual images (default: config `actualDir`)
+   * @param {Object} options - As for `compareDirectories`, plus `port` (default: any free
+   *   port), `decisionsPath` (default: `<baselineDir>/review-decisions.json`) and `manifestPath`
+   * @returns {Promise<ReviewServer>} Already listening; `url` is the page, `close()` stops it
+   */
+  async review(baselineDir = this.options.baselineDir, actualDir = this.options.actualDir, options = {}) {
+    const mergedOptions = { ...this.options, ...options };
+    // Reviewing isn't a test run: no reports and no history entry
+    const report = await this.compareDirectories(baselineDir, actualDir, {
+      ...mergedOptions,
+      reporters: null,
+      historyPath: null
+    });
+
+    const server = new ReviewServer(this, report, mergedOptions);
+    await server.start();
+    return server;
+  }
+
+  /**
+   * Append results to the history file, e.g. for comparisons made one at a time
+   * @param {Array} results - Results with `name`
+   * @param {Object} options - `historyPath` (default: config `historyPath`) and `maxHistoryRuns` (default 100)
+   * @returns {Promise<Object>} The recorded run
+   */
+  recordHistory(results, options = {}) {
+    return this.historyStore.record(results, { ...this.options, ...options });
+  }
+
+  /**
+   * Find flaky, newly failing and slowly worsening images in the history file
+   * @param {Object} options - `historyPath`, `window` (last n runs, default 20),
+   *   `files` (names or globs) and `creepRatio` (default 0.5)
+   * @returns {Promise<{historyPath: string, runs: number, from: string, to: string, images: Array}>}
+   *   Images with `flags`: 'flaky', 'regressed', 'fixed' and/or 'creeping'
+   */
+  analyzeHistory(options = {}) {
+    return this.historyStore.analyze({ ...this.options, ...options });
+  }
+
+  /**
+   * Create an engine from `vre.config.js` / `.vrerc.json`
+   * @param {string} [configPath] - Config file; default: the nearest one above `cwd`
+   * @param {Object} options - Override the config's options, plus `cwd`
+   * @returns {VisualComparisonEngine}
+   */
+  static fromConfig(configPath, options = {}) {
+    const { cwd, ...engineOptions } = options;
+    const config = loadConfig(configPath, cwd);
+
+    return new VisualComparisonEngine({
+      ...config.options,
+      baselineDir: config.baselineDir,
+      actualDir: config.actualDir,
+      outputDir: config.outputDir,
+      include: config.include,
+      exclude: config.exclude,
+      allowMissing: config.allowMissing,
+      manifestPath: config.manifestPath,
+      historyPath: config.historyPath,
+      reporters: config.reporters,
+      overrides: config.overrides,
+      ...engineOptions
+    });
+  }
+
+  /**
+   * Render a p5.js sketch headlessly (jsdom + node-canvas) with pinned seeds and clock
+   * @param {string} sketchPath - Global-mode sketch file or module exporting an instance-mode sketch
+   * @param {Object} options - `frames`, `seed`, `frameRate`, `pixelDensity`,
+   *   `startTime`, `timeout`, `mode` and `output` (PNG path)
+   * @returns {Promise<{buffer: Buffer, width: number, height: number, frames: number, output: string|null}>}
+   */
+  renderSketch(sketchPath, options = {}) {
+    return this.sketchRenderer.render(sketchPath, options);
+  }
 }
 
+// File paths and encoded buffers are kept on batch results so reporters can embed them
+function sourcesOf(pair) {
+  const reportable = input => (typeof input === 'string' || Buffer.isBuffer(input) ? input : undefined);
+  return { baseline: reportable(pair.expected), actual: reportable(pair.actual) };
+}
+
+// Counts for `batch:done`
+function progressOf(results) {
+  const cancelled = results.filter(result => result.status === 'cancelled').length;
+  return { total: results.length, completed: results.length - cancelled, cancelled };
+}
+
+VisualComparisonEngine.reporters = reporters;
+VisualComparisonEngine.loadConfig = loadConfig;
+VisualComparisonEngine.errors = errors;
+VisualComparisonEngine.plugins = plugins;
+
 module.exports = VisualComparisonEngine;
@@ -0,0 +1,165 @@
+const fs = require('fs').promises;
+const path = require('path');
+const VisualComparisonEngine = require('./index');
+const { diffStylePath } = require('./core/DiffRenderer');
+const { encodePng } = require('./utils/imageInput');
+const { ValidationError } = require('./utils/errors');
+
+const SNAPSHOTS_DIR = '__visual_snapshots__';
+const DIFF_DIR = '__diff_output__';
+const MAX_LISTED_CLUSTERS = 10;
+
+/**
+ * Build a `toMatchVisualSnapshot` matcher whose engine starts from `defaults`
+ * (engine options, plus the matcher options `snapshotsDir` and `diffDir`).
+ *
+ * Baselines live in `__visual_snapshots__` next to the test file, named after
+ * the test. A missing baseline is written and the assertion passes (except
+ * with `--ci`); under `jest -u` a differing baseline is replaced. On failure
+ * the diff images go to `__visual_snapshots__/__diff_output__`.
+ * @param {Object} [defaults]
+ * @returns {Function} An async Jest matcher: `(image, options)`
+ */
+function configureToMatchVisualSnapshot(defaults = {}) {
+  const { snapshotsDir: defaultSnapshotsDir, diffDir: defaultDiffDir, ...engineOptions } = defaults;
+  const counters = new Map();
+  let engine = null;
+
+  return async function toMatchVisualSnapshot(received, options = {}) {
+    if (this.isNot) {
+      throw new ValidationError('.not.toMatchVisualSnapshot() is not supported');
+    }
+
+    const { name, snapshotsDir = defaultSnapshotsDir, diffDir = defaultDiffDir, ...compareOptions } = options;
+    const snapshotDir = snapshotsDir || path.join(path.dirname(this.testPath), SNAPSHOTS_DIR);
+    const snapshotName = name || nextSnapshotName(counters, this.testPath, this.currentTestName);
+    const baselinePath = path.join(snapshotDir, `${snapshotName}.png`);
+    const diffPath = path.join(diffDir || path.join(snapshotDir, DIFF_DIR), `${snapshotName}.png`);
+    // 'all' under `jest -u`, 'none' with `--ci`, otherwise 'new'
+    const updateSnapshot = this.snapshotState ? this.snapshotState._updateSnapshot : 'new';
+    const hint = this.utils.matcherHint('toMatchVisualSnapshot', 'image', '');
+    // Encoded once: a stream can only be read once, and the PNG may become the baseline
+    const png = await encodePng(received, 'actual');
+
+    if (!(await exists(baselinePath))) {
+      if (updateSnapshot === 'none') {
+        return {
+          pass: false,
+          message: () => `${hint}\n\nNo visual snapshot at ${relative(baselinePath)}; ` +
+            'new snapshots are not written with --ci.'
+        };
+      }
+      await writeBaseline(baselinePath, png);
+      countSnapshot(this.snapshotState, 'added');
+      return { pass: true, message: () => `${hint}\n\nWrote visual snapshot ${relative(baselinePath)}` };
+    }
+
+    engine = engine || new VisualComparisonEngine(engineOptions);
+    const result = await engine.compare(png, baselinePath, compareOptions);
+
+    if (result.ok || updateSnapshot === 'all') {
+      await removeDiffs(diffPath, result);
+      if (!result.ok) {
+        await writeBaseline(baselinePath, png);
+      }
+      countSnapshot(this.snapshotState, result.ok ? 'matched' : 'updated');
+      return { pass: true, message: () => `${hint}\n\nImage matches visual snapshot ${relative(baselinePath)}` };
+    }
+
+    const diffPaths = await writeDiffs(diffPath, result);
+    countSnapshot(this.snapshotState, 'unmatched');
+    return {
+      pass: false,
+      message: () => `${hint}\n\n${describeFailure(result, baselinePath, diffPaths)}`
+    };
+  };
+}
+
+// `draws the curve` -> `draws-the-curve-1`, `-2`, ... for each call in the same test
+function nextSnapshotName(counters, testPath, testName = 'snapshot') {
+  const key = `${testPath}\0${testName}`;
+  const count = (counters.get(key) || 0) + 1;
+  counters.set(key, count);
+
+  const slug = testName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'snapshot';
+  return `${slug}-${count}`;
+}
+
+function describeFailure(result, baselinePath, diffPaths) {
+  const { details } = result;
+  const clusters = [...details.clusters].sort((a, b) => b.size - a.size);
+  const lines = [
+    `Image differs from visual snapshot ${relative(baselinePath)}`,
+    `  ${result.diffCount} diff pixels, ${details.significantDiffPixels} significant`
+  ];
+
+  if (details.significance && details.significance.reason) {
+    lines.push(`  Decided by ${details.significance.strategy}: ${details.significance.reason}`);
+  }
+  if (clusters.length > 0) {
+    lines.push(`  ${clusters.length} cluster(s), ${details.analysis.significantClusters} significant:`);
+    for (const cluster of clusters.slice(0, MAX_LISTED_CLUSTERS)) {
+      const { minX, minY, width, height } = cluster.bounds;
+      const label = cluster.category || (cluster.isLineShift ? 'line shift' : '');
+      lines.push(`    ${String(cluster.size).padStart(6)} px at (${minX}, ${minY}) ${width}x${height}  ${label}`);
+    }
+    if (clusters.length > MAX_LISTED_CLUSTERS) {
+      lines.push(`    ... and ${clusters.length - MAX_LISTED_CLUSTERS} more`);
+    }
+  }
+  for (const diffPath of diffPaths) {
+    lines.push(`  Diff image: ${relative(diffPath)}`);
+  }
+
+  lines.push('', 'Run jest with -u to accept the new image.');
+  return lines.join('\n');
+}
+
+async function writeBaseline(baselinePath, png) {
+  await fs.mkdir(path.dirname(baselinePath), { recursive: true });
+  await fs.writeFile(baselinePath, png);
+}
+
+async function writeDiffs(diffPath, result) {
+  await fs.mkdir(path.dirname(diffPath), { recursive: true });
+
+  const written = [];
+  for (const [style, image] of Object.entries(result.diffImages)) {
+    const stylePath = diffStylePath(diffPath, style, result.diffStyle);
+    await fs.writeFile(stylePath, image);
+    written.push(stylePath);
+  }
+  return written;
+}
+
+// Diffs left over from an earlier failing run
+async function removeDiffs(diffPath, result) {
+  for (const style of Object.keys(result.diffImages)) {
+    await fs.rm(diffStylePath(diffPath, style, result.diffStyle), { force: true });
+  }
+}
+
+// Keep Jest's snapshot summary ("1 snapshot written", ...) in step
+function countSnapshot(snapshotState, counter) {
+  if (snapshotState && typeof snapshotState[counter] === 'number') {
+    snapshotState[counter]++;
+  }
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function relative(filePath) {
+  return path.relative(process.cwd(), filePath);
+}
+
+module.exports = {
+  toMatchVisualSnapshot: configureToMatchVisualSnapshot(),
+  configureToMatchVisualSnapshot
+};
@@ -0,0 +1,298 @@
+const fs = require('fs').promises;
+const Reporter = require('./Reporter');
+const { escapeMarkup } = require('../utils/escape');
+const { mimeTypeOf } = require('../utils/imageFormat');
+
+const STATUS_GROUPS = {
+  passed: 'pass',
+  failed: 'fail'
+};
+
+/**
+ * Self-contained HTML report. Results need `baseline`/`actual` (file path
+ * or Buffer) and `diffImage` for the images to be inlined.
+ */
+class HtmlReporter extends Reporter {
+  constructor(options = {}) {
+    super({
+      title: 'Visual Regression Report',
+      ...options
+    });
+  }
+
+  async render(results) {
+    const entries = [];
+    for (const [index, result] of results.entries()) {
+      entries.push(await this._renderEntry(result, index));
+    }
+
+    const counts = { pass: 0, fail: 0, error: 0 };
+    for (const result of results) {
+      counts[this._group(result)]++;
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeMarkup(this.options.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeMarkup(this.options.title)}</h1>
+  <p class="summary">${results.length} compared &middot;
+    <span class="pass">${counts.pass} passed</span> &middot;
+    <span class="fail">${counts.fail} failed</span> &middot;
+    <span class="error">${counts.error} errors</span></p>
+  <div class="controls">
+    <label><input type="checkbox" data-filter="pass" checked> Pass</label>
+    <label><input type="checkbox" data-filter="fail" checked> Fail</label>
+    <label><input type="checkbox" data-filter="error" checked> Error</label>
+    <label>Sort by
+      <select id="sort">
+        <option value="index">Input order</option>
+        <option value="name">Name</option>
+        <option value="status">Status</option>
+        <option value="diff">Diff pixels</option>
+      </select>
+    </label>
+  </div>
+</header>
+<main id="results">
+${entries.join('\n')}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+  }
+
+  async _renderEntry(result, index) {
+    const group = this._group(result);
+    const diffCount = result.diffCount || 0;
+    const [baseline, actual] = await Promise.all([
+      this._toDataUrl(result.baseline),
+      this._toDataUrl(result.actual)
+    ]);
+    const diff = await this._toDataUrl(result.diffImage);
+    const overlays = this._clusterOverlays(result);
+    const figure = (label, src, overlay) => `<figure><figcaption>${label}</figcaption>${
+      src ? `<div class="frame"><img src="${src}" alt="${label}">${overlay}</div>` : '<div class="missing">Not available</div>'
+    }</figure>`;
+
+    const body = result.error && !diff
+      ? `<p class="message">${escapeMarkup(result.error)}</p>`
+      : `<div class="tabs">
+      <button data-view="side" class="active">Side by side</button>
+      <button data-view="swipe">Swipe</button>
+      <button data-view="onion">Onion skin</button>
+    </div>
+    <div class="view side">
+      ${figure('Baseline', baseline, overlays.baseline)}${figure('Actual', actual, overlays.actual)}${figure('Diff', diff, overlays.diff)}
+    </div>
+    <div class="view swipe" hidden>
+      <div class="stack">
+        <img src="${baseline || ''}" alt="Baseline">
+        <img class="top" src="${actual || ''}" alt="Actual" style="clip-path: inset(0 50% 0 0)">
+        ${overlays.baseline}
+      </div>
+      <input type="range" class="swipe-range" min="0" max="100" value="50">
+    </div>
+    <div class="view onion" hidden>
+      <div class="stack">
+        <img src="${baseline || ''}" alt="Baseline">
+        <img class="top" src="${actual || ''}" alt="Actual" style="opacity: 0.5">
+        ${overlays.baseline}
+      </div>
+      <input type="range" class="onion-range" min="0" max="100" value="50">
+    </div>`;
+
+    return `<section class="result ${group}" data-index="${index}" data-name="${escapeMarkup(result.name || '')}"
+  data-status="${group}" data-diff="${diffCount}">
+  <h2><span class="badge ${group}">${group}</span> ${escapeMarkup(result.name || `#${index + 1}`)}</h2>
+  <p class="meta">${escapeMarkup(this._describe(result))}</p>
+  ${body}
+</section>`;
+  }
+
+  /**
+   * Cluster outlines for the baseline, actual and diff figures. Clusters are
+   * found on the resized images, so for the originals their bounds are mapped
+   * back through the per-axis `details.resize.scale`. Under
+   * `scale-to-expected` the actual image was stretched to the expected size
+   * first, which adds its own factor.
+   */
+  _clusterOverlays(result) {
+    const size = this._imageSize(result);
+    if (!size) {
+      return { baseline: '', actual: '', diff: '' };
+    }
+
+    const clusters = (result.details && result.details.clusters) || [];
+    const diff = this._renderClusterOverlay(clusters, size);
+    const { resize, dimensions } = result.details || {};
+    if (!resize || !dimensions) {
+      return { baseline: diff, actual: diff, diff };
+    }
+
+    const { expected, actual, sizePolicy } = dimensions;
+    const stretch = sizePolicy === 'scale-to-expected'
+      ? { x: expected.width / actual.width, y: expected.height / actual.height }
+      : { x: 1, y: 1 };
+
+    return {
+      baseline: this._renderClusterOverlay(clusters, expected, resize.scale),
+      actual: this._renderClusterOverlay(clusters, actual, { x: resize.scale.x * stretch.x, y: resize.scale.y * stretch.y }),
+      diff
+    };
+  }
+
+  _renderClusterOverlay(clusters, { width, height }, scale = { x: 1, y: 1 }) {
+    const toSource = (value, factor) => Math.round((value / factor) * 100) / 100;
+    const boxes = clusters.map(cluster => {
+      const { minX, minY, width: w, height: h } = cluster.bounds;
+      const kind = cluster.isLineShift ? 'line-shift' : 'cluster';
+      const label = cluster.category ? ` ${cluster.category}: ${cluster.reason}` : cluster.isLineShift ? ' (line shift)' : '';
+      const [x, y] = [toSource(minX, scale.x), toSource(minY, scale.y)];
+      const [boxWidth, boxHeight] = [toSource(w, scale.x), toSource(h, scale.y)];
+      return `<rect class="${kind}" x="${x}" y="${y}" width="${boxWidth}" height="${boxHeight}"><title>${cluster.size} px${
+        escapeMarkup(label)
+      }</title></rect>`;
+    });
+
+    return `<svg class="clusters" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">${boxes.join('')}</svg>`;
+  }
+
+  _describe(result) {
+    if (result.error) {
+      return result.error;
+    }
+    if (!result.details) {
+      return result.status || '';
+    }
+    const { totalDiffPixels, significantDiffPixels, clusters } = result.details;
+    return `${totalDiffPixels} diff pixels, ${significantDiffPixels} significant, ${clusters.length} clusters`;
+  }
+
+  _group(result) {
+    return STATUS_GROUPS[this._status(result)] || 'error';
+  }
+
+  async _toDataUrl(source) {
+    const buffer = Buffer.isBuffer(source) ? source : await this._readImageFile(source);
+    if (!buffer) {
+      return null;
+    }
+    return `data:${this._mimeType(buffer)};base64,${buffer.toString('base64')}`;
+  }
+
+  // A missing file or a directory (e.g. from a failed directory run) shows as "Not available"
+  async _readImageFile(filePath) {
+    if (typeof filePath !== 'string') {
+      return null;
+    }
+    try {
+      const stats = await fs.stat(filePath);
+      return stats.isFile() ? await fs.readFile(filePath) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Unrecognised bytes fall back to PNG, which every diff image is
+  _mimeType(buffer) {
+    return mimeTypeOf(buffer) || 'image/png';
+  }
+}
+
+const STYLES = `
+body { font-family: system-ui, sans-serif; margin: 0; background: #f4f4f4; color: #222; }
+header { background: #fff; padding: 16px 24px; border-bottom: 1px solid #ddd; position: sticky; top: 0; z-index: 2; }
+h1 { margin: 0 0 4px; font-size: 20px; }
+.controls { display: flex; gap: 16px; align-items: center; }
+main { padding: 16px 24px; }
+.result { background: #fff; border: 1px solid #ddd; border-radius: 6px; padding: 12px 16px; margin-bottom: 16px; }
+.result h2 { font-size: 16px; margin: 0; }
+.meta, .message { color: #555; font-size: 13px; }
+.badge { text-transform: uppercase; font-size: 11px; padding: 2px 6px; border-radius: 3px; color: #fff; }
+.badge.pass, .summary .pass { background: #2e7d32; }
+.badge.fail, .summary .fail { background: #c62828; }
+.badge.error, .summary .error { background: #6d4c41; }
+.summary span { color: #fff; padding: 0 4px; border-radius: 3px; }
+.tabs button { border: 1px solid #ccc; background: #fafafa; padding: 4px 10px; cursor: pointer; }
+.tabs button.active { background: #333; color: #fff; }
+[hidden] { display: none !important; }
+.view.side { display: flex; gap: 12px; margin-top: 8px; }
+.view.side figure { flex: 1; margin: 0; }
+figcaption { font-size: 12px; color: #777; }
+.frame, .stack { position: relative; line-height: 0; }
+.frame img, .stack img { width: 100%; image-rendering: pixelated; }
+.stack { max-width: 640px; margin-top: 8px; }
+.stack img.top { position: absolute; left: 0; top: 0; }
+.view input[type=range] { width: 100%; max-width: 640px; }
+.clusters { position: absolute; left: 0; top: 0; width: 100%; height: 100%; pointer-events: none; }
+.clusters rect { fill: none; stroke: #ff00ff; stroke-width: 1; vector-effect: non-scaling-stroke; }
+.clusters rect.line-shift { stroke: #ffa000; stroke-dasharray: 3 2; }
+.missing { padding: 24px; background: #eee; color: #999; text-align: center; line-height: normal; }
+`;
+
+const SCRIPT = `
+(function () {
+  var container = document.getElementById('results');
+  var order = { fail: 0, error: 1, pass: 2 };
+
+  function applyFilters() {
+    var enabled = {};
+    document.querySelectorAll('[data-filter]').forEach(function (box) {
+      enabled[box.dataset.filter] = box.checked;
+    });
+    container.querySelectorAll('.result').forEach(function (section) {
+      section.hidden = !enabled[section.dataset.status];
+    });
+  }
+
+  function applySort(key) {
+    var sections = Array.prototype.slice.call(container.querySelectorAll('.result'));
+    sections.sort(function (a, b) {
+      if (key === 'name') return a.dataset.name.localeCompare(b.dataset.name);
+      if (key === 'status') return order[a.dataset.status] - order[b.dataset.status];
+      if (key === 'diff') return Number(b.dataset.diff) - Number(a.dataset.diff);
+      return Number(a.dataset.index) - Number(b.dataset.index);
+    });
+    sections.forEach(function (section) { container.appendChild(section); });
+  }
+
+  document.querySelectorAll('[data-filter]').forEach(function (box) {
+    box.addEventListener('change', applyFilters);
+  });
+  document.getElementById('sort').addEventListener('change', function (event) {
+    applySort(event.target.value);
+  });
+
+  container.addEventListener('click', function (event) {
+    var button = event.target.closest('.tabs button');
+    if (!button) return;
+    var section = button.closest('.result');
+    section.querySelectorAll('.tabs button').forEach(function (b) {
+      b.classList.toggle('active', b === button);
+    });
+    section.querySelectorAll('.view').forEach(function (view) {
+      view.hidden = !view.classList.contains(button.dataset.view);
+    });
+  });
+
+  container.addEventListener('input', function (event) {
+    var top = event.target.parentNode.querySelector('img.top');
+    if (!top) return;
+    var value = Number(event.target.value);
+    if (event.target.classList.contains('swipe-range')) {
+      top.style.clipPath = 'inset(0 ' + (100 - value) + '% 0 0)';
+    } else if (event.target.classList.contains('onion-range')) {
+      top.style.opacity = value / 100;
+    }
+  });
+})();
+`;
+
+module.exports = HtmlReporter;
@@ -0,0 +1,95 @@
+const Reporter = require('./Reporter');
+const { escapeMarkup } = require('../utils/escape');
+
+class JUnitReporter extends Reporter {
+  render(results) {
+    const suiteName = this.options.suiteName || 'visual-regression';
+    const time = this._seconds(results.reduce((sum, result) => sum + (result.duration || 0), 0));
+    const counts = this._counts(results);
+    const attributes = `tests="${results.length}" failures="${counts.failures}" errors="${counts.errors}" ` +
+      `skipped="${counts.skipped}" time="${time}"`;
+
+    const testcases = results.map(result => this._renderTestcase(result, suiteName));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${escapeMarkup(suiteName)}" ${attributes}>`,
+      `  <testsuite name="${escapeMarkup(suiteName)}" ${attributes}>`,
+      ...testcases,
+      '  </testsuite>',
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+
+  _renderTestcase(result, suiteName) {
+    const status = this._status(result);
+    const name = escapeMarkup(result.name || 'comparison');
+    const open = `    <testcase classname="${escapeMarkup(suiteName)}" name="${name}" time="${this._seconds(result.duration || 0)}"`;
+
+    if (status === 'passed') {
+      return `${open}/>`;
+    }
+    if (status === 'cancelled') {
+      return `${open}>\n      <skipped message="Not compared: the batch was stopped"/>\n    </testcase>`;
+    }
+
+    const message = escapeMarkup(this._message(result, status));
+    const element = status === 'failed'
+      ? `<failure message="${message}" type="VisualRegression">${escapeMarkup(this._details(result))}</failure>`
+      : `<error message="${message}" type="${escapeMarkup(result.errorCode || status)}"/>`;
+
+    return `${open}>\n      ${element}\n    </testcase>`;
+  }
+
+  /**
+   * Totals of the elements _renderTestcase emits: missing images are
+   * `<error>`s too, which the summary's `errors` doesn't include
+   */
+  _counts(results) {
+    const counts = { failures: 0, errors: 0, skipped: 0 };
+    for (const result of results) {
+      const status = this._status(result);
+      if (status === 'failed') {
+        counts.failures++;
+      } else if (status === 'cancelled') {
+        counts.skipped++;
+      } else if (status !== 'passed') {
+        counts.errors++;
+      }
+    }
+    return counts;
+  }
+
+  _message(result, status) {
+    if (result.error) {
+      return result.error;
+    }
+    if (status === 'failed') {
+      return `${result.diffCount || 0} diff pixels, ${result.details ? result.details.significantDiffPixels : 0} significant`;
+    }
+    return status;
+  }
+
+  _details(result) {
+    if (!result.details) {
+      return '';
+    }
+    const lines = [`Diff pixels: ${result.diffCount || 0}`, `Significant diff pixels: ${result.details.significantDiffPixels}`];
+    for (const cluster of result.details.clusters || []) {
+      const { minX, minY, width, height } = cluster.bounds;
+      const label = cluster.category ? ` [${cluster.category}: ${cluster.reason}]` : cluster.isLineShift ? ' [line shift]' : '';
+      lines.push(`Cluster ${cluster.size}px at (${minX}, ${minY}) ${width}x${height}${label}`);
+    }
+    if (result.diffPath) {
+      lines.push(`Diff image: ${result.diffPath}`);
+    }
+    return lines.join('\n');
+  }
+
+  _seconds(ms) {
+    return (ms / 1000).toFixed(3);
+  }
+}
+
+module.exports = JUnitReporter;
@@ -0,0 +1,44 @@
+const Reporter = require('./Reporter');
+
+// Image data and per-pixel cluster lists are too large to be useful in JSON output
+const OMITTED_KEYS = new Set(['diffImageData', 'diffImage', 'diffImages', 'diffMask', 'pixels']);
+
+class JsonReporter extends Reporter {
+  render(results, context = {}) {
+    // A single `compare` keeps its flat output shape
+    const output = context.single && results.length === 1
+      ? this.serializeResult(results[0], context)
+      : {
+        passed: this._summary(results, context).ok,
+        summary: this._summary(results, context),
+        results: results.map(result => this.serializeResult(result, context))
+      };
+
+    return `${JSON.stringify(output, (key, value) => (OMITTED_KEYS.has(key) ? undefined : value), 2)}\n`;
+  }
+
+  serializeResult(result, context = {}) {
+    return {
+      name: result.name,
+      status: this._status(result),
+      passed: result.ok || false,
+      difference: this._diffRatio(result),
+      diffCount: result.diffCount || 0,
+      threshold: context.threshold,
+      baseline: pathOf(result.baseline),
+      comparison: pathOf(result.actual),
+      output: result.diffPath,
+      error: result.error,
+      errorCode: result.errorCode,
+      duration: result.duration,
+      details: result.details || {}
+    };
+  }
+}
+
+// Batch results may carry encoded Buffers; only file paths belong in the report
+function pathOf(source) {
+  return typeof source === 'string' ? source : null;
+}
+
+module.exports = JsonReporter;
@@ -0,0 +1,45 @@
+const Reporter = require('./Reporter');
+
+const STATUS_ICONS = {
+  passed: '✅',
+  failed: '❌'
+};
+
+class MarkdownReporter extends Reporter {
+  render(results, context = {}) {
+    const summary = this._summary(results, context);
+    const rows = results
+      .filter(result => !this.options.failuresOnly || this._status(result) !== 'passed')
+      .map(result => this._renderRow(result));
+
+    return [
+      `## ${this.options.title || 'Visual Regression Results'}`,
+      '',
+      `${summary.ok ? '✅' : '❌'} **${summary.passed}/${summary.total} passed** · ${summary.failed} failed · ${summary.errors} errors`,
+      '',
+      '| Status | Name | Diff pixels | Significant | Clusters |',
+      '|--------|------|------------:|------------:|---------:|',
+      ...rows,
+      ''
+    ].join('\n');
+  }
+
+  _renderRow(result) {
+    const status = this._status(result);
+    const details = result.details || {};
+    const cells = [
+      `${STATUS_ICONS[status] || '⚠️'} ${status}`,
+      this._escape(result.name || ''),
+      result.error ? this._escape(result.error) : String(result.diffCount || 0),
+      details.significantDiffPixels !== undefined ? String(details.significantDiffPixels) : '–',
+      details.clusters ? String(details.clusters.length) : '–'
+    ];
+    return `| ${cells.join(' | ')} |`;
+  }
+
+  _escape(value) {
+    return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  }
+}
+
+module.exports = MarkdownReporter;
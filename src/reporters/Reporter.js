@@ -0,0 +1,75 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Base class for result reporters. Subclasses implement `render()`, which
+ * returns the report contents as a string (or a Promise of one).
+ */
+class Reporter {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  render(_results, _context = {}) {
+    throw new Error(`${this.constructor.name} must implement render()`);
+  }
+
+  async write(results, filePath, context = {}) {
+    const output = await this.render(results, context);
+    await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    await fs.writeFile(filePath, output);
+    return filePath;
+  }
+
+  /**
+   * Normalise batch and directory results to a single status string
+   * @returns {'passed'|'failed'|'error'|'missing-actual'|'missing-baseline'|'cancelled'}
+   */
+  _status(result) {
+    if (result.status) {
+      return result.status;
+    }
+    if (result.error) {
+      return 'error';
+    }
+    return result.ok ? 'passed' : 'failed';
+  }
+
+  _summary(results, context) {
+    if (context.summary) {
+      return context.summary;
+    }
+
+    const statuses = results.map(result => this._status(result));
+    const passed = statuses.filter(status => status === 'passed').length;
+    const failed = statuses.filter(status => status === 'failed').length;
+    const cancelled = statuses.filter(status => status === 'cancelled').length;
+
+    return {
+      total: results.length,
+      passed,
+      failed,
+      errors: results.length - passed - failed - cancelled,
+      cancelled,
+      ok: passed === results.length
+    };
+  }
+
+  _diffRatio(result) {
+    const size = this._imageSize(result);
+    return size ? (result.diffCount || 0) / (size.width * size.height) : 0;
+  }
+
+  _imageSize(result) {
+    if (result.diffImageData) {
+      return { width: result.diffImageData.width, height: result.diffImageData.height };
+    }
+    // Read width/height straight from the PNG IHDR chunk
+    if (Buffer.isBuffer(result.diffImage) && result.diffImage.length >= 24) {
+      return { width: result.diffImage.readUInt32BE(16), height: result.diffImage.readUInt32BE(20) };
+    }
+    return null;
+  }
+}
+
+module.exports = Reporter;
@@ -0,0 +1,40 @@
+const Reporter = require('./Reporter');
+
+class TapReporter extends Reporter {
+  render(results) {
+    const lines = ['TAP version 13', `1..${results.length}`];
+
+    results.forEach((result, index) => {
+      const status = this._status(result);
+      const name = (result.name || `comparison ${index + 1}`).replace(/#/g, '\\#');
+
+      if (status === 'passed') {
+        lines.push(`ok ${index + 1} - ${name}`);
+        return;
+      }
+
+      lines.push(`not ok ${index + 1} - ${name}`);
+      lines.push('  ---');
+      lines.push(`  status: ${status}`);
+      if (result.error) {
+        lines.push(`  message: ${JSON.stringify(result.error)}`);
+        if (result.errorCode) {
+          lines.push(`  code: ${result.errorCode}`);
+        }
+      }
+      if (result.details) {
+        lines.push(`  diffCount: ${result.diffCount || 0}`);
+        lines.push(`  significantDiffPixels: ${result.details.significantDiffPixels}`);
+        lines.push(`  clusters: ${(result.details.clusters || []).length}`);
+      }
+      if (result.diffPath) {
+        lines.push(`  diff: ${JSON.stringify(result.diffPath)}`);
+      }
+      lines.push('  ...');
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = TapReporter;
@@ -0,0 +1,70 @@
+const Reporter = require('./Reporter');
+
+class TextReporter extends Reporter {
+  render(results, context = {}) {
+    if (context.single && results.length === 1) {
+      return this._renderSingle(results[0]);
+    }
+
+    const lines = results.map(result => {
+      const status = this._status(result);
+      const extra = result.error ? ` (${result.error})` : result.diffCount ? ` (${result.diffCount} diff pixels)` : '';
+      const offset = result.offset ? ` [matched frame ${result.matchedFrame}]` : '';
+      return `${status.toUpperCase().padEnd(16)} ${result.name}${extra}${offset}`;
+    });
+    const summary = this._summary(results, context);
+
+    lines.push('');
+    lines.push(`Total: ${summary.total}, passed: ${summary.passed}, failed: ${summary.failed}, errors: ${summary.errors}`);
+    if (summary.missingActual !== undefined) {
+      lines.push(`Missing actual: ${summary.missingActual}, missing baseline: ${summary.missingBaseline}`);
+    }
+    if (summary.cancelled) {
+      lines.push(`Not compared: ${summary.cancelled}${summary.stoppedBy ? ` (stopped by ${summary.stoppedBy})` : ''}`);
+    }
+    if (summary.frameCount) {
+      lines.push(`Frames: ${summary.frameCount.actual} actual, ${summary.frameCount.expected} expected`);
+      if (summary.firstDivergentFrame !== null) {
+        lines.push(`First divergent frame: ${summary.firstDivergentFrame}`);
+      }
+    }
+    lines.push(`Comparison ${summary.ok ? 'PASSED' : 'FAILED'}`);
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  _renderSingle(result) {
+    if (result.error) {
+      return `Error: ${result.error}\n`;
+    }
+
+    const lines = [
+      `Comparison ${result.ok ? 'PASSED' : 'FAILED'}`,
+      `Difference: ${(this._diffRatio(result) * 100).toFixed(2)}%`,
+      `Diff pixels: ${result.diffCount || 0}`
+    ];
+    if (result.details && result.details.significantDiffPixels !== undefined) {
+      lines.push(`Significant diff pixels: ${result.details.significantDiffPixels}`);
+      lines.push(`Clusters found: ${result.details.clusters ? result.details.clusters.length : 0}`);
+    }
+    for (const [category, { clusters, pixels }] of Object.entries((result.details && result.details.categories) || {})) {
+      lines.push(`  ${category}: ${clusters} cluster(s), ${pixels} px`);
+    }
+    if (result.details && result.details.significance && result.details.significance.reason) {
+      const { strategy, reason } = result.details.significance;
+      lines.push(`Decided by ${strategy}: ${reason}`);
+    }
+    if (result.details && result.details.dimensions && !result.details.dimensions.match) {
+      const { actual, expected, sizePolicy } = result.details.dimensions;
+      lines.push(`Size mismatch: actual ${actual.width}x${actual.height}, expected ${expected.width}x${expected.height} (${sizePolicy})`);
+    }
+    if (result.details && result.details.alignment) {
+      const { sourceX, sourceY, exceeded } = result.details.alignment;
+      lines.push(`Alignment offset: ${sourceX}, ${sourceY}${exceeded ? ' (exceeds limit)' : ''}`);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = TextReporter;
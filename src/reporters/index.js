@@ -0,0 +1,132 @@
+const path = require('path');
+const Reporter = require('./Reporter');
+const JsonReporter = require('./JsonReporter');
+const TextReporter = require('./TextReporter');
+const JUnitReporter = require('./JUnitReporter');
+const TapReporter = require('./TapReporter');
+const MarkdownReporter = require('./MarkdownReporter');
+const HtmlReporter = require('./HtmlReporter');
+const { ValidationError } = require('../utils/errors');
+
+const BUILT_IN_REPORTERS = {
+  json: JsonReporter,
+  text: TextReporter,
+  junit: JUnitReporter,
+  tap: TapReporter,
+  markdown: MarkdownReporter,
+  html: HtmlReporter
+};
+
+// Where `--report <name>` writes when no `--report-file` is given
+const DEFAULT_OUTPUT_FILES = {
+  json: 'visual-report.json',
+  text: 'visual-report.txt',
+  junit: 'junit.xml',
+  tap: 'visual-report.tap',
+  markdown: 'visual-report.md',
+  html: 'visual-report.html'
+};
+
+/**
+ * Parse a `name[:outputFile]` reporter spec, e.g. `junit:reports/junit.xml`.
+ * A Windows drive letter in the name is not treated as the separator.
+ */
+function parseReporterSpec(spec) {
+  if (typeof spec !== 'string') {
+    return spec;
+  }
+
+  const match = spec.match(/^((?:[a-zA-Z]:[\\/])?[^:]+)(?::(.+))?$/);
+  if (!match) {
+    throw new ValidationError(`Invalid reporter: ${spec}. Expected <name>[:<outputFile>]`);
+  }
+
+  return { name: match[1], outputFile: match[2] };
+}
+
+/**
+ * Default report file for a reporter name; module reporters get a plain text file
+ */
+function defaultOutputFile(name) {
+  return DEFAULT_OUTPUT_FILES[name] || 'visual-report.txt';
+}
+
+/**
+ * Create a reporter from a built-in name, a module path or an instance
+ * @param {string|Object} spec - `name[:file]`, `{ name, outputFile, options }` or a reporter object
+ * @param {string} cwd - Directory custom reporter modules are resolved from
+ */
+function createReporter(spec, cwd = process.cwd()) {
+  const { name, options } = parseReporterSpec(spec);
+
+  if (typeof spec === 'object' && typeof spec.render === 'function') {
+    return spec;
+  }
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new ValidationError(`Invalid reporter: ${JSON.stringify(spec)}`);
+  }
+
+  let ReporterClass = BUILT_IN_REPORTERS[name];
+
+  if (!ReporterClass) {
+    try {
+      ReporterClass = require(require.resolve(name, { paths: [cwd] }));
+    } catch (error) {
+      throw new ValidationError(
+        `Unknown reporter "${name}". Use one of ${Object.keys(BUILT_IN_REPORTERS).join(', ')} or a module path (${error.message})`
+      );
+    }
+  }
+
+  const reporter = typeof ReporterClass === 'function' ? new ReporterClass(options) : ReporterClass;
+
+  if (!reporter || typeof reporter.render !== 'function') {
+    throw new ValidationError(`Reporter "${name}" must implement render(results, context)`);
+  }
+
+  return reporter;
+}
+
+/**
+ * Run several reporters over the same results. Reporters with an output file
+ * write to it, the others print to stdout.
+ * @returns {Promise<Array<{name, outputFile}>>}
+ */
+async function runReporters(results, specs, context = {}) {
+  const written = [];
+
+  for (const spec of specs) {
+    const parsed = parseReporterSpec(spec);
+    const reporter = createReporter(spec, context.cwd);
+    const outputFile = parsed.outputFile && path.resolve(context.cwd || process.cwd(), parsed.outputFile);
+
+    if (outputFile) {
+      if (typeof reporter.write === 'function') {
+        await reporter.write(results, outputFile, context);
+      } else {
+        await Reporter.prototype.write.call(reporter, results, outputFile, context);
+      }
+    } else {
+      process.stdout.write(await reporter.render(results, context));
+    }
+
+    written.push({ name: parsed.name, outputFile: outputFile || null });
+  }
+
+  return written;
+}
+
+module.exports = {
+  Reporter,
+  JsonReporter,
+  TextReporter,
+  JUnitReporter,
+  TapReporter,
+  MarkdownReporter,
+  HtmlReporter,
+  BUILT_IN_REPORTERS,
+  defaultOutputFile,
+  parseReporterSpec,
+  createReporter,
+  runReporters
+};
@@ -0,0 +1,103 @@
+const os = require('os');
+
+/**
+ * Map `items` through the async `fn` with at most `limit` calls in flight.
+ * Results keep the input order. Once `shouldStop()` returns true no new
+ * calls start; the slots of items never started stay empty.
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, fn, shouldStop = () => false) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length && !shouldStop()) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const runners = [];
+  for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++) {
+    runners.push(runNext());
+  }
+  await Promise.all(runners);
+
+  return results;
+}
+
+/**
+ * Run a batch of comparisons through mapWithConcurrency, emitting
+ * `pair:start`, `pair:result` and `pair:error` on `events` (an EventEmitter,
+ * optional). No new pair starts once `signal` aborts or, with `failFast`,
+ * once a pair fails; pairs already running finish.
+ * @param {Array} items
+ * @param {Function} run - `(item, index)` to a result; errors must be caught into the result
+ * @param {Object} options - `concurrency`, `signal`, `failFast`, `events`,
+ *   `nameOf(item)`, `isFailure(result)` and `cancelled(item)` (the result of a pair never started)
+ * @returns {Promise<{results: Array, stoppedBy: string|null}>} `stoppedBy` is 'abort', 'fail-fast' or null
+ */
+async function runBatch(items, run, options) {
+  const { concurrency, signal, failFast, events, nameOf, isFailure, cancelled } = options;
+  const emit = (event, payload) => events && events.emit(event, payload);
+  const total = items.length;
+  let completed = 0;
+  let failed = 0;
+  let stoppedBy = signal && signal.aborted ? 'abort' : null;
+
+  const onAbort = () => {
+    stoppedBy = stoppedBy || 'abort';
+  };
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  let results;
+  try {
+    results = await mapWithConcurrency(items, concurrency, async (item, index) => {
+      const name = nameOf(item);
+      emit('pair:start', { name, index, completed, total });
+
+      const result = await run(item, index);
+      completed++;
+      if (isFailure(result)) {
+        failed++;
+        if (failFast) {
+          stoppedBy = stoppedBy || 'fail-fast';
+        }
+      }
+      emit(result.error ? 'pair:error' : 'pair:result', { name, index, result, completed, failed, total });
+      return result;
+    }, () => stoppedBy !== null);
+  } finally {
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  for (let index = 0; index < total; index++) {
+    if (results[index] === undefined) {
+      results[index] = cancelled(items[index]);
+    }
+  }
+
+  return { results, stoppedBy };
+}
+
+/**
+ * Normalise the `concurrency` option: `'auto'` uses every core but one
+ * @returns {number}
+ */
+function resolveConcurrency(concurrency) {
+  if (concurrency === 'auto') {
+    const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    return Math.max(1, cores - 1);
+  }
+  return Number.isInteger(concurrency) && concurrency > 0 ? concurrency : 1;
+}
+
+module.exports = {
+  mapWithConcurrency,
+  runBatch,
+  resolveConcurrency
+};
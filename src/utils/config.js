@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const { matchesAny } = require('./glob');
+const { ValidationError } = require('./errors');
+const { parseReporterSpec } = require('../reporters');
+
+const CONFIG_FILENAMES = ['vre.config.js', '.vrerc.json'];
+
+// Comparison options that may appear under `options` and in overrides
+const OPTION_TYPES = {
+  threshold: 'number',
+  includeAA: 'boolean',
+  alpha: 'number',
+  maxSide: 'number',
+  resize: ['string', 'number', 'object'],
+  resampling: 'string',
+  tileSize: ['number', 'null'],
+  backgroundColor: 'array',
+  minClusterSize: 'number',
+  maxTotalDiffPixels: 'number',
+  maxSignificantClusters: 'number',
+  significance: 'string',
+  maxDiffPercent: 'number',
+  maxClusterSize: 'number',
+  preprocess: ['string', 'array'],
+  lineShiftThreshold: 'number',
+  clusterConnectivity: 'number',
+  sizePolicy: 'string',
+  categoryTolerances: 'object',
+  metric: 'string',
+  ssimThreshold: 'number',
+  ssimWindowSize: 'number',
+  deltaEThreshold: 'number',
+  align: 'boolean',
+  alignSearchRadius: 'number',
+  maxAlignOffset: ['number', 'null'],
+  ignoreRegions: 'array',
+  ignoreMask: 'string',
+  diffStyle: ['string', 'array'],
+  render: 'object',
+  concurrency: ['number', 'string'],
+  temporalOffset: 'number',
+  failFast: 'boolean'
+};
+
+const CONFIG_TYPES = {
+  baselineDir: 'string',
+  actualDir: 'string',
+  outputDir: 'string',
+  include: 'array',
+  exclude: 'array',
+  allowMissing: 'boolean',
+  manifestPath: 'string',
+  historyPath: 'string',
+  format: 'string',
+  reporters: 'array',
+  options: 'object',
+  overrides: 'array'
+};
+
+const OVERRIDE_TYPES = {
+  files: ['string', 'array'],
+  options: 'object'
+};
+
+// Config paths resolved against the directory holding the config file
+const PATH_KEYS = ['baselineDir', 'actualDir', 'outputDir', 'manifestPath', 'historyPath'];
+
+/**
+ * Walk up from `startDir` looking for `vre.config.js` or `.vrerc.json`
+ * @returns {string|null}
+ */
+function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  for (;;) {
+    for (const filename of CONFIG_FILENAMES) {
+      const candidate = path.join(dir, filename);
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Load and validate a config file. Without `configPath` the nearest config
+ * above `cwd` is used; with none found an empty config is returned.
+ * @returns {Object} Validated config with paths resolved and a `configPath` key
+ */
+function loadConfig(configPath, cwd = process.cwd()) {
+  const resolvedPath = configPath ? path.resolve(cwd, configPath) : findConfigFile(cwd);
+  if (!resolvedPath) {
+    return { configPath: null, options: {}, overrides: [] };
+  }
+
+  let raw;
+  try {
+    if (resolvedPath.endsWith('.js') || resolvedPath.endsWith('.cjs')) {
+      delete require.cache[resolvedPath];
+      raw = require(resolvedPath);
+    } else {
+      raw = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    }
+  } catch (error) {
+    throw new ValidationError(`Could not load config ${resolvedPath}: ${error.message}`);
+  }
+
+  const config = validateConfig(raw, path.basename(resolvedPath));
+  return resolveConfigPaths(config, resolvedPath);
+}
+
+/**
+ * Check a config object for unknown keys and wrong value types
+ * @param {Object} config
+ * @param {string} source - Shown in error messages
+ */
+function validateConfig(config, source = 'config') {
+  checkObject(config, CONFIG_TYPES, source, '');
+
+  for (const key of ['include', 'exclude']) {
+    if (config[key]) {
+      checkStrings(config[key], source, key);
+    }
+  }
+  if (config.options) {
+    checkObject(config.options, OPTION_TYPES, source, 'options.');
+  }
+
+  (config.overrides || []).forEach((override, index) => {
+    const prefix = `overrides[${index}].`;
+    checkObject(override, OVERRIDE_TYPES, source, prefix);
+
+    if (override.files === undefined) {
+      throw new ValidationError(`${source}: ${prefix}files is required`);
+    }
+    checkStrings([].concat(override.files), source, `${prefix}files`);
+    checkObject(override.options || {}, OPTION_TYPES, source, `${prefix}options.`);
+  });
+
+  return {
+    ...config,
+    options: { ...config.options },
+    overrides: (config.overrides || []).map(override => ({
+      files: [].concat(override.files),
+      options: { ...override.options }
+    }))
+  };
+}
+
+/**
+ * Merge the options of every override whose `files` match `name`, in order
+ * @param {Array<{files: Array<string>, options: Object}>} overrides
+ * @param {string} name - Relative image path or file name
+ * @returns {Object}
+ */
+function overridesFor(overrides, name) {
+  const merged = {};
+  if (!overrides || !name) {
+    return merged;
+  }
+
+  for (const override of overrides) {
+    if (matchesAny(name, override.files)) {
+      Object.assign(merged, override.options);
+    }
+  }
+  return merged;
+}
+
+function resolveConfigPaths(config, configPath) {
+  const configDir = path.dirname(configPath);
+  const resolved = { ...config, configPath };
+
+  for (const key of PATH_KEYS) {
+    if (resolved[key]) {
+      resolved[key] = path.resolve(configDir, resolved[key]);
+    }
+  }
+
+  // Report files and mask images are relative to the config, like the directories
+  if (resolved.reporters) {
+    resolved.reporters = resolved.reporters.map(spec => {
+      const parsed = parseReporterSpec(spec);
+      return parsed.outputFile ? { ...parsed, outputFile: path.resolve(configDir, parsed.outputFile) } : spec;
+    });
+  }
+
+  const readMask = options => {
+    if (typeof options.ignoreMask === 'string') {
+      const maskPath = path.resolve(configDir, options.ignoreMask);
+      try {
+        options.ignoreMask = fs.readFileSync(maskPath);
+      } catch (error) {
+        throw new ValidationError(`${path.basename(configPath)}: cannot read ignoreMask ${maskPath}: ${error.message}`);
+      }
+    }
+  };
+  readMask(resolved.options);
+  resolved.overrides.forEach(override => readMask(override.options));
+
+  return resolved;
+}
+
+function checkObject(value, types, source, prefix) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new ValidationError(`${source}: ${prefix ? prefix.slice(0, -1) : 'config'} must be an object`);
+  }
+
+  for (const [key, entry] of Object.entries(value)) {
+    const expected = types[key];
+    if (!expected) {
+      throw new ValidationError(
+        `${source}: unknown key "${prefix}${key}". Expected one of ${Object.keys(types).join(', ')}`
+      );
+    }
+
+    const allowed = [].concat(expected);
+    if (entry !== undefined && !allowed.includes(typeOf(entry))) {
+      throw new ValidationError(`${source}: ${prefix}${key} must be of type ${allowed.join(' or ')}, got ${typeOf(entry)}`);
+    }
+  }
+}
+
+function checkStrings(values, source, key) {
+  if (!values.every(value => typeof value === 'string')) {
+    throw new ValidationError(`${source}: ${key} must only contain strings`);
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isFinite(value)) return 'non-finite number';
+  return typeof value;
+}
+
+module.exports = {
+  CONFIG_FILENAMES,
+  OPTION_TYPES,
+  findConfigFile,
+  loadConfig,
+  validateConfig,
+  overridesFor
+};
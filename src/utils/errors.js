@@ -1,19 +1,131 @@
-class ValidationError extends Error {
-  constructor(message) {
+// Stable, machine-readable codes; messages may change, these don't
+const ERROR_CODES = {
+  INVALID_OPTION: 'INVALID_OPTION',
+  MISSING_FILE: 'MISSING_FILE',
+  UNSUPPORTED_INPUT: 'UNSUPPORTED_INPUT',
+  DECODE_FAILED: 'DECODE_FAILED',
+  DIMENSION_MISMATCH: 'DIMENSION_MISMATCH',
+  RENDER_FAILED: 'RENDER_FAILED',
+  COMPARISON_FAILED: 'COMPARISON_FAILED'
+};
+
+/**
+ * Base class of every error the engine throws on purpose. `code` is one of
+ * ERROR_CODES; `cause` is the underlying error, if any.
+ */
+class VisualRegressionError extends Error {
+  constructor(message, code, cause = null) {
     super(message);
+    this.name = 'VisualRegressionError';
+    this.code = code;
+    this.cause = cause;
+  }
+
+  toJSON() {
+    const json = { ...this, name: this.name, code: this.code, message: this.message };
+    delete json.cause;
+    return json;
+  }
+}
+
+class ValidationError extends VisualRegressionError {
+  constructor(message, code = ERROR_CODES.INVALID_OPTION) {
+    super(message, code);
     this.name = 'ValidationError';
   }
 }
 
-class ComparisonError extends Error {
+class MissingFileError extends ValidationError {
+  constructor(message, filePath, cause = null) {
+    super(message, ERROR_CODES.MISSING_FILE);
+    this.name = 'MissingFileError';
+    this.path = filePath;
+    this.cause = cause;
+  }
+}
+
+class UnsupportedInputError extends ValidationError {
+  constructor(message) {
+    super(message, ERROR_CODES.UNSUPPORTED_INPUT);
+    this.name = 'UnsupportedInputError';
+  }
+}
+
+// `side` ('actual', 'expected', ...) and `format` say which input failed and as what
+class DecodeError extends VisualRegressionError {
+  constructor(message, cause = null, details = {}) {
+    super(message, ERROR_CODES.DECODE_FAILED, cause);
+    this.name = 'DecodeError';
+    this.side = details.side || null;
+    this.format = details.format || null;
+  }
+}
+
+class ComparisonError extends VisualRegressionError {
   constructor(message, cause = null) {
-    super(message);
+    super(message, ERROR_CODES.COMPARISON_FAILED, cause);
     this.name = 'ComparisonError';
-    this.cause = cause;
   }
 }
 
+class DimensionMismatchError extends VisualRegressionError {
+  constructor(message, actual, expected) {
+    super(message, ERROR_CODES.DIMENSION_MISMATCH);
+    this.name = 'DimensionMismatchError';
+    this.actual = actual;
+    this.expected = expected;
+  }
+}
+
+class RenderError extends VisualRegressionError {
+  constructor(message, cause = null) {
+    super(message, ERROR_CODES.RENDER_FAILED, cause);
+    this.name = 'RenderError';
+  }
+}
+
+const ERROR_CLASSES = {
+  ValidationError,
+  MissingFileError,
+  UnsupportedInputError,
+  DecodeError,
+  ComparisonError,
+  DimensionMismatchError,
+  RenderError
+};
+
+/**
+ * Rebuild an error from its `toJSON()` form, e.g. after crossing a worker thread
+ * @returns {Error}
+ */
+function errorFromJSON({ name, message, code, ...details }) {
+  const ErrorClass = ERROR_CLASSES[name];
+  const error = ErrorClass ? Object.create(ErrorClass.prototype) : new Error(message);
+
+  if (ErrorClass) {
+    Error.captureStackTrace(error, errorFromJSON);
+    error.message = message;
+  }
+  return Object.assign(error, details, { name, code });
+}
+
+/**
+ * The error's code, or COMPARISON_FAILED for errors the engine didn't raise itself
+ */
+function errorCode(error) {
+  return error instanceof VisualRegressionError ? error.code : ERROR_CODES.COMPARISON_FAILED;
+}
+
 module.exports = {
+  ERROR_CODES,
+  VisualRegressionError,
   ValidationError,
-  ComparisonError
+  MissingFileError,
+  UnsupportedInputError,
+  DecodeError,
+  ComparisonError,
+  DimensionMismatchError,
+  RenderError,
+  errorFromJSON,
+  errorCode
 };
@@ -0,0 +1,150 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createImageData } = require('canvas');
+const { GifReader } = require('omggif');
+const UPNG = require('upng-js');
+const { MissingFileError, DecodeError, UnsupportedInputError } = require('./errors');
+
+const FRAME_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+/**
+ * Load the frames of an animation. Accepts a directory of stills (sorted by
+ * name, with numbers compared numerically), an animated GIF or APNG as a path
+ * or Buffer, or an array of single-image inputs.
+ * @returns {Promise<Array<{name: string, image: Buffer|ImageData, delay: number|null}>>}
+ *   `delay` is the frame's display time in ms when the format records one
+ */
+async function loadFrames(source) {
+  if (Array.isArray(source)) {
+    return Promise.all(source.map(async (input, index) => ({
+      name: typeof input === 'string' ? path.basename(input) : frameName(index),
+      image: typeof input === 'string' ? await fs.readFile(input) : input,
+      delay: null
+    })));
+  }
+
+  if (typeof source === 'string') {
+    let stats;
+    try {
+      stats = await fs.stat(source);
+    } catch (error) {
+      throw new MissingFileError(`Frame source not found: ${source}`, source, error);
+    }
+    return stats.isDirectory() ? loadFrameDirectory(source) : decodeFrames(await fs.readFile(source));
+  }
+
+  if (Buffer.isBuffer(source)) {
+    return decodeFrames(source);
+  }
+
+  throw new UnsupportedInputError('Frame source must be a directory, a GIF/APNG path or Buffer, or an array of images');
+}
+
+async function loadFrameDirectory(dir) {
+  const names = (await fs.readdir(dir))
+    .filter(name => FRAME_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  if (names.length === 0) {
+    throw new MissingFileError(`No frames (${FRAME_EXTENSIONS.join(', ')}) found in ${dir}`, dir);
+  }
+
+  return Promise.all(names.map(async name => ({
+    name,
+    image: await fs.readFile(path.join(dir, name)),
+    delay: null
+  })));
+}
+
+/**
+ * Split an animated GIF or APNG into full frames; anything else is one frame
+ */
+function decodeFrames(buffer) {
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return decodeGif(buffer);
+  }
+  if (isApng(buffer)) {
+    return decodeApng(buffer);
+  }
+  return [{ name: frameName(0), image: buffer, delay: null }];
+}
+
+/**
+ * Decode a GIF into full RGBA frames, stopping after `maxFrames`
+ */
+function decodeGif(buffer, maxFrames = Infinity) {
+  let reader;
+  try {
+    reader = new GifReader(new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength));
+  } catch (error) {
+    throw new DecodeError(`Invalid GIF: ${error.message}`, error);
+  }
+  if (reader.numFrames() === 0) {
+    throw new DecodeError('Invalid GIF: no frames');
+  }
+
+  const { width, height } = reader;
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  const frames = [];
+
+  for (let i = 0; i < Math.min(reader.numFrames(), maxFrames); i++) {
+    const info = reader.frameInfo(i);
+    // Disposal 3 restores whatever was there before this frame was drawn
+    const previous = info.disposal === 3 ? new Uint8ClampedArray(pixels) : null;
+
+    reader.decodeAndBlitFrameRGBA(i, pixels);
+    frames.push({
+      name: frameName(i),
+      image: createImageData(new Uint8ClampedArray(pixels), width, height),
+      delay: info.delay * 10
+    });
+
+    if (info.disposal === 2) {
+      for (let y = info.y; y < Math.min(height, info.y + info.height); y++) {
+        pixels.fill(0, (y * width + info.x) * 4, (y * width + Math.min(width, info.x + info.width)) * 4);
+      }
+    } else if (previous) {
+      pixels.set(previous);
+    }
+  }
+
+  return frames;
+}
+
+function decodeApng(buffer) {
+  let png;
+  let rgba;
+  try {
+    png = UPNG.decode(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+    // toRGBA8 composites each frame onto the previous ones (blend and dispose ops)
+    rgba = UPNG.toRGBA8(png);
+  } catch (error) {
+    throw new DecodeError(`Invalid APNG: ${error.message}`, error);
+  }
+
+  return rgba.map((frame, i) => ({
+    name: frameName(i),
+    image: createImageData(new Uint8ClampedArray(frame), png.width, png.height),
+    delay: png.frames[i] ? png.frames[i].delay : null
+  }));
+}
+
+// An APNG declares its animation (acTL) before the first image data chunk
+function isApng(buffer) {
+  if (buffer.length < 8 || buffer.readUInt32BE(0) !== 0x89504e47) {
+    return false;
+  }
+  const actl = buffer.indexOf('acTL', 8, 'ascii');
+  const idat = buffer.indexOf('IDAT', 8, 'ascii');
+  return actl !== -1 && (idat === -1 || actl < idat);
+}
+
+function frameName(index) {
+  return `frame-${String(index).padStart(3, '0')}`;
+}
+
+module.exports = {
+  loadFrames,
+  decodeFrames,
+  decodeGif
+};
@@ -0,0 +1,69 @@
+const path = require('path');
+
+/**
+ * Convert a glob pattern to a RegExp. Supports `**`, `*`, `?` and `{a,b}`.
+ * Patterns are matched against forward-slash relative paths.
+ * @param {Object} [options] - `ignoreCase`
+ */
+function globToRegExp(pattern, options = {}) {
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // `**/` matches zero or more directories, a trailing `**` matches everything
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, options.ignoreCase ? 'i' : '');
+}
+
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Check whether a relative path matches any of the given glob patterns.
+ * Patterns without a slash also match against the basename.
+ * @param {Object} [options] - `ignoreCase`
+ */
+function matchesAny(relativePath, patterns, options = {}) {
+  const posixPath = toPosixPath(relativePath);
+  const basename = path.posix.basename(posixPath);
+
+  return patterns.some(pattern => {
+    const regex = globToRegExp(pattern, options);
+    return regex.test(posixPath) || (!pattern.includes('/') && regex.test(basename));
+  });
+}
+
+module.exports = {
+  globToRegExp,
+  matchesAny,
+  toPosixPath
+};
@@ -0,0 +1,42 @@
+const MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  bmp: 'image/bmp'
+};
+
+/**
+ * Identify an encoded image by its magic bytes
+ * @param {Buffer} buffer
+ * @returns {string|null} 'png', 'jpeg', 'webp', 'gif', 'bmp' or null
+ */
+function detectFormat(buffer) {
+  const ascii = (start, end) => buffer.toString('ascii', start, end);
+
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return 'png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 12 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (ascii(0, 4) === 'GIF8') {
+    return 'gif';
+  }
+  if (ascii(0, 2) === 'BM') {
+    return 'bmp';
+  }
+  return null;
+}
+
+function mimeTypeOf(buffer) {
+  return MIME_TYPES[detectFormat(buffer)] || null;
+}
+
+module.exports = {
+  detectFormat,
+  mimeTypeOf
+};
@@ -0,0 +1,184 @@
+const fs = require('fs').promises;
+const { loadImage, createCanvas, createImageData, ImageData } = require('canvas');
+const { decodeGif } = require('./frames');
+const { detectFormat } = require('./imageFormat');
+const { MissingFileError, DecodeError, UnsupportedInputError } = require('./errors');
+
+const FORMAT_NAMES = {
+  png: 'PNG',
+  jpeg: 'JPEG',
+  webp: 'WebP',
+  gif: 'GIF',
+  bmp: 'BMP'
+};
+
+/**
+ * Turn any supported image input into something that can be drawn: a Canvas,
+ * an Image or ImageData. Accepts Canvas, ImageData, canvas Image, encoded
+ * bytes (Buffer or Uint8Array), file paths, `data:` URLs, readable streams and
+ * raw RGBA as `{data, width, height}`. `side` names the input in errors.
+ * @param {*} input
+ * @param {string} [side] - e.g. 'actual', 'expected' or 'ignoreMask'
+ * @returns {Promise<Canvas|Image|ImageData>}
+ */
+async function loadImageInput(input, side = 'image') {
+  if (input && typeof input.getContext === 'function' && input.width && input.height) {
+    return input;
+  }
+  if (input instanceof ImageData) {
+    return input;
+  }
+  if (input instanceof Uint8Array) {
+    return decodeImage(Buffer.from(input.buffer, input.byteOffset, input.byteLength), side);
+  }
+  if (input && ArrayBuffer.isView(input.data) && input.width !== undefined && input.height !== undefined) {
+    return rawToImageData(input, side);
+  }
+  if (typeof input === 'string') {
+    const buffer = input.startsWith('data:') ? parseDataUrl(input, side) : await readFile(input, side);
+    return decodeImage(buffer, side);
+  }
+  if (input && (typeof input.pipe === 'function' || typeof input[Symbol.asyncIterator] === 'function')) {
+    return decodeImage(await readStream(input, side), side);
+  }
+  // An Image object from the canvas library
+  if (input && typeof input === 'object' && input.width && input.height && input.src) {
+    return input;
+  }
+
+  throw new UnsupportedInputError(
+    `Unsupported ${side} image input: ${input === null ? 'null' : typeof input}. Expected a Canvas, ImageData, ` +
+    'Image, Buffer, file path, data URL, readable stream or raw RGBA ({data, width, height}).'
+  );
+}
+
+/**
+ * Decode PNG, JPEG, WebP, GIF (first frame) or BMP bytes
+ * @returns {Promise<Image|ImageData>}
+ */
+async function decodeImage(buffer, side = 'image') {
+  const format = detectFormat(buffer);
+  if (!format) {
+    throw new DecodeError(
+      `Could not decode ${side} image: unrecognized format (expected PNG, JPEG, WebP, GIF or BMP)`,
+      null,
+      { side }
+    );
+  }
+
+  try {
+    if (format === 'gif') {
+      // omggif, so GIFs decode even when node-canvas was built without giflib
+      return decodeGif(buffer, 1)[0].image;
+    }
+    if (format === 'webp') {
+      return await decodeWebp(buffer);
+    }
+    return await loadImage(buffer);
+  } catch (error) {
+    throw new DecodeError(
+      `Could not decode ${side} image (${FORMAT_NAMES[format]}): ${error.message}`,
+      error,
+      { side, format }
+    );
+  }
+}
+
+// node-canvas decodes WebP only in some builds; sharp, when installed, covers the rest
+async function decodeWebp(buffer) {
+  try {
+    return await loadImage(buffer);
+  } catch (error) {
+    let sharp;
+    try {
+      sharp = require('sharp');
+    } catch (requireError) {
+      throw new Error(`${error.message}; install the optional "sharp" package to decode WebP`);
+    }
+    const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    return createImageData(new Uint8ClampedArray(data.buffer, data.byteOffset, data.byteLength), info.width, info.height);
+  }
+}
+
+/**
+ * Encode any input loadImageInput accepts as PNG; PNG bytes come back unchanged
+ * @returns {Promise<Buffer>}
+ */
+async function encodePng(input, side = 'image') {
+  if (input instanceof Uint8Array) {
+    const buffer = Buffer.from(input.buffer, input.byteOffset, input.byteLength);
+    if (detectFormat(buffer) === 'png') {
+      return buffer;
+    }
+  }
+
+  const image = await loadImageInput(input, side);
+  if (typeof image.toBuffer === 'function') {
+    return image.toBuffer('image/png');
+  }
+
+  const canvas = createCanvas(image.width, image.height);
+  if (image.data) {
+    canvas.getContext('2d').putImageData(image, 0, 0);
+  } else {
+    canvas.getContext('2d').drawImage(image, 0, 0);
+  }
+  return canvas.toBuffer('image/png');
+}
+
+function rawToImageData({ data, width, height }, side) {
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+    throw new UnsupportedInputError(`Raw ${side} image needs positive integer width and height, got ${width}x${height}`);
+  }
+  if (data.byteLength !== width * height * 4) {
+    throw new UnsupportedInputError(
+      `Raw ${side} image is ${data.byteLength} bytes, expected ${width * height * 4} for ${width}x${height} RGBA`
+    );
+  }
+  return createImageData(new Uint8ClampedArray(data.buffer, data.byteOffset, data.byteLength), width, height);
+}
+
+async function readFile(filePath, side) {
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new MissingFileError(`${capitalize(side)} image not found: ${filePath}`, filePath, error);
+    }
+    throw error;
+  }
+}
+
+function parseDataUrl(url, side) {
+  const match = /^data:[^,]*?(;base64)?,(.*)$/s.exec(url);
+  if (!match) {
+    throw new DecodeError(`Could not decode ${side} image: malformed data URL`, null, { side });
+  }
+  if (match[1]) {
+    return Buffer.from(match[2], 'base64');
+  }
+  return Buffer.from(match[2].replace(/%([0-9a-f]{2})/gi, (escape, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+}
+
+async function readStream(stream, side) {
+  const chunks = [];
+  try {
+    for await (const chunk of stream) {
+      chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+  } catch (error) {
+    throw new DecodeError(`Could not read ${side} image stream: ${error.message}`, error, { side });
+  }
+  return Buffer.concat(chunks);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+  loadImageInput,
+  decodeImage,
+  detectFormat,
+  encodePng
+};
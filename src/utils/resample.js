@@ -0,0 +1,140 @@
+const RESAMPLING_FILTERS = ['nearest', 'bilinear', 'box'];
+
+/**
+ * Resize RGBA pixels with an explicit filter instead of the canvas default.
+ * Runs as two separable passes on premultiplied alpha, so transparent
+ * pixels don't bleed their colour into the edges of opaque ones. Source rows
+ * are read once and added into every target row they feed, so only one row
+ * and the target-sized sums are held as floats.
+ * @param {Uint8ClampedArray} data - Source RGBA pixels
+ * @param {string} filter - `nearest`, `bilinear` or `box` (area average)
+ * @returns {Uint8ClampedArray} `targetWidth * targetHeight * 4` RGBA pixels
+ */
+function resample(data, width, height, targetWidth, targetHeight, filter = 'bilinear') {
+  if (width === targetWidth && height === targetHeight) {
+    return new Uint8ClampedArray(data);
+  }
+
+  const xWeights = filterWeights(width, targetWidth, filter);
+  const targetRows = bySource(filterWeights(height, targetHeight, filter), height);
+
+  const sourceRow = new Float32Array(width * 4);
+  const resizedRow = new Float32Array(targetWidth * 4);
+  const sums = new Float32Array(targetWidth * targetHeight * 4);
+
+  for (let y = 0; y < height; y++) {
+    if (targetRows[y].length === 0) {
+      continue;
+    }
+
+    const rowStart = y * width * 4;
+    for (let i = 0; i < width * 4; i += 4) {
+      const alpha = data[rowStart + i + 3] / 255;
+      sourceRow[i] = data[rowStart + i] * alpha;
+      sourceRow[i + 1] = data[rowStart + i + 1] * alpha;
+      sourceRow[i + 2] = data[rowStart + i + 2] * alpha;
+      sourceRow[i + 3] = data[rowStart + i + 3];
+    }
+
+    // Horizontal pass: width -> targetWidth
+    resizedRow.fill(0);
+    for (let x = 0; x < targetWidth; x++) {
+      const out = x * 4;
+      for (const [sourceX, weight] of xWeights[x]) {
+        const pos = sourceX * 4;
+        resizedRow[out] += sourceRow[pos] * weight;
+        resizedRow[out + 1] += sourceRow[pos + 1] * weight;
+        resizedRow[out + 2] += sourceRow[pos + 2] * weight;
+        resizedRow[out + 3] += sourceRow[pos + 3] * weight;
+      }
+    }
+
+    // Vertical pass: add the row into the target rows that read it
+    for (const [targetY, weight] of targetRows[y]) {
+      const offset = targetY * targetWidth * 4;
+      for (let i = 0; i < targetWidth * 4; i++) {
+        sums[offset + i] += resizedRow[i] * weight;
+      }
+    }
+  }
+
+  // Undo the premultiplication
+  const result = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+  for (let i = 0; i < result.length; i += 4) {
+    const alpha = sums[i + 3] / 255;
+    result[i] = alpha > 0 ? Math.round(sums[i] / alpha) : 0;
+    result[i + 1] = alpha > 0 ? Math.round(sums[i + 1] / alpha) : 0;
+    result[i + 2] = alpha > 0 ? Math.round(sums[i + 2] / alpha) : 0;
+    result[i + 3] = Math.round(sums[i + 3]);
+  }
+
+  return result;
+}
+
+/**
+ * For each target index, the source indices it reads and their weights (summing to 1)
+ * @returns {Array<Array<[number, number]>>}
+ */
+function filterWeights(size, targetSize, filter) {
+  const ratio = size / targetSize;
+  const weights = [];
+
+  for (let i = 0; i < targetSize; i++) {
+    if (filter === 'nearest') {
+      weights.push([[Math.min(size - 1, Math.floor((i + 0.5) * ratio)), 1]]);
+    } else if (filter === 'box') {
+      weights.push(areaWeights(i * ratio, (i + 1) * ratio, size));
+    } else {
+      // A tent two pixels wide when enlarging; when shrinking it widens with the
+      // ratio, so every source pixel counts and thin strokes don't drop out
+      weights.push(tentWeights((i + 0.5) * ratio - 0.5, Math.max(1, ratio), size));
+    }
+  }
+
+  return weights;
+}
+
+// Linear falloff over `radius` source pixels around `center`, clamped at the edges
+function tentWeights(center, radius, size) {
+  const weights = new Map();
+  let total = 0;
+
+  for (let source = Math.ceil(center - radius); source <= Math.floor(center + radius); source++) {
+    const weight = 1 - Math.abs(source - center) / radius;
+    if (weight > 0) {
+      const clamped = Math.min(size - 1, Math.max(0, source));
+      weights.set(clamped, (weights.get(clamped) || 0) + weight);
+      total += weight;
+    }
+  }
+
+  return [...weights].map(([source, weight]) => [source, weight / total]);
+}
+
+// Invert filterWeights: for each source index, the target indices it feeds and their weights
+function bySource(weights, size) {
+  const targets = Array.from({ length: size }, () => []);
+  weights.forEach((sources, target) => {
+    for (const [source, weight] of sources) {
+      targets[source].push([target, weight]);
+    }
+  });
+  return targets;
+}
+
+// Share of the span [start, end) covered by each source pixel
+function areaWeights(start, end, size) {
+  const weights = [];
+  for (let source = Math.floor(start); source < Math.min(size, Math.ceil(end)); source++) {
+    const coverage = Math.min(end, source + 1) - Math.max(start, source);
+    if (coverage > 0) {
+      weights.push([source, coverage / (end - start)]);
+    }
+  }
+  return weights;
+}
+
+module.exports = {
+  RESAMPLING_FILTERS,
+  resample
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Watch files and directories (recursively) and call `onChange` with the
+ * absolute paths that changed, once writes have been quiet for `debounce` ms.
+ * Runs never overlap: changes made during a run are collected for the next one.
+ * A single file is watched through its directory, so editors and renderers
+ * that replace the file instead of writing to it are still seen.
+ * @param {Array<string>} paths
+ * @param {Function} onChange - `async (changedPaths) => {}`
+ * @param {Object} options - `debounce` (ms, default 100) and `onError`
+ * @returns {{close: Function}}
+ */
+function watchPaths(paths, onChange, options = {}) {
+  const debounce = options.debounce !== undefined ? options.debounce : 100;
+  const onError = options.onError || (error => console.error(`Error: ${error.message}`));
+  const pending = new Set();
+  const watchers = [];
+  let timer = null;
+  let running = false;
+
+  const flush = async () => {
+    timer = null;
+    if (running || pending.size === 0) {
+      return;
+    }
+
+    const changed = [...pending];
+    pending.clear();
+    running = true;
+    try {
+      await onChange(changed);
+    } catch (error) {
+      onError(error);
+    }
+    running = false;
+
+    if (pending.size > 0) {
+      schedule();
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounce);
+  };
+
+  const record = (dir, filter) => (eventType, filename) => {
+    if (!filename || (filter && filename !== filter)) {
+      return;
+    }
+    pending.add(path.join(dir, filename.toString()));
+    schedule();
+  };
+
+  for (const target of paths.map(p => path.resolve(p))) {
+    if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+      watchers.push(...watchDirectory(target, record));
+    } else {
+      const dir = path.dirname(target);
+      watchers.push(fs.watch(dir, record(dir, path.basename(target))));
+    }
+  }
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+    }
+  };
+}
+
+function watchDirectory(dir, record) {
+  try {
+    return [fs.watch(dir, { recursive: true }, record(dir))];
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      throw error;
+    }
+  }
+
+  // No recursive watching (Linux before Node 20): one watcher per existing directory
+  const watchers = [];
+  const walk = current => {
+    watchers.push(fs.watch(current, (eventType, filename) => {
+      if (filename) {
+        record(dir)(eventType, path.join(path.relative(dir, current), filename.toString()));
+      }
+    }));
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        walk(path.join(current, entry.name));
+      }
+    }
+  };
+  walk(dir);
+  return watchers;
+}
+
+module.exports = {
+  watchPaths
+};
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const BaselineManager = require('../src/core/BaselineManager');
+const DirectoryComparator = require('../src/core/DirectoryComparator');
+const { ValidationError } = require('../src/utils/errors');
+const { makeTempDir, removeDir } = require('./helpers');
+
+// Files "match" when their bytes do; 'corrupt' stands in for an undecodable image
+const byteComparator = {
+  compare(actual, expected) {
+    if (actual.toString() === 'corrupt') {
+      return Promise.reject(new Error('Could not decode actual image'));
+    }
+    const ok = actual.equals(expected);
+    return Promise.resolve({ ok, diffCount: ok ? 0 : 1, diffImage: Buffer.alloc(0) });
+  }
+};
+
+const FILES = {
+  'typography.png': ['old font', 'new font'],
+  'mobile/typography.png': ['old font', 'new font'],
+  'basic-shapes.png': ['shapes', 'shapes'],
+  'corrupt.png': ['curves', 'corrupt'],
+  'new.png': [null, 'new'],
+  'removed.png': ['removed', null]
+};
+
+function writeDirs(root) {
+  const baselineDir = path.join(root, 'baseline');
+  const actualDir = path.join(root, 'actual');
+
+  for (const [name, contents] of Object.entries(FILES)) {
+    [baselineDir, actualDir].forEach((dir, i) => {
+      if (contents[i] !== null) {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), contents[i]);
+      }
+    });
+  }
+
+  return { baselineDir, actualDir };
+}
+
+describe('BaselineManager', () => {
+  let root;
+  let baselineDir;
+  let actualDir;
+  let manager;
+
+  const read = (dir, name) => fs.readFileSync(path.join(dir, name), 'utf8');
+  const sameAsActual = name => read(baselineDir, name) === read(actualDir, name);
+  const approvedNames = result => result.approved.map(entry => entry.name).sort();
+
+  beforeEach(() => {
+    root = makeTempDir();
+    ({ baselineDir, actualDir } = writeDirs(root));
+    manager = new BaselineManager(new DirectoryComparator(byteComparator), { threshold: 0.2 });
+  });
+
+  afterEach(() => {
+    removeDir(root);
+  });
+
+  test('approves every failing or new image by default, but not errored ones', async () => {
+    const result = await manager.approve(baselineDir, actualDir);
+
+    expect(approvedNames(result)).toEqual(['mobile/typography.png', 'new.png', 'typography.png']);
+    expect(sameAsActual('typography.png')).toBe(true);
+    expect(sameAsActual('new.png')).toBe(true);
+    expect(sameAsActual('corrupt.png')).toBe(false);
+    expect(fs.existsSync(path.join(baselineDir, 'removed.png'))).toBe(true);
+  });
+
+  test('records hashes, sources and options in the manifest', async () => {
+    const result = await manager.approve(baselineDir, actualDir, { files: ['typography.png', 'new.png'] });
+    const manifest = JSON.parse(fs.readFileSync(result.manifestPath, 'utf8'));
+
+    expect(result.manifestPath).toBe(path.join(baselineDir, 'baseline-manifest.json'));
+    expect(Object.keys(manifest.baselines)).toEqual(['mobile/typography.png', 'new.png', 'typography.png']);
+    expect(manifest.baselines['typography.png']).toMatchObject({
+      sha256: result.approved.find(entry => entry.name === 'typography.png').sha256,
+      previousSha256: expect.stringMatching(/^[0-9a-f]{64}$/),
+      source: '../actual/typography.png',
+      status: 'failed',
+      options: { threshold: 0.2 }
+    });
+    expect(manifest.baselines['new.png'].previousSha256).toBeNull();
+  });
+
+  test('approves only the files matching the given names or globs', async () => {
+    const result = await manager.approve(baselineDir, actualDir, { files: ['mobile/**'] });
+
+    expect(approvedNames(result)).toEqual(['mobile/typography.png']);
+    expect(sameAsActual('typography.png')).toBe(false);
+  });
+
+  test('approves an errored image only when named exactly', async () => {
+    await expect(manager.approve(baselineDir, actualDir, { files: ['corrupt*'] }))
+      .rejects.toThrow(ValidationError);
+    expect(sameAsActual('corrupt.png')).toBe(false);
+
+    const result = await manager.approve(baselineDir, actualDir, { files: ['corrupt.png'] });
+
+    expect(result.approved).toEqual([expect.objectContaining({ name: 'corrupt.png', status: 'error' })]);
+    expect(sameAsActual('corrupt.png')).toBe(true);
+  });
+
+  test('approves exact paths with approveNames, never by basename or glob', async () => {
+    const result = await manager.approveNames(baselineDir, actualDir, ['typography.png', 'corrupt.png']);
+
+    expect(approvedNames(result)).toEqual(['corrupt.png', 'typography.png']);
+    expect(sameAsActual('mobile/typography.png')).toBe(false);
+    await expect(manager.approveNames(baselineDir, actualDir, ['typo*.png', 'removed.png']))
+      .rejects.toThrow('No actual image named: typo*.png, removed.png');
+  });
+
+  test('does not write anything on a dry run', async () => {
+    const result = await manager.approve(baselineDir, actualDir, { dryRun: true, prune: true });
+
+    expect(result.dryRun).toBe(true);
+    expect(result.approved).toHaveLength(3);
+    expect(result.pruned.map(entry => entry.name)).toEqual(['removed.png']);
+    expect(sameAsActual('typography.png')).toBe(false);
+    expect(fs.existsSync(path.join(baselineDir, 'removed.png'))).toBe(true);
+    expect(fs.existsSync(result.manifestPath)).toBe(false);
+  });
+
+  test('prunes baselines without an actual image and drops them from the manifest', async () => {
+    const manifestPath = path.join(root, 'manifest.json');
+    await manager.writeManifest(manifestPath, { version: 1, baselines: { 'removed.png': { sha256: 'x' } } });
+
+    const result = await manager.prune(baselineDir, actualDir, { manifestPath });
+
+    expect(result.pruned.map(entry => entry.name)).toEqual(['removed.png']);
+    expect(fs.existsSync(path.join(baselineDir, 'removed.png'))).toBe(false);
+    expect(JSON.parse(fs.readFileSync(manifestPath, 'utf8')).baselines).toEqual({});
+  });
+
+  test('rejects an unreadable manifest', async () => {
+    const manifestPath = path.join(root, 'manifest.json');
+    fs.writeFileSync(manifestPath, '{ nope');
+
+    await expect(manager.readManifest(manifestPath)).rejects.toThrow(/Invalid baseline manifest/);
+  });
+});
@@ -0,0 +1,167 @@
+const ClusterAnalyzer = require('../src/core/ClusterAnalyzer');
+const { createRandom } = require('./helpers');
+
+const OPTIONS = { minClusterSize: 4, lineShiftThreshold: 0.8 };
+
+/**
+ * The clustering ClusterAnalyzer used before the labeler: a BFS over the red
+ * pixels of the diff image with a visited set, 8-connected. Kept here as the
+ * reference the labeler must agree with.
+ */
+function referenceClusters(diffMask, width, height, lineShiftThreshold) {
+  const isDiff = (x, y) => x >= 0 && x < width && y >= 0 && y < height && diffMask[y * width + x] !== 0;
+  const visited = new Set();
+  const clusters = [];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!isDiff(x, y) || visited.has(y * width + x)) continue;
+
+      const queue = [{ x, y }];
+      const pixels = [];
+      while (queue.length > 0) {
+        const pixel = queue.shift();
+        const index = pixel.y * width + pixel.x;
+        if (visited.has(index) || !isDiff(pixel.x, pixel.y)) continue;
+
+        visited.add(index);
+        pixels.push(pixel);
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            if (dx !== 0 || dy !== 0) queue.push({ x: pixel.x + dx, y: pixel.y + dy });
+          }
+        }
+      }
+
+      let lineLike = 0;
+      for (const pixel of pixels) {
+        let neighbors = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            if ((dx !== 0 || dy !== 0) && isDiff(pixel.x + dx, pixel.y + dy)) neighbors++;
+          }
+        }
+        if (neighbors <= 2) lineLike++;
+      }
+
+      const xs = pixels.map(pixel => pixel.x);
+      const ys = pixels.map(pixel => pixel.y);
+      const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+      clusters.push({
+        size: pixels.length,
+        pixels,
+        isLineShift: lineLike / pixels.length > lineShiftThreshold,
+        bounds: { minX, minY, maxX, maxY, width: maxX - minX + 1, height: maxY - minY + 1 }
+      });
+    }
+  }
+
+  return clusters;
+}
+
+// Scattered noise, blobs and one-pixel strokes
+function randomMask(width, height, seed) {
+  const random = createRandom(seed);
+  const mask = new Uint8Array(width * height);
+  const set = (x, y) => {
+    if (x >= 0 && x < width && y >= 0 && y < height) mask[y * width + x] = 1;
+  };
+
+  for (let i = 0; i < width * height * 0.03; i++) {
+    set(Math.floor(random() * width), Math.floor(random() * height));
+  }
+  for (let i = 0; i < 6; i++) {
+    const cx = Math.floor(random() * width);
+    const cy = Math.floor(random() * height);
+    const radius = 1 + Math.floor(random() * 6);
+    for (let y = cy - radius; y <= cy + radius; y++) {
+      for (let x = cx - radius; x <= cx + radius; x++) {
+        if ((x - cx) ** 2 + (y - cy) ** 2 <= radius * radius) set(x, y);
+      }
+    }
+  }
+  for (let i = 0; i < 8; i++) {
+    const x = Math.floor(random() * width);
+    const y = Math.floor(random() * height);
+    const length = 3 + Math.floor(random() * 30);
+    const step = [[1, 0], [0, 1], [1, 1], [1, -1]][i % 4];
+    for (let t = 0; t < length; t++) set(x + step[0] * t, y + step[1] * t);
+  }
+
+  return mask;
+}
+
+const sortedPixels = pixels => [...pixels].map(({ x, y }) => `${x},${y}`).sort();
+
+const withoutPixels = clusters => clusters.map(({ pixels: _pixels, ...rest }) => rest);
+
+const SIZES = [[40, 30, 1], [97, 61, 2], [64, 64, 3], [1, 50, 4], [120, 7, 5]];
+
+describe('ClusterAnalyzer.analyzeClusters', () => {
+  const analyzer = new ClusterAnalyzer(OPTIONS);
+
+  test.each(SIZES)('labels a %ix%i mask like the original clustering (seed %i)', (width, height, seed) => {
+    const mask = randomMask(width, height, seed);
+    const expected = referenceClusters(mask, width, height, OPTIONS.lineShiftThreshold);
+    const { clusters, totalClusters, significantClusters, significantPixels } = analyzer.analyzeClusters(mask, width, height, {});
+
+    expect(totalClusters).toBe(expected.length);
+    expect(clusters.map(({ size, isLineShift, bounds }) => ({ size, isLineShift, bounds })))
+      .toEqual(expected.map(({ size, isLineShift, bounds }) => ({ size, isLineShift, bounds })));
+    clusters.forEach((cluster, index) => {
+      expect(sortedPixels(cluster.pixels)).toEqual(sortedPixels(expected[index].pixels));
+    });
+
+    const significant = expected.filter(cluster => !cluster.isLineShift && cluster.size >= OPTIONS.minClusterSize);
+    expect(significantClusters).toBe(significant.length);
+    expect(significantPixels).toBe(significant.reduce((sum, cluster) => sum + cluster.size, 0));
+  });
+
+  test('joins diagonal pixels only with 8-connectivity', () => {
+    const mask = Uint8Array.from([
+      1, 0, 0,
+      0, 1, 0,
+      0, 0, 1
+    ]);
+
+    expect(analyzer.analyzeClusters(mask, 3, 3, {}).totalClusters).toBe(1);
+    expect(analyzer.analyzeClusters(mask, 3, 3, { clusterConnectivity: 4 }).totalClusters).toBe(3);
+  });
+
+  test('treats a one-pixel line as a line shift', () => {
+    const mask = new Uint8Array(20 * 5);
+    mask.fill(1, 2 * 20, 3 * 20);
+    const { clusters, significantClusters } = analyzer.analyzeClusters(mask, 20, 5, {});
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0]).toMatchObject({ size: 20, isLineShift: true, lineShiftShare: 1 });
+    expect(significantClusters).toBe(0);
+  });
+
+  test('rejects other connectivities', () => {
+    expect(() => analyzer.analyzeClusters(new Uint8Array(4), 2, 2, { clusterConnectivity: 6 }))
+      .toThrow(/clusterConnectivity must be 4 or 8/);
+  });
+});
+
+describe('ClusterAnalyzer.analyzeTiles', () => {
+  const analyzer = new ClusterAnalyzer(OPTIONS);
+
+  test.each([
+    [97, 61, 16, 8],
+    [97, 61, 7, 4],
+    [64, 64, 1, 8],
+    [64, 64, 64, 8],
+    [120, 7, 13, 4]
+  ])('matches analyzeClusters on a %ix%i mask in %i px tiles, %i-connected', (width, height, tileSize, connectivity) => {
+    const mask = randomMask(width, height, width + tileSize);
+    const options = { clusterConnectivity: connectivity };
+    const full = analyzer.analyzeClusters(mask, width, height, options);
+    const tiled = analyzer.analyzeTiles(mask, width, height, { ...options, tileSize });
+
+    expect(withoutPixels(tiled.clusters)).toEqual(withoutPixels(full.clusters));
+    expect(tiled.significantClusters).toBe(full.significantClusters);
+    expect(tiled.significantPixels).toBe(full.significantPixels);
+    expect(tiled.categories).toEqual(full.categories);
+  });
+});
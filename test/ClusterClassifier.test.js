@@ -0,0 +1,95 @@
+const ClusterAnalyzer = require('../src/core/ClusterAnalyzer');
+const ClusterClassifier = require('../src/core/ClusterClassifier');
+const { createImage, fillRect, copyImage } = require('./helpers');
+
+const WIDTH = 30;
+const HEIGHT = 30;
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+
+const analyzer = new ClusterAnalyzer({ minClusterSize: 4, lineShiftThreshold: 0.8 });
+
+// Every pixel whose colour differs is a diff, as with a zero threshold
+function analyze(actual, expected) {
+  const mask = new Uint8Array(WIDTH * HEIGHT);
+  for (let i = 0; i < mask.length; i++) {
+    const pos = i * 4;
+    mask[i] = [0, 1, 2].some(channel => actual.data[pos + channel] !== expected.data[pos + channel]) ? 1 : 0;
+  }
+  return analyzer.analyzeClusters(mask, WIDTH, HEIGHT, {}, { actualData: actual.data, expectedData: expected.data });
+}
+
+describe('ClusterClassifier', () => {
+  test('a shape only in the actual image is added', () => {
+    const expected = createImage(WIDTH, HEIGHT, WHITE);
+    const actual = fillRect(copyImage(expected), 5, 5, 6, 6, BLACK);
+
+    const { clusters, categories } = analyze(actual, expected);
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0]).toMatchObject({ category: 'added', confidence: 1 });
+    expect(clusters[0].reason).toBe('100% of pixels are drawn only in the actual image');
+    expect(categories).toEqual({ added: { clusters: 1, pixels: 36 } });
+  });
+
+  test('a shape only in the expected image is removed', () => {
+    const actual = createImage(WIDTH, HEIGHT, WHITE);
+    const expected = fillRect(copyImage(actual), 5, 5, 6, 6, BLACK);
+
+    expect(analyze(actual, expected).clusters[0].category).toBe('removed');
+  });
+
+  test('the same shape in another colour is a tint shift', () => {
+    const background = createImage(WIDTH, HEIGHT, WHITE);
+    const expected = fillRect(copyImage(background), 5, 5, 6, 6, [200, 30, 30, 255]);
+    const actual = fillRect(copyImage(background), 5, 5, 6, 6, [30, 30, 200, 255]);
+
+    const [cluster] = analyze(actual, expected).clusters;
+
+    expect(cluster.category).toBe('tint-shift');
+    expect(cluster.reason).toMatch(/drawn in both images in a different colour/);
+  });
+
+  test('a line moved by one pixel is a line shift', () => {
+    const background = createImage(WIDTH, HEIGHT, WHITE);
+    const expected = fillRect(copyImage(background), 10, 5, 1, 20, BLACK);
+    const actual = fillRect(copyImage(background), 11, 5, 1, 20, BLACK);
+
+    const [cluster] = analyze(actual, expected).clusters;
+
+    expect(cluster.category).toBe('line-shift');
+    expect(cluster.reason).toMatch(/reappears within 2px/);
+  });
+
+  test('a faint pixel next to an edge is anti-alias noise', () => {
+    const expected = fillRect(createImage(WIDTH, HEIGHT, WHITE), 5, 5, 6, 6, BLACK);
+    const actual = fillRect(copyImage(expected), 11, 7, 1, 1, [200, 200, 200, 255]);
+
+    const [cluster] = analyze(actual, expected).clusters;
+
+    expect(cluster.size).toBe(1);
+    expect(cluster.category).toBe('anti-alias');
+    expect(cluster.confidence).toBeGreaterThan(0);
+    expect(cluster.confidence).toBeLessThanOrEqual(1);
+  });
+
+  test('without image data only line shifts are recognised', () => {
+    const classifier = new ClusterClassifier();
+    const bounds = { minX: 0, minY: 0, maxX: 9, maxY: 0, width: 10, height: 1 };
+
+    expect(classifier.classify({ size: 10, bounds, isLineShift: true, lineShiftShare: 1 }, null, null, 10, 1))
+      .toEqual({ category: 'line-shift', confidence: 1, reason: '100% of pixels lie on thin lines' });
+    expect(classifier.classify({ size: 10, bounds, isLineShift: false, lineShiftShare: 0.2 }, null, null, 10, 1))
+      .toMatchObject({ category: 'other', confidence: 0 });
+  });
+
+  test('every category it returns is listed in CATEGORIES', () => {
+    const background = createImage(WIDTH, HEIGHT, WHITE);
+    const expected = fillRect(copyImage(background), 2, 2, 8, 8, BLACK);
+    const actual = fillRect(fillRect(copyImage(background), 20, 20, 5, 5, BLACK), 2, 2, 8, 8, [90, 90, 90, 255]);
+
+    for (const cluster of analyze(actual, expected).clusters) {
+      expect(ClusterClassifier.CATEGORIES).toContain(cluster.category);
+    }
+  });
+});
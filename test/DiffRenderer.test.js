@@ -0,0 +1,120 @@
+const { createCanvas, createImageData, loadImage } = require('canvas');
+const DiffRenderer = require('../src/core/DiffRenderer');
+const { diffStylePath } = DiffRenderer;
+const { createImage, fillRect, copyImage } = require('./helpers');
+
+const WIDTH = 20;
+const HEIGHT = 10;
+
+async function decode(buffer) {
+  const image = await loadImage(buffer);
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  return ctx.getImageData(0, 0, image.width, image.height);
+}
+
+function pixelAt(imageData, x, y) {
+  const pos = (y * imageData.width + x) * 4;
+  return Array.from(imageData.data.slice(pos, pos + 4));
+}
+
+/**
+ * Expected is white; actual has a faint change at (2, 2) and a strong one at
+ * (10..13, 4..7), which the diff mask and the pixelmatch-style diff mark
+ */
+function createContext() {
+  const expected = createImage(WIDTH, HEIGHT, [255, 255, 255, 255]);
+  const actual = fillRect(copyImage(expected), 10, 4, 4, 4, [0, 0, 0, 255]);
+  fillRect(actual, 2, 2, 1, 1, [235, 235, 235, 255]);
+  const diff = fillRect(createImage(WIDTH, HEIGHT, [250, 250, 250, 255]), 10, 4, 4, 4, [255, 0, 0, 255]);
+  const diffCanvas = createCanvas(WIDTH, HEIGHT);
+  const diffImageData = createImageData(diff.data, WIDTH, HEIGHT);
+  diffCanvas.getContext('2d').putImageData(diffImageData, 0, 0);
+  const diffMask = new Uint8Array(WIDTH * HEIGHT);
+  for (let y = 4; y < 8; y++) {
+    diffMask.fill(1, y * WIDTH + 10, y * WIDTH + 14);
+  }
+
+  return {
+    actualData: actual.data,
+    expectedData: expected.data,
+    diffImageData,
+    diffImage: diffCanvas.toBuffer('image/png'),
+    diffMask,
+    width: WIDTH,
+    height: HEIGHT,
+    clusters: [{ size: 16, bounds: { minX: 10, minY: 4, width: 4, height: 4 } }],
+    ignoreMask: null
+  };
+}
+
+describe('DiffRenderer', () => {
+  const renderer = new DiffRenderer();
+
+  test('resolves a single style or a list and rejects unknown ones', () => {
+    expect(renderer.resolveStyles(undefined)).toEqual(['pixelmatch']);
+    expect(renderer.resolveStyles('heatmap')).toEqual(['heatmap']);
+    expect(renderer.resolveStyles(['overlay', 'annotated'])).toEqual(['overlay', 'annotated']);
+    expect(renderer.resolveStyles([])).toEqual(['pixelmatch']);
+    expect(() => renderer.resolveStyles(['sparkles'])).toThrow('Unknown diffStyle: sparkles');
+  });
+
+  test('the pixelmatch style is the diff image itself', () => {
+    const context = createContext();
+
+    expect(renderer.render('pixelmatch', context)).toBe(context.diffImage);
+  });
+
+  test('the heatmap grows hotter with the size of the change', async () => {
+    const heatmap = await decode(renderer.render('heatmap', createContext()));
+    const [unchanged, faint, strong] = [pixelAt(heatmap, 0, 0), pixelAt(heatmap, 2, 2), pixelAt(heatmap, 11, 5)];
+
+    expect(unchanged[0]).toBe(unchanged[1]);
+    expect(faint[2]).toBeGreaterThan(faint[1]);
+    expect(strong).toEqual([255, 240, 60, 255]);
+  });
+
+  test('the heatmap shows ignored pixels in the ignore colour', async () => {
+    const context = createContext();
+    context.ignoreMask = new Uint8Array(WIDTH * HEIGHT);
+    context.ignoreMask[0] = 1;
+
+    const heatmap = await decode(renderer.render('heatmap', context));
+
+    expect(pixelAt(heatmap, 0, 0)).toEqual([64, 96, 255, 255]);
+  });
+
+  test('the overlay tints only diff pixels of the actual image', async () => {
+    const overlay = await decode(renderer.render('overlay', createContext()));
+
+    expect(pixelAt(overlay, 11, 5)).toEqual([127, 0, 0, 255]);
+    expect(pixelAt(overlay, 2, 2)).toEqual([235, 235, 235, 255]);
+  });
+
+  test('the composite puts expected, actual and diff side by side', async () => {
+    const composite = await decode(renderer.render('composite', createContext()));
+
+    expect([composite.width, composite.height]).toEqual([WIDTH * 3 + 8, HEIGHT]);
+    expect(pixelAt(composite, 11, 5)).toEqual([255, 255, 255, 255]);
+    expect(pixelAt(composite, WIDTH + 4 + 11, 5)).toEqual([0, 0, 0, 255]);
+    expect(pixelAt(composite, 2 * (WIDTH + 4) + 11, 5)).toEqual([255, 0, 0, 255]);
+  });
+
+  test('the annotated style outlines every cluster', async () => {
+    const annotated = await decode(renderer.render('annotated', createContext()));
+
+    // The box runs one pixel outside the cluster
+    const [r, g, b] = pixelAt(annotated, 9, 6);
+    expect(r).toBeGreaterThan(200);
+    expect(g).toBeLessThan(100);
+    expect(b).toBeGreaterThan(200);
+    expect(pixelAt(annotated, 0, 0)).toEqual([250, 250, 250, 255]);
+  });
+
+  test('names extra styles after the primary diff file', () => {
+    expect(diffStylePath('out/a.png.diff.png', 'pixelmatch', 'pixelmatch')).toBe('out/a.png.diff.png');
+    expect(diffStylePath('out/a.png.diff.png', 'heatmap', 'pixelmatch')).toBe('out/a.png.diff.heatmap.png');
+    expect(diffStylePath('out/diff', 'overlay', 'heatmap')).toBe('out/diff.overlay.png');
+  });
+});
@@ -0,0 +1,216 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const DirectoryComparator = require('../src/core/DirectoryComparator');
+const { makeTempDir, removeDir } = require('./helpers');
+
+const { STATUS } = DirectoryComparator;
+
+// Files "match" when their bytes do; keeps these specs free of image decoding
+const byteComparator = {
+  calls: [],
+  compare(actual, expected, options) {
+    this.calls.push(options);
+    if (actual.toString() === 'broken') {
+      return Promise.reject(new Error('Unsupported image data'));
+    }
+    const ok = actual.equals(expected);
+    const diffImage = Buffer.from(`diff of ${expected}`);
+    const diffImages = { pixelmatch: diffImage };
+    for (const style of [].concat(options.diffStyle || []).filter(style => style !== 'pixelmatch')) {
+      diffImages[style] = Buffer.from(`${style} of ${expected}`);
+    }
+    return Promise.resolve({
+      ok,
+      diffCount: ok ? 0 : 1,
+      diffImage,
+      diffImages,
+      diffStyle: 'pixelmatch',
+      diffImageData: {}
+    });
+  }
+};
+
+function writeFiles(dir, files) {
+  for (const [name, content] of Object.entries(files)) {
+    const filePath = path.join(dir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+}
+
+describe('DirectoryComparator', () => {
+  let root;
+  let baselineDir;
+  let actualDir;
+  let outputDir;
+  let comparator;
+
+  beforeEach(() => {
+    root = makeTempDir();
+    baselineDir = path.join(root, 'baseline');
+    actualDir = path.join(root, 'actual');
+    outputDir = path.join(root, 'diff');
+    byteComparator.calls = [];
+    comparator = new DirectoryComparator(byteComparator, { threshold: 0.1 });
+  });
+
+  afterEach(() => {
+    removeDir(root);
+  });
+
+  it('pairs images by relative path, recursively', async () => {
+    writeFiles(baselineDir, { 'a.png': 'A', 'shapes/circle.png': 'C', 'notes.txt': 'x' });
+    writeFiles(actualDir, { 'a.png': 'A', 'shapes/circle.png': 'changed', 'notes.txt': 'y' });
+
+    const { results, summary } = await comparator.compare(baselineDir, actualDir);
+
+    expect(results.map(r => [r.name, r.status])).toEqual([
+      ['a.png', STATUS.PASSED],
+      ['shapes/circle.png', STATUS.FAILED]
+    ]);
+    expect(summary).toMatchObject({ total: 2, passed: 1, failed: 1, ok: false });
+    expect(byteComparator.calls[0].threshold).toBe(0.1);
+  });
+
+  it('matches the default extensions in any case', async () => {
+    writeFiles(baselineDir, { 'A.PNG': 'A', 'b.JpEg': 'B', 'c.webp': 'C', 'd.svg': 'D' });
+    writeFiles(actualDir, { 'A.PNG': 'A', 'b.JpEg': 'B', 'c.webp': 'C', 'd.svg': 'D' });
+
+    const { results } = await comparator.compare(baselineDir, actualDir);
+
+    expect(results.map(r => r.name)).toEqual(['A.PNG', 'b.JpEg', 'c.webp']);
+  });
+
+  it('applies include and exclude globs', async () => {
+    const files = { 'a.png': 'A', 'drafts/b.png': 'B', 'c.jpg': 'C' };
+    writeFiles(baselineDir, files);
+    writeFiles(actualDir, files);
+
+    const { results } = await comparator.compare(baselineDir, actualDir, {
+      include: ['**/*.png'],
+      exclude: ['drafts/**']
+    });
+
+    expect(results.map(r => r.name)).toEqual(['a.png']);
+  });
+
+  it('reports files missing on either side, unless allowMissing is set', async () => {
+    writeFiles(baselineDir, { 'a.png': 'A', 'only-baseline.png': 'B' });
+    writeFiles(actualDir, { 'a.png': 'A', 'only-actual.png': 'C' });
+
+    const strict = await comparator.compare(baselineDir, actualDir);
+    const lenient = await comparator.compare(baselineDir, actualDir, { allowMissing: true });
+
+    expect(strict.results.map(r => r.status)).toEqual([
+      STATUS.PASSED,
+      STATUS.MISSING_BASELINE,
+      STATUS.MISSING_ACTUAL
+    ]);
+    expect(strict.summary).toMatchObject({ missingActual: 1, missingBaseline: 1, ok: false });
+    expect(lenient.summary.ok).toBe(true);
+  });
+
+  it('turns comparison failures into error results', async () => {
+    writeFiles(baselineDir, { 'a.png': 'A' });
+    writeFiles(actualDir, { 'a.png': 'broken' });
+
+    const { results, summary } = await comparator.compare(baselineDir, actualDir);
+
+    expect(results[0]).toMatchObject({ status: STATUS.ERROR, ok: false, error: 'Unsupported image data' });
+    expect(summary).toMatchObject({ errors: 1, ok: false });
+  });
+
+  it('writes diffs for failing pairs into a mirrored tree, keeping the extension', async () => {
+    writeFiles(baselineDir, { 'shapes/a.png': 'png', 'shapes/a.jpg': 'jpg', 'same.png': 'S' });
+    writeFiles(actualDir, { 'shapes/a.png': 'png!', 'shapes/a.jpg': 'jpg!', 'same.png': 'S' });
+
+    const { results } = await comparator.compare(baselineDir, actualDir, { outputDir });
+
+    expect(results.map(r => r.diffPath)).toEqual([
+      null,
+      path.join(outputDir, 'shapes/a.jpg.diff.png'),
+      path.join(outputDir, 'shapes/a.png.diff.png')
+    ]);
+    expect(fs.readFileSync(results[1].diffPath, 'utf8')).toBe('diff of jpg');
+    expect(fs.readFileSync(results[2].diffPath, 'utf8')).toBe('diff of png');
+    expect(results[1].diffImageData).toBeUndefined();
+  });
+
+  it('writes every extra diff style next to the main diff', async () => {
+    writeFiles(baselineDir, { 'a.png': 'A' });
+    writeFiles(actualDir, { 'a.png': 'B' });
+
+    await comparator.compare(baselineDir, actualDir, { outputDir, diffStyle: ['pixelmatch', 'heatmap'] });
+
+    expect(fs.readdirSync(outputDir).sort()).toEqual(['a.png.diff.heatmap.png', 'a.png.diff.png']);
+    expect(fs.readFileSync(path.join(outputDir, 'a.png.diff.heatmap.png'), 'utf8')).toBe('heatmap of A');
+  });
+
+  it('removes the diff of a pair that passes again', async () => {
+    writeFiles(baselineDir, { 'a.png': 'A' });
+    writeFiles(actualDir, { 'a.png': 'B' });
+    await comparator.compare(baselineDir, actualDir, { outputDir, diffStyle: ['pixelmatch', 'heatmap'] });
+
+    writeFiles(actualDir, { 'a.png': 'A' });
+    const { results } = await comparator.compare(baselineDir, actualDir, { outputDir, diffStyle: ['pixelmatch', 'heatmap'] });
+
+    expect(results[0].diffPath).toBeNull();
+    expect(fs.readdirSync(outputDir)).toEqual([]);
+  });
+
+  it('compares only the pairs matching files', async () => {
+    writeFiles(baselineDir, { 'a.png': 'A', 'b.png': 'B', 'sub/c.png': 'C' });
+    writeFiles(actualDir, { 'a.png': 'A', 'b.png': 'B', 'sub/c.png': 'C' });
+
+    const { results, summary } = await comparator.compare(baselineDir, actualDir, { files: ['b.png', 'sub/*'] });
+
+    expect(results.map(r => r.name)).toEqual(['b.png', 'sub/c.png']);
+    expect(summary.total).toBe(2);
+  });
+
+  it('applies config overrides matching each file', async () => {
+    writeFiles(baselineDir, { 'a.png': 'A', 'text/b.png': 'B' });
+    writeFiles(actualDir, { 'a.png': 'A', 'text/b.png': 'B' });
+
+    await comparator.compare(baselineDir, actualDir, {
+      overrides: [{ files: ['text/**'], options: { threshold: 0.4, metric: 'ssim' } }]
+    });
+
+    expect(byteComparator.calls.map(({ threshold, metric }) => ({ threshold, metric }))).toEqual([
+      { threshold: 0.1, metric: undefined },
+      { threshold: 0.4, metric: 'ssim' }
+    ]);
+  });
+
+  it('reports the pairs left after failFast as cancelled', async () => {
+    writeFiles(baselineDir, { 'a.png': 'A', 'b.png': 'B', 'c.png': 'C' });
+    writeFiles(actualDir, { 'a.png': 'changed', 'b.png': 'B', 'c.png': 'C' });
+
+    const { results, summary } = await comparator.compare(baselineDir, actualDir, { failFast: true });
+
+    expect(results.map(r => r.status)).toEqual([STATUS.FAILED, STATUS.CANCELLED, STATUS.CANCELLED]);
+    expect(summary).toMatchObject({ total: 3, failed: 1, cancelled: 2, stoppedBy: 'fail-fast', ok: false });
+  });
+
+  it('sends progress events to the given emitter', async () => {
+    writeFiles(baselineDir, { 'a.png': 'A', 'b.png': 'B' });
+    writeFiles(actualDir, { 'a.png': 'A', 'b.png': 'broken' });
+    const events = new EventEmitter();
+    const seen = [];
+    for (const event of ['pair:start', 'pair:result', 'pair:error']) {
+      events.on(event, ({ name }) => seen.push(`${event} ${name}`));
+    }
+
+    await comparator.compare(baselineDir, actualDir, {}, events);
+
+    expect(seen).toEqual(['pair:start a.png', 'pair:result a.png', 'pair:start b.png', 'pair:error b.png']);
+  });
+
+  it('rejects a directory that does not exist', async () => {
+    writeFiles(actualDir, { 'a.png': 'A' });
+
+    await expect(comparator.compare(path.join(root, 'nope'), actualDir))
+      .rejects.toThrow('Baseline directory not found');
+  });
+});
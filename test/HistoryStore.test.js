@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const HistoryStore = require('../src/core/HistoryStore');
+const { makeTempDir, removeDir } = require('./helpers');
+
+// A batch result decided by the `clusters` strategy with `measure` significant pixels
+function result(name, ok, measure = 0, extra = {}) {
+  return {
+    name,
+    ok,
+    diffCount: measure,
+    details: { significantDiffPixels: measure, significance: { strategy: 'clusters', measure, limit: 40 } },
+    ...extra
+  };
+}
+
+describe('HistoryStore', () => {
+  let dir;
+  let historyPath;
+  let store;
+
+  beforeEach(() => {
+    dir = makeTempDir();
+    historyPath = path.join(dir, 'history', 'runs.json');
+    store = new HistoryStore({ historyPath });
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  async function recordRuns(runs) {
+    for (const results of runs) {
+      await store.record(results);
+    }
+  }
+
+  it('records one entry per compared image, skipping cancelled and unnamed results', async () => {
+    const run = await store.record([
+      result('a.png', true, 3),
+      { name: 'broken.png', ok: false, error: 'Could not decode' },
+      { name: 'late.png', status: 'cancelled', ok: false },
+      { ok: true }
+    ]);
+
+    expect(run.results).toEqual({
+      'a.png': { verdict: 'passed', diffCount: 3, significantPixels: 3, strategy: 'clusters', measure: 3, limit: 40 },
+      'broken.png': { verdict: 'error', diffCount: null, significantPixels: null, strategy: null, measure: null, limit: null }
+    });
+    expect(JSON.parse(fs.readFileSync(historyPath, 'utf8'))).toMatchObject({ version: 1, runs: [run] });
+  });
+
+  it('keeps only the last maxHistoryRuns runs', async () => {
+    store = new HistoryStore({ historyPath, maxHistoryRuns: 2 });
+
+    await recordRuns([[result('a.png', true)], [result('b.png', true)], [result('c.png', true)]]);
+
+    const { runs } = await store.read(historyPath);
+    expect(runs.map(run => Object.keys(run.results)[0])).toEqual(['b.png', 'c.png']);
+  });
+
+  it('flags flaky, regressed and fixed images, worst first', async () => {
+    await recordRuns([
+      [result('flaky.png', true), result('regressed.png', true), result('fixed.png', false, 50), result('stable.png', true)],
+      [result('flaky.png', false, 50), result('regressed.png', true), result('fixed.png', true), result('stable.png', true)],
+      [result('flaky.png', true), result('regressed.png', false, 50), result('fixed.png', true), result('stable.png', true)]
+    ]);
+
+    const { runs, images } = await store.analyze();
+
+    expect(runs).toBe(3);
+    expect(images.map(image => [image.name, image.flags])).toEqual([
+      ['flaky.png', ['flaky']],
+      ['fixed.png', ['fixed']],
+      ['regressed.png', ['regressed']],
+      ['stable.png', []]
+    ]);
+    expect(images[0]).toMatchObject({ passed: 2, failed: 1, flips: 2, verdicts: ['passed', 'failed', 'passed'] });
+  });
+
+  it('flags a passing diff that keeps growing toward its limit', async () => {
+    await recordRuns([
+      [result('creep.png', true, 10), result('small.png', true, 1)],
+      [result('creep.png', true, 15), result('small.png', true, 2)],
+      [result('creep.png', true, 25), result('small.png', true, 3)]
+    ]);
+
+    const { images } = await store.analyze();
+
+    expect(images.find(image => image.name === 'creep.png').flags).toEqual(['creeping']);
+    expect(images.find(image => image.name === 'small.png').flags).toEqual([]);
+  });
+
+  it('does not check for creeping when the strategy reports no limit', async () => {
+    const noLimit = { details: { significantDiffPixels: 0, significance: { strategy: 'custom' } } };
+    await store.record([result('custom.png', true, 0, noLimit)]);
+
+    const { images } = await store.analyze();
+
+    expect(images[0]).toMatchObject({ name: 'custom.png', creepChecked: false, flags: [] });
+  });
+
+  it('analyses only the last window runs and the chosen files', async () => {
+    await recordRuns([
+      [result('a.png', false, 50), result('b.png', true)],
+      [result('a.png', true), result('b.png', true)],
+      [result('a.png', true), result('b.png', true)]
+    ]);
+
+    const { runs, images } = await store.analyze({ window: 2, files: ['a.*'] });
+
+    expect(runs).toBe(2);
+    expect(images.map(image => [image.name, image.flags])).toEqual([['a.png', []]]);
+  });
+
+  it('starts empty without a history file and rejects a corrupt one', async () => {
+    expect(await store.analyze()).toMatchObject({ runs: 0, from: null, to: null, images: [] });
+
+    fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+    fs.writeFileSync(historyPath, '{ not json');
+    await expect(store.analyze()).rejects.toThrow(`Invalid history file ${historyPath}`);
+    await expect(new HistoryStore().analyze()).rejects.toThrow('No history file: set historyPath');
+  });
+});
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const HtmlReporter = require('../src/reporters/HtmlReporter');
+const { REFERENCE_DIR, makeTempDir, removeDir } = require('./helpers');
+
+// Just enough of each format for magic-byte sniffing
+const ENCODED = {
+  'image/jpeg': Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]),
+  'image/webp': Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 ')]),
+  'image/gif': Buffer.from('GIF89a\x01\x00\x01\x00', 'binary'),
+  'image/bmp': Buffer.from('BM\x00\x00\x00\x00', 'binary')
+};
+
+function dataUrlsOf(html, caption) {
+  const pattern = new RegExp(`<figcaption>${caption}</figcaption><div class="frame"><img src="data:([^;]+);base64,([^"]*)"`);
+  const match = html.match(pattern);
+  return match && { mimeType: match[1], bytes: Buffer.from(match[2], 'base64') };
+}
+
+describe('HtmlReporter', () => {
+  let dir;
+  let reporter;
+
+  beforeEach(() => {
+    dir = makeTempDir();
+    reporter = new HtmlReporter({ title: 'Sketches' });
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  it('inlines image files and buffers as data URLs', async () => {
+    const baselinePath = path.join(REFERENCE_DIR, 'basic-shapes.png');
+    const png = fs.readFileSync(baselinePath);
+
+    const html = await reporter.render([{
+      name: 'shapes.png', status: 'failed', ok: false, diffCount: 4, baseline: baselinePath, actual: png, diffImage: png
+    }]);
+
+    expect(dataUrlsOf(html, 'Baseline')).toEqual({ mimeType: 'image/png', bytes: png });
+    expect(dataUrlsOf(html, 'Actual')).toEqual({ mimeType: 'image/png', bytes: png });
+    expect(dataUrlsOf(html, 'Diff')).toEqual({ mimeType: 'image/png', bytes: png });
+  });
+
+  it.each(Object.entries(ENCODED))('labels %s images by their magic bytes', async (mimeType, bytes) => {
+    const html = await reporter.render([{ name: 'a', ok: true, baseline: bytes, actual: bytes }]);
+
+    expect(dataUrlsOf(html, 'Baseline').mimeType).toBe(mimeType);
+  });
+
+  it('shows missing files and directories as not available', async () => {
+    const html = await reporter.render([{
+      name: 'shapes.png',
+      status: 'failed',
+      ok: false,
+      baseline: path.join(dir, 'gone.png'),
+      actual: dir
+    }]);
+
+    expect(html).toContain('<figcaption>Baseline</figcaption><div class="missing">Not available</div>');
+    expect(html).toContain('<figcaption>Actual</figcaption><div class="missing">Not available</div>');
+    expect(html).toContain('<figcaption>Diff</figcaption><div class="missing">Not available</div>');
+  });
+
+  it('summarises, groups and escapes results', async () => {
+    const html = await reporter.render([
+      { name: 'pass.png', ok: true },
+      { name: 'fail <b>.png', ok: false, diffCount: 12 },
+      { name: 'gone.png', status: 'missing-actual', ok: false },
+      { name: 'broken.png', ok: false, error: 'Decode <failed>' }
+    ]);
+
+    expect(html).toContain('<title>Sketches</title>');
+    expect(html).toMatch(/4 compared[\s\S]*1 passed[\s\S]*1 failed[\s\S]*2 errors/);
+    expect(html).toContain('data-name="fail &lt;b&gt;.png"');
+    expect(html).not.toContain('fail <b>.png');
+    expect(html).toContain('data-status="fail" data-diff="12"');
+    expect(html).toContain('<p class="message">Decode &lt;failed&gt;</p>');
+  });
+
+  it('outlines clusters over the images', async () => {
+    const diffImage = fs.readFileSync(path.join(REFERENCE_DIR, 'basic-shapes.png'));
+
+    const html = await reporter.render([{
+      name: 'a.png',
+      ok: false,
+      diffImage,
+      details: {
+        totalDiffPixels: 30,
+        significantDiffPixels: 30,
+        clusters: [
+          { size: 20, bounds: { minX: 1, minY: 2, width: 5, height: 4 } },
+          { size: 10, isLineShift: true, bounds: { minX: 10, minY: 10, width: 10, height: 1 } }
+        ]
+      }
+    }]);
+
+    expect(html).toContain('<svg class="clusters" viewBox="0 0 200 200" preserveAspectRatio="none">');
+    expect(html).toContain('<rect class="cluster" x="1" y="2" width="5" height="4"><title>20 px</title></rect>');
+    expect(html).toContain('<rect class="line-shift" x="10" y="10" width="10" height="1">');
+  });
+
+  it('maps cluster outlines back to the size of each original image', async () => {
+    // basic-shapes.png is 200x200: compared at half size, so a 100x100 diff
+    const baseline = fs.readFileSync(path.join(REFERENCE_DIR, 'basic-shapes.png'));
+    const html = await reporter.render([{
+      name: 'a.png',
+      ok: false,
+      baseline,
+      actual: baseline,
+      diffImageData: { width: 100, height: 100 },
+      details: {
+        resize: { mode: 'fit', scale: { x: 0.5, y: 0.5 }, width: 100, height: 100 },
+        dimensions: {
+          actual: { width: 100, height: 400 },
+          expected: { width: 200, height: 200 },
+          sizePolicy: 'scale-to-expected'
+        },
+        clusters: [{ size: 20, bounds: { minX: 10, minY: 5, width: 5, height: 4 } }]
+      }
+    }]);
+
+    expect(html).toContain('<svg class="clusters" viewBox="0 0 200 200" preserveAspectRatio="none">' +
+      '<rect class="cluster" x="20" y="10" width="10" height="8">');
+    expect(html).toContain('<svg class="clusters" viewBox="0 0 100 400" preserveAspectRatio="none">' +
+      '<rect class="cluster" x="10" y="20" width="5" height="16">');
+  });
+
+  it('names the category and reason of classified clusters', async () => {
+    const html = await reporter.render([{
+      name: 'a.png',
+      ok: false,
+      diffImage: fs.readFileSync(path.join(REFERENCE_DIR, 'basic-shapes.png')),
+      details: {
+        clusters: [{ size: 20, category: 'removed', reason: 'Drawn only in <expected>', bounds: { minX: 1, minY: 2, width: 5, height: 4 } }]
+      }
+    }]);
+
+    expect(html).toContain('<title>20 px removed: Drawn only in &lt;expected&gt;</title>');
+  });
+
+  it('writes the report, creating missing directories', async () => {
+    const filePath = path.join(dir, 'reports', 'visual.html');
+
+    await reporter.write([{ name: 'a', ok: true }], filePath);
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(await reporter.render([{ name: 'a', ok: true }]));
+  });
+});
@@ -0,0 +1,104 @@
+const ImageAligner = require('../src/core/ImageAligner');
+const { createRandom, createImage } = require('./helpers');
+
+const SIZE = 24;
+
+// Random noise has a single best alignment, unlike flat shapes
+function createNoise(seed = 1) {
+  const random = createRandom(seed);
+  const image = createImage(SIZE, SIZE);
+  for (let i = 0; i < image.data.length; i += 4) {
+    const value = Math.floor(random() * 256);
+    image.data.set([value, value, value, 255], i);
+  }
+  return image;
+}
+
+// actual(x + dx, y + dy) = expected(x, y)
+function translate(image, dx, dy) {
+  const moved = createImage(image.width, image.height, [0, 0, 0, 255]);
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      const tx = x + dx;
+      const ty = y + dy;
+      if (tx >= 0 && tx < image.width && ty >= 0 && ty < image.height) {
+        const pos = (y * image.width + x) * 4;
+        moved.data.set(image.data.subarray(pos, pos + 4), (ty * image.width + tx) * 4);
+      }
+    }
+  }
+  return moved;
+}
+
+describe('ImageAligner', () => {
+  const aligner = new ImageAligner();
+
+  test.each([
+    [2, 0],
+    [0, -3],
+    [-1, 2],
+    [3, 3]
+  ])('finds an offset of (%i, %i)', (dx, dy) => {
+    const expected = createNoise();
+    const actual = translate(expected, dx, dy);
+
+    const offset = aligner.findOffset(actual.data, expected.data, SIZE, SIZE, 3);
+
+    expect(offset).toMatchObject({ x: dx, y: dy, error: 0 });
+  });
+
+  test('stays at zero for identical images', () => {
+    const image = createNoise();
+
+    expect(aligner.findOffset(image.data, image.data, SIZE, SIZE, 3)).toEqual({ x: 0, y: 0, error: 0 });
+  });
+
+  test('only searches within the radius', () => {
+    const expected = createNoise();
+    const actual = translate(expected, 4, 0);
+
+    const offset = aligner.findOffset(actual.data, expected.data, SIZE, SIZE, 2);
+
+    expect(Math.abs(offset.x)).toBeLessThanOrEqual(2);
+    expect(offset.error).toBeGreaterThan(0);
+  });
+
+  test('leaves ignored pixels out of the score', () => {
+    const expected = createNoise(1);
+    const actual = translate(expected, 1, 0);
+    // Scramble a block of the actual image and ignore it
+    const ignoreMask = new Uint8Array(SIZE * SIZE);
+    const noise = createNoise(7);
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        const pos = (y * SIZE + x) * 4;
+        actual.data.set(noise.data.subarray(pos, pos + 4), pos);
+        ignoreMask[y * SIZE + x] = 1;
+      }
+    }
+
+    expect(aligner.findOffset(actual.data, expected.data, SIZE, SIZE, 2, ignoreMask))
+      .toMatchObject({ x: 1, y: 0, error: 0 });
+  });
+
+  test('shifts the actual image back and marks the uncovered border', () => {
+    const expected = createNoise();
+    const actual = translate(expected, 2, -1);
+
+    const { data, borderMask } = aligner.shift(actual.data, expected.data, SIZE, SIZE, 2, -1);
+
+    expect(Array.from(data)).toEqual(Array.from(expected.data));
+    // Shifting by (2, -1) leaves two columns on the right and one row at the top without a source
+    const border = [];
+    borderMask.forEach((value, i) => value && border.push([i % SIZE, Math.floor(i / SIZE)]));
+    expect(border).toContainEqual([SIZE - 1, 5]);
+    expect(border).toContainEqual([3, 0]);
+    expect(border).toHaveLength(2 * SIZE + SIZE - 2);
+  });
+
+  test('returns the data unchanged for a zero offset', () => {
+    const image = createNoise();
+
+    expect(aligner.shift(image.data, image.data, SIZE, SIZE, 0, 0)).toEqual({ data: image.data, borderMask: null });
+  });
+});
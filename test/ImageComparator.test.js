@@ -0,0 +1,614 @@
+const fs = require('fs');
+const path = require('path');
+const { createImageData, createCanvas } = require('canvas');
+const VisualComparisonEngine = require('../src');
+const { REFERENCE_DIR, createImage, fillRect, copyImage, makeTempDir, removeDir } = require('./helpers');
+
+const RED = [220, 20, 20, 255];
+const BLACK = [0, 0, 0, 255];
+const WHITE = [255, 255, 255, 255];
+
+// Square images with maxSide equal to their size are compared at 1:1
+const SIZE = 40;
+
+function toCanvas(image) {
+  const canvas = createCanvas(image.width, image.height);
+  canvas.getContext('2d').putImageData(createImageData(image.data, image.width, image.height), 0, 0);
+  return canvas;
+}
+
+function pixelAt(imageData, x, y) {
+  const pos = (y * imageData.width + x) * 4;
+  return Array.from(imageData.data.slice(pos, pos + 4));
+}
+
+function createPair() {
+  const expected = createImage(SIZE, SIZE);
+  const actual = fillRect(copyImage(expected), 10, 10, 8, 8, RED);
+  return { actual, expected };
+}
+
+describe('ignore regions', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new VisualComparisonEngine({ maxSide: SIZE });
+  });
+
+  it('reports a change outside any ignore region', async () => {
+    const { actual, expected } = createPair();
+
+    const result = await engine.compare(toCanvas(actual), toCanvas(expected));
+
+    expect(result.ok).toBe(false);
+    expect(result.diffCount).toBe(64);
+    expect(result.details.ignoredPixels).toBe(0);
+  });
+
+  it('skips pixels inside a rectangle and counts them as ignored', async () => {
+    const { actual, expected } = createPair();
+
+    const result = await engine.compare(toCanvas(actual), toCanvas(expected), {
+      ignoreRegions: [{ x: 8, y: 8, width: 12, height: 12 }]
+    });
+
+    expect(result.ok).toBe(true);
+    expect(result.diffCount).toBe(0);
+    expect(result.details.ignoredPixels).toBe(144);
+  });
+
+  it('skips pixels inside a polygon', async () => {
+    const { actual, expected } = createPair();
+
+    const result = await engine.compare(toCanvas(actual), toCanvas(expected), {
+      ignoreRegions: [{ points: [[6, 6], [24, 6], [24, 24], [6, 24]] }]
+    });
+
+    expect(result.diffCount).toBe(0);
+    expect(result.details.ignoredPixels).toBeGreaterThan(0);
+  });
+
+  it('only ignores the covered part of a partially masked change', async () => {
+    const { actual, expected } = createPair();
+
+    const result = await engine.compare(toCanvas(actual), toCanvas(expected), {
+      ignoreRegions: [{ x: 0, y: 0, width: 14, height: SIZE }]
+    });
+
+    expect(result.diffCount).toBe(32);
+  });
+
+  it('scales regions given in source coordinates with maxSide', async () => {
+    const { actual, expected } = createPair();
+
+    const result = await engine.compare(toCanvas(actual), toCanvas(expected), {
+      maxSide: SIZE / 2,
+      ignoreRegions: [{ x: 8, y: 8, width: 12, height: 12 }]
+    });
+
+    expect(result.diffCount).toBe(0);
+    expect(result.details.ignoredPixels).toBe(36);
+  });
+
+  it('ignores the white areas of a mask image', async () => {
+    const { actual, expected } = createPair();
+    const mask = createCanvas(SIZE, SIZE);
+    const ctx = mask.getContext('2d');
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, SIZE, SIZE);
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(10, 10, 8, 8);
+
+    const result = await engine.compare(toCanvas(actual), toCanvas(expected), {
+      ignoreMask: mask
+    });
+
+    expect(result.diffCount).toBe(0);
+    expect(result.details.ignoredPixels).toBe(64);
+  });
+
+  it('shades ignored pixels in the diff image without using the diff colour', async () => {
+    const { actual, expected } = createPair();
+
+    const result = await engine.compare(toCanvas(actual), toCanvas(expected), {
+      ignoreRegions: [{ x: 0, y: 0, width: 4, height: 4 }]
+    });
+
+    const [r, g, b] = pixelAt(result.diffImageData, 1, 1);
+    expect(b).toBeGreaterThan(r);
+    expect(g).toBeGreaterThan(r);
+  });
+
+  it.each([
+    [{ x: 0, y: 0, width: 0, height: 5 }],
+    [{ x: 'a', y: 0, width: 5, height: 5 }],
+    [{ points: [[0, 0], [5, 5]] }]
+  ])('rejects the invalid region %j', async (region) => {
+    const { actual, expected } = createPair();
+
+    await expect(
+      engine.compare(toCanvas(actual), toCanvas(expected), { ignoreRegions: [region] })
+    ).rejects.toThrow(/region|points/);
+  });
+
+  it('leaves identical images untouched', async () => {
+    const image = fillRect(createImage(SIZE, SIZE, WHITE), 0, 0, 5, 5, BLACK);
+
+    const result = await engine.compare(toCanvas(image), toCanvas(copyImage(image)));
+
+    expect(result).toMatchObject({ ok: true, diffCount: 0 });
+  });
+});
+
+describe('diff mask', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new VisualComparisonEngine({ maxSide: SIZE, includeAA: true });
+  });
+
+  it('marks exactly the differing pixels and clusters them', async () => {
+    const { actual, expected } = createPair();
+
+    const result = await engine.compare(toCanvas(actual), toCanvas(expected));
+
+    expect(result.diffMask.reduce((sum, value) => sum + value, 0)).toBe(result.diffCount);
+    expect(result.diffMask[10 * SIZE + 10]).toBe(1);
+    expect(result.diffMask[0]).toBe(0);
+    expect(result.details.clusters).toHaveLength(1);
+    expect(result.details.clusters[0]).toMatchObject({
+      size: 64,
+      bounds: { minX: 10, minY: 10, width: 8, height: 8 }
+    });
+  });
+
+  it('does not mistake red image content for differences', async () => {
+    const expected = createImage(SIZE, SIZE, [255, 0, 0, 255]);
+    const actual = fillRect(copyImage(expected), 4, 4, 3, 3, BLACK);
+
+    const result = await engine.compare(toCanvas(actual), toCanvas(expected), { alpha: 1 });
+
+    expect(result.diffCount).toBe(9);
+    expect(result.details.clusters.map(cluster => cluster.size)).toEqual([9]);
+  });
+
+  it('splits diagonal neighbours with 4-connectivity', async () => {
+    const expected = createImage(SIZE, SIZE, WHITE);
+    const actual = fillRect(fillRect(copyImage(expected), 5, 5, 2, 2, BLACK), 7, 7, 2, 2, BLACK);
+
+    const eight = await engine.compare(toCanvas(actual), toCanvas(expected));
+    const four = await engine.compare(toCanvas(actual), toCanvas(expected), { clusterConnectivity: 4 });
+
+    expect(eight.details.clusters).toHaveLength(1);
+    expect(four.details.clusters).toHaveLength(2);
+  });
+
+  it('rejects other connectivities', async () => {
+    const { actual, expected } = createPair();
+
+    await expect(engine.compare(toCanvas(actual), toCanvas(expected), { clusterConnectivity: 6 }))
+      .rejects.toThrow('clusterConnectivity must be 4 or 8');
+  });
+});
+
+describe('category tolerances', () => {
+  let engine;
+
+  // A removed 2x2 square (below minClusterSize) and an added 12x12 one
+  function createChanges() {
+    const expected = fillRect(createImage(SIZE, SIZE, WHITE), 30, 30, 2, 2, BLACK);
+    const actual = fillRect(createImage(SIZE, SIZE, WHITE), 5, 5, 12, 12, BLACK);
+    return { actual: toCanvas(actual), expected: toCanvas(expected) };
+  }
+
+  beforeEach(() => {
+    engine = new VisualComparisonEngine({ maxSide: SIZE, maxTotalDiffPixels: 100 });
+  });
+
+  it('classifies each cluster and counts the categories', async () => {
+    const { actual, expected } = createChanges();
+
+    const result = await engine.compare(actual, expected);
+
+    expect(result.ok).toBe(false);
+    expect(result.details.categories).toEqual({
+      added: { clusters: 1, pixels: 144 },
+      removed: { clusters: 1, pixels: 4 }
+    });
+    expect(result.details.clusters.every(cluster => typeof cluster.reason === 'string')).toBe(true);
+  });
+
+  it('allows a category marked true whatever its size', async () => {
+    const { actual, expected } = createChanges();
+
+    const result = await engine.compare(actual, expected, { categoryTolerances: { added: true } });
+
+    expect(result.ok).toBe(true);
+  });
+
+  it('fails on any pixel of a category marked false', async () => {
+    const { actual, expected } = createChanges();
+
+    const result = await engine.compare(actual, expected, { categoryTolerances: { added: true, removed: false } });
+
+    expect(result.ok).toBe(false);
+  });
+
+  it('limits a category to a pixel count', async () => {
+    const { actual, expected } = createChanges();
+
+    const within = await engine.compare(actual, expected, { categoryTolerances: { added: 144 } });
+    const over = await engine.compare(actual, expected, { categoryTolerances: { added: 143 } });
+
+    expect(within.ok).toBe(true);
+    expect(over.ok).toBe(false);
+  });
+
+  it('rejects unknown categories and invalid tolerances', async () => {
+    const { actual, expected } = createChanges();
+
+    await expect(engine.compare(actual, expected, { categoryTolerances: { sparkles: true } }))
+      .rejects.toThrow('Unknown cluster category in categoryTolerances: sparkles');
+    await expect(engine.compare(actual, expected, { categoryTolerances: { added: -1 } }))
+      .rejects.toThrow('categoryTolerances.added must be true, false or a pixel count');
+  });
+});
+
+describe('batchCompare', () => {
+  it('keeps file buffers on the results so reporters can embed them', async () => {
+    const engine = new VisualComparisonEngine();
+    const baseline = fs.readFileSync(path.join(REFERENCE_DIR, 'basic-shapes.png'));
+    const canvas = toCanvas(createImage(SIZE, SIZE));
+
+    const [fromBuffers, fromCanvas] = await engine.batchCompare([
+      { name: 'shapes', actual: baseline, expected: baseline },
+      { name: 'canvas', actual: canvas, expected: canvas }
+    ]);
+
+    expect(fromBuffers).toMatchObject({ name: 'shapes', ok: true, baseline, actual: baseline });
+    expect(fromCanvas.baseline).toBeUndefined();
+    expect(fromCanvas.actual).toBeUndefined();
+  });
+
+  it('keeps the sources on errored pairs', async () => {
+    const engine = new VisualComparisonEngine();
+    const image = fs.readFileSync(path.join(REFERENCE_DIR, 'basic-shapes.png'));
+
+    const [result] = await engine.batchCompare([{
+      name: 'broken',
+      actual: image,
+      expected: image,
+      options: { ignoreRegions: [{ x: 0, y: 0, width: -1, height: 1 }] }
+    }]);
+
+    expect(result).toMatchObject({ name: 'broken', ok: false, baseline: image, actual: image });
+    expect(result.error).toEqual(expect.any(String));
+  });
+  it('stops after the first failing pair with failFast, keeping the sources of the rest', async () => {
+    const engine = new VisualComparisonEngine({ maxSide: SIZE });
+    const { actual, expected } = createPair();
+    const same = fs.readFileSync(path.join(REFERENCE_DIR, 'basic-shapes.png'));
+    const done = jest.fn();
+    engine.on('batch:done', done);
+
+    const results = await engine.batchCompare([
+      { name: 'changed', actual: toCanvas(actual), expected: toCanvas(expected) },
+      { name: 'later', actual: same, expected: same }
+    ], { failFast: true });
+
+    expect(results.map(result => result.status)).toEqual([undefined, 'cancelled']);
+    expect(results[1]).toMatchObject({ name: 'later', ok: false, baseline: same, actual: same });
+    expect(done).toHaveBeenCalledWith(expect.objectContaining({
+      total: 2,
+      completed: 1,
+      cancelled: 1,
+      stoppedBy: 'fail-fast'
+    }));
+  });
+
+  it('stops starting pairs once the signal aborts', async () => {
+    const engine = new VisualComparisonEngine({ maxSide: SIZE });
+    const canvas = toCanvas(createImage(SIZE, SIZE));
+    const controller = new AbortController();
+    engine.on('pair:result', () => controller.abort());
+
+    const results = await engine.batchCompare([
+      { name: 'first', actual: canvas, expected: canvas },
+      { name: 'second', actual: canvas, expected: canvas }
+    ], { signal: controller.signal });
+
+    expect(results.map(result => [result.name, result.ok, result.status])).toEqual([
+      ['first', true, undefined],
+      ['second', false, 'cancelled']
+    ]);
+  });
+
+  it('records the run in the history file when historyPath is set', async () => {
+    const dir = makeTempDir();
+    try {
+      const historyPath = path.join(dir, 'history.json');
+      const engine = new VisualComparisonEngine({ maxSide: SIZE });
+      const { actual, expected } = createPair();
+
+      await engine.batchCompare([{ name: 'changed', actual: toCanvas(actual), expected: toCanvas(expected) }], { historyPath });
+      const { runs, images } = await engine.analyzeHistory({ historyPath });
+
+      expect(runs).toBe(1);
+      expect(images).toEqual([expect.objectContaining({ name: 'changed', verdicts: ['failed'] })]);
+    } finally {
+      removeDir(dir);
+    }
+  });
+});
+
+describe('metric option', () => {
+  it('reports the metric and its score with the details', async () => {
+    const engine = new VisualComparisonEngine({ maxSide: SIZE });
+    const { actual, expected } = createPair();
+
+    const result = await engine.compare(toCanvas(actual), toCanvas(expected), { metric: 'ssim' });
+
+    expect(result.ok).toBe(false);
+    expect(result.details.metric).toBe('ssim');
+    expect(result.details.score.meanSSIM).toBeLessThan(1);
+  });
+
+  it('rejects an unknown metric', async () => {
+    const engine = new VisualComparisonEngine({ maxSide: SIZE });
+    const { actual, expected } = createPair();
+
+    await expect(engine.compare(toCanvas(actual), toCanvas(expected), { metric: 'psnr' }))
+      .rejects.toThrow('Unknown metric "psnr"');
+  });
+});
+
+describe('alignment', () => {
+  // A drawing shifted one pixel to the right, as after a changed translate()
+  function createShiftedPair() {
+    const expected = fillRect(createImage(SIZE, SIZE, WHITE), 10, 10, 12, 6, BLACK);
+    fillRect(expected, 14, 20, 4, 10, RED);
+    const actual = fillRect(createImage(SIZE, SIZE, WHITE), 11, 10, 12, 6, BLACK);
+    fillRect(actual, 15, 20, 4, 10, RED);
+    return { actual, expected };
+  }
+
+  it('compares the images after undoing a global shift', async () => {
+    const engine = new VisualComparisonEngine({ maxSide: SIZE });
+    const { actual, expected } = createShiftedPair();
+
+    const unaligned = await engine.compare(toCanvas(actual), toCanvas(expected));
+    const aligned = await engine.compare(toCanvas(actual), toCanvas(expected), { align: true });
+
+    expect(unaligned.diffCount).toBeGreaterThan(0);
+    expect(aligned).toMatchObject({ ok: true, diffCount: 0 });
+    expect(aligned.details.alignment).toEqual({
+      x: 1, y: 0, sourceX: 1, sourceY: 0, searchRadius: 3, exceeded: false
+    });
+  });
+
+  it('fails when the offset exceeds maxAlignOffset', async () => {
+    const engine = new VisualComparisonEngine({ maxSide: SIZE });
+    const { actual, expected } = createShiftedPair();
+
+    const result = await engine.compare(toCanvas(actual), toCanvas(expected), { align: true, maxAlignOffset: 0 });
+
+    expect(result.diffCount).toBe(0);
+    expect(result.ok).toBe(false);
+    expect(result.details.alignment.exceeded).toBe(true);
+  });
+});
+
+describe('diff styles', () => {
+  it('renders every requested style and keeps the first as the main diff', async () => {
+    const engine = new VisualComparisonEngine({ maxSide: SIZE });
+    const { actual, expected } = createPair();
+
+    const result = await engine.compare(toCanvas(actual), toCanvas(expected), { diffStyle: ['heatmap', 'composite'] });
+
+    expect(result.diffStyle).toBe('heatmap');
+    expect(Object.keys(result.diffImages)).toEqual(['heatmap', 'composite']);
+    expect(result.diffImages.composite.readUInt32BE(16)).toBe(SIZE * 3 + 8);
+  });
+
+  it('rejects an unknown style', async () => {
+    const engine = new VisualComparisonEngine({ maxSide: SIZE });
+    const { actual, expected } = createPair();
+
+    await expect(engine.compare(toCanvas(actual), toCanvas(expected), { diffStyle: 'sparkles' }))
+      .rejects.toThrow('Unknown diffStyle: sparkles');
+  });
+});
+
+describe('size policy', () => {
+  const BLUE = [40, 120, 200, 255];
+  let engine;
+
+  // Same blue with a black square at the top left; actual is shorter
+  function createSizedPair(actualHeight = 30) {
+    const expected = fillRect(createImage(SIZE, SIZE, BLUE), 2, 2, 6, 6, BLACK);
+    const actual = fillRect(createImage(SIZE, actualHeight, BLUE), 2, 2, 6, 6, BLACK);
+    return { actual: toCanvas(actual), expected: toCanvas(expected) };
+  }
+
+  beforeEach(() => {
+    engine = new VisualComparisonEngine({ maxSide: SIZE });
+  });
+
+  it('pads the smaller image by default and reports both sizes', async () => {
+    const { actual, expected } = createSizedPair();
+
+    const result = await engine.compare(actual, expected);
+
+    expect(result.diffCount).toBeGreaterThan(0);
+    expect(result.details.dimensions).toEqual({
+      actual: { width: 40, height: 30, aspectRatio: 1.3333 },
+      expected: { width: 40, height: 40, aspectRatio: 1 },
+      compared: { width: 40, height: 40 },
+      match: false,
+      sizePolicy: 'pad'
+    });
+  });
+
+  it('compares only the overlap with crop', async () => {
+    const { actual, expected } = createSizedPair();
+
+    const result = await engine.compare(actual, expected, { sizePolicy: 'crop' });
+
+    expect(result).toMatchObject({ ok: true, diffCount: 0 });
+    expect(result.details.dimensions.compared).toEqual({ width: 40, height: 30 });
+  });
+
+  it('stretches actual to the expected size with scale-to-expected', async () => {
+    const expected = toCanvas(createImage(SIZE, SIZE, WHITE));
+    const actual = toCanvas(createImage(SIZE / 2, SIZE / 2, WHITE));
+
+    const result = await engine.compare(actual, expected, { sizePolicy: 'scale-to-expected' });
+
+    expect(result).toMatchObject({ ok: true, diffCount: 0 });
+    expect(result.details.dimensions.compared).toEqual({ width: SIZE, height: SIZE });
+  });
+
+  it('throws a DimensionMismatchError with both sizes under strict', async () => {
+    const { actual, expected } = createSizedPair();
+
+    const error = await engine.compare(actual, expected, { sizePolicy: 'strict' }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(VisualComparisonEngine.errors.DimensionMismatchError);
+    expect(error.message).toBe('Image dimensions differ: actual 40x30, expected 40x40');
+    expect(error.actual).toMatchObject({ width: 40, height: 30 });
+    expect(error.expected).toMatchObject({ width: 40, height: 40 });
+  });
+
+  it('accepts equal sizes under strict', async () => {
+    const { actual, expected } = createSizedPair(SIZE);
+
+    const result = await engine.compare(actual, expected, { sizePolicy: 'strict' });
+
+    expect(result.details.dimensions.match).toBe(true);
+    expect(result.diffCount).toBe(0);
+  });
+
+  it('marks only the mismatched pair as an error in a batch', async () => {
+    const { actual, expected } = createSizedPair();
+
+    const [mismatched, same] = await engine.batchCompare([
+      { name: 'mismatched', actual, expected },
+      { name: 'same', actual: expected, expected }
+    ], { sizePolicy: 'strict' });
+
+    expect(mismatched).toMatchObject({ ok: false, error: 'Image dimensions differ: actual 40x30, expected 40x40' });
+    expect(same.ok).toBe(true);
+  });
+
+  it('rejects an unknown policy', async () => {
+    const { actual, expected } = createSizedPair();
+
+    await expect(engine.compare(actual, expected, { sizePolicy: 'stretch' })).rejects.toThrow('Unknown sizePolicy: stretch');
+  });
+});
+
+describe('resize', () => {
+  const engine = new VisualComparisonEngine({ maxSide: SIZE });
+
+  // A wide 80x40 pair with an 8x8 change at (40, 16)
+  function createWidePair() {
+    const expected = createImage(80, 40, WHITE);
+    const actual = fillRect(copyImage(expected), 40, 16, 8, 8, BLACK);
+    return { actual: toCanvas(actual), expected: toCanvas(expected) };
+  }
+
+  it('fits the longest side of a wide image to maxSide', async () => {
+    const { actual, expected } = createWidePair();
+
+    const result = await engine.compare(actual, expected);
+
+    expect(result.details.resize).toEqual({
+      mode: 'fit', resampling: 'bilinear', scale: { x: 0.5, y: 0.5 }, width: 40, height: 20
+    });
+    expect([result.diffImageData.width, result.diffImageData.height]).toEqual([40, 20]);
+  });
+
+  it('reports cluster bounds that map back to source pixels through the scale', async () => {
+    const { actual, expected } = createWidePair();
+
+    const result = await engine.compare(actual, expected, { resampling: 'nearest' });
+    const { scale } = result.details.resize;
+    const [{ bounds }] = result.details.clusters;
+
+    expect([bounds.minX / scale.x, bounds.minY / scale.y]).toEqual([40, 16]);
+    expect([bounds.width / scale.x, bounds.height / scale.y]).toEqual([8, 8]);
+  });
+
+  it.each([
+    ['none', { x: 1, y: 1 }, 80, 40],
+    [0.25, { x: 0.25, y: 0.25 }, 20, 10],
+    ['0.25', { x: 0.25, y: 0.25 }, 20, 10],
+    ['20x20', { x: 0.25, y: 0.5 }, 20, 20],
+    [{ width: 20, height: 20 }, { x: 0.25, y: 0.5 }, 20, 20]
+  ])('resizes with %j', async (resize, scale, width, height) => {
+    const { actual, expected } = createWidePair();
+
+    const result = await engine.compare(actual, expected, { resize });
+
+    expect(result.details.resize).toMatchObject({ scale, width, height });
+    expect([result.diffImageData.width, result.diffImageData.height]).toEqual([width, height]);
+  });
+
+  it.each([
+    [{ resize: 'huge' }, 'Invalid resize: "huge"'],
+    [{ resize: -1 }, 'resize scale factor must be a positive number'],
+    [{ resampling: 'lanczos' }, 'Unknown resampling filter: lanczos']
+  ])('rejects %j', async (options, message) => {
+    const { actual, expected } = createWidePair();
+
+    await expect(engine.compare(actual, expected, options)).rejects.toThrow(message);
+  });
+});
+
+describe('validateOptions', () => {
+  const { ValidationError } = VisualComparisonEngine.errors;
+
+  it('accepts the defaults', () => {
+    expect(() => new VisualComparisonEngine().validateOptions()).not.toThrow();
+  });
+
+  it.each([
+    [{ metric: 'psnr' }, 'Unknown metric "psnr"'],
+    [{ sizePolicy: 'stretch' }, 'stretch'],
+    [{ tileSize: 0 }, 'tileSize must be a positive integer, got 0'],
+    [{ clusterConnectivity: 6 }, 'clusterConnectivity must be 4 or 8, got 6'],
+    [{ categoryTolerances: { added: 'some' } }, 'categoryTolerances.added must be true, false or a pixel count']
+  ])('rejects %j without comparing anything', (options, message) => {
+    const engine = new VisualComparisonEngine();
+
+    expect(() => engine.validateOptions(options)).toThrow(ValidationError);
+    expect(() => engine.validateOptions(options)).toThrow(message);
+  });
+
+  it('checks every config override on top of the options', () => {
+    const engine = new VisualComparisonEngine({ overrides: [{ files: ['text/**'], options: { metric: 'psnr' } }] });
+
+    expect(() => engine.validateOptions()).toThrow('Unknown metric "psnr"');
+  });
+});
+
+describe('error codes', () => {
+  const { DecodeError, ERROR_CODES } = VisualComparisonEngine.errors;
+
+  it('rejects an undecodable buffer with a DecodeError', async () => {
+    const engine = new VisualComparisonEngine();
+    const error = await engine.compare(Buffer.from('not an image'), Buffer.from('not an image')).catch(e => e);
+
+    expect(error).toBeInstanceOf(DecodeError);
+    expect(error.code).toBe(ERROR_CODES.DECODE_FAILED);
+  });
+
+  it('puts the code on errored batch results', async () => {
+    const engine = new VisualComparisonEngine();
+    const canvas = toCanvas(createImage(SIZE, SIZE));
+
+    const [result] = await engine.batchCompare([{ name: 'unsupported', actual: 42, expected: canvas }]);
+
+    expect(result).toMatchObject({ ok: false, errorCode: ERROR_CODES.UNSUPPORTED_INPUT });
+  });
+});
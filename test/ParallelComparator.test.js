@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const { createCanvas } = require('canvas');
+const VisualComparisonEngine = require('../src');
+const ParallelComparator = require('../src/core/ParallelComparator');
+const { ComparisonError, DimensionMismatchError, ValidationError } = require('../src/utils/errors');
+const { REFERENCE_DIR, ACTUAL_DIR } = require('./helpers');
+
+const NAMES = fs.readdirSync(REFERENCE_DIR).filter(name => name.endsWith('.png')).slice(0, 3);
+
+function readPair(name) {
+  return {
+    name,
+    expected: fs.readFileSync(path.join(REFERENCE_DIR, name)),
+    actual: fs.readFileSync(path.join(ACTUAL_DIR, name))
+  };
+}
+
+// The engine's defaults, as batchCompare passes them
+const { options: DEFAULTS } = new VisualComparisonEngine();
+
+describe('ParallelComparator', () => {
+  let comparator;
+
+  afterEach(async () => {
+    if (comparator) {
+      await comparator.close();
+      comparator = null;
+    }
+  });
+
+  it('gives the same batch results as the serial comparator, in input order', async () => {
+    const engine = new VisualComparisonEngine();
+    const pairs = NAMES.map(readPair);
+
+    const serial = await engine.batchCompare(pairs);
+    const parallel = await engine.batchCompare(pairs, { concurrency: 2 });
+
+    expect(parallel.map(result => result.name)).toEqual(NAMES);
+    parallel.forEach((result, index) => {
+      expect(result.ok).toBe(serial[index].ok);
+      expect(result.diffCount).toBe(serial[index].diffCount);
+      expect(result.diffImage.equals(serial[index].diffImage)).toBe(true);
+      expect(result.diffImageData.width).toBe(serial[index].diffImageData.width);
+      expect(result.baseline).toBe(pairs[index].expected);
+      expect(typeof result.duration).toBe('number');
+    });
+  });
+
+  it('sends file paths to the workers as they are', async () => {
+    comparator = new ParallelComparator(1, DEFAULTS);
+    const spy = jest.spyOn(comparator.localComparator, 'compare');
+    const name = NAMES[0];
+
+    const result = await comparator.compare(path.join(ACTUAL_DIR, name), path.join(REFERENCE_DIR, name));
+    const local = await new VisualComparisonEngine().compare(readPair(name).actual, readPair(name).expected);
+
+    expect(spy).not.toHaveBeenCalled();
+    expect(result.diffCount).toBe(local.diffCount);
+  });
+
+  it('compares canvases on the main thread', async () => {
+    comparator = new ParallelComparator(2, DEFAULTS);
+    const spy = jest.spyOn(comparator.localComparator, 'compare');
+    const canvas = createCanvas(20, 20);
+
+    const result = await comparator.compare(canvas, canvas);
+
+    expect(result.ok).toBe(true);
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(comparator.busyWorkers.size + comparator.idleWorkers.length).toBe(0);
+  });
+
+  it('rethrows validation errors raised in a worker as ValidationError', async () => {
+    comparator = new ParallelComparator(1, DEFAULTS);
+    const { actual, expected } = readPair(NAMES[0]);
+
+    await expect(comparator.compare(actual, expected, { ignoreRegions: [{ x: 0 }] }))
+      .rejects.toBeInstanceOf(ValidationError);
+  });
+
+  it('keeps the sizes on a DimensionMismatchError raised in a worker', async () => {
+    comparator = new ParallelComparator(1, DEFAULTS);
+    const actual = createCanvas(30, 20).toBuffer('image/png');
+    const expected = createCanvas(30, 30).toBuffer('image/png');
+
+    const error = await comparator.compare(actual, expected, { sizePolicy: 'strict' }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(DimensionMismatchError);
+    expect(error.actual).toMatchObject({ width: 30, height: 20 });
+    expect(error.expected).toMatchObject({ width: 30, height: 30 });
+  });
+
+  it('fails only the running comparison when its worker dies', async () => {
+    comparator = new ParallelComparator(1, DEFAULTS);
+    const { actual, expected } = readPair(NAMES[0]);
+
+    const crashed = comparator.compare(actual, expected);
+    const [worker] = comparator.busyWorkers.keys();
+    await worker.terminate();
+
+    await expect(crashed).rejects.toBeInstanceOf(ComparisonError);
+    await expect(crashed).rejects.toThrow('Comparison worker crashed');
+
+    const result = await comparator.compare(actual, expected);
+    expect(typeof result.diffCount).toBe('number');
+  });
+});
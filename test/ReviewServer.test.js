@@ -0,0 +1,138 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const ReviewServer = require('../src/core/ReviewServer');
+const BaselineManager = require('../src/core/BaselineManager');
+const DirectoryComparator = require('../src/core/DirectoryComparator');
+const { makeTempDir, removeDir } = require('./helpers');
+
+// Files "match" when their bytes do
+const byteComparator = {
+  compare(actual, expected) {
+    const ok = actual.equals(expected);
+    return Promise.resolve({ ok, diffCount: ok ? 0 : 1, diffImage: Buffer.alloc(0) });
+  }
+};
+
+const FILES = {
+  'typography.png': ['old font', 'new font'],
+  'mobile/typography.png': ['old font', 'new font'],
+  'basic-shapes.png': ['shapes', 'shapes'],
+  'new.png': [null, 'new']
+};
+
+function writeDirs(root) {
+  const baselineDir = path.join(root, 'baseline');
+  const actualDir = path.join(root, 'actual');
+
+  for (const [name, contents] of Object.entries(FILES)) {
+    [baselineDir, actualDir].forEach((dir, i) => {
+      if (contents[i] !== null) {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), contents[i]);
+      }
+    });
+  }
+  return { baselineDir, actualDir };
+}
+
+describe('ReviewServer', () => {
+  let root;
+  let baselineDir;
+  let actualDir;
+  let server;
+
+  async function startServer() {
+    const directoryComparator = new DirectoryComparator(byteComparator);
+    const engine = { baselineManager: new BaselineManager(directoryComparator) };
+    const report = await directoryComparator.compare(baselineDir, actualDir, { allowMissing: true });
+
+    server = new ReviewServer(engine, report);
+    await server.start();
+    return server;
+  }
+
+  function request(method, urlPath, { body, headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.request(new URL(urlPath, server.url), { method, headers }, response => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+          const text = Buffer.concat(chunks).toString('utf8');
+          const json = response.headers['content-type'].startsWith('application/json') ? JSON.parse(text) : null;
+          resolve({ status: response.statusCode, text, json });
+        });
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  const decide = (name, decision) => request('POST', '/api/decisions', {
+    body: JSON.stringify({ name, decision }),
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  beforeEach(async () => {
+    root = makeTempDir();
+    ({ baselineDir, actualDir } = writeDirs(root));
+    await startServer();
+  });
+
+  afterEach(async () => {
+    await server.close();
+    removeDir(root);
+  });
+
+  test('lists only the pairs that need a decision', async () => {
+    const { status, json } = await request('GET', '/api/results');
+
+    expect(status).toBe(200);
+    expect(json.items.map(item => [item.name, item.status])).toEqual([
+      ['mobile/typography.png', 'failed'],
+      ['new.png', 'missing-baseline'],
+      ['typography.png', 'failed']
+    ]);
+    expect((await request('GET', '/')).text).toContain('<html');
+  });
+
+  test('accepting copies the actual image over the baseline with that exact name', async () => {
+    const { status, json } = await decide('typography.png', 'accepted');
+
+    expect(status).toBe(200);
+    expect(json).toMatchObject({ name: 'typography.png', decision: { decision: 'accepted', status: 'failed' } });
+    expect(fs.readFileSync(path.join(baselineDir, 'typography.png'), 'utf8')).toBe('new font');
+    expect(fs.readFileSync(path.join(baselineDir, 'mobile/typography.png'), 'utf8')).toBe('old font');
+  });
+
+  test('keeps decisions across restarts without touching rejected baselines', async () => {
+    await decide('mobile/typography.png', 'rejected');
+    await server.close();
+
+    await startServer();
+    const { json } = await request('GET', '/api/results');
+
+    expect(json.items.find(item => item.name === 'mobile/typography.png').decision).toMatchObject({ decision: 'rejected' });
+    expect(JSON.parse(fs.readFileSync(path.join(baselineDir, 'review-decisions.json'), 'utf8')).decisions)
+      .toEqual({ 'mobile/typography.png': expect.objectContaining({ decision: 'rejected' }) });
+    expect(fs.readFileSync(path.join(baselineDir, 'mobile/typography.png'), 'utf8')).toBe('old font');
+  });
+
+  test('rejects unknown names and decisions, non-JSON posts and other hosts', async () => {
+    expect(await decide('basic-shapes.png', 'accepted')).toMatchObject({
+      status: 400,
+      json: { error: 'Nothing to review named basic-shapes.png' }
+    });
+    expect((await decide('typography.png', 'maybe')).status).toBe(400);
+    expect((await request('POST', '/api/decisions', { body: 'name=typography.png&decision=accepted' })).status).toBe(415);
+    expect((await request('GET', '/api/results', { headers: { Host: 'attacker.example' } })).status).toBe(403);
+  });
+
+  test('serves the images of listed pairs only', async () => {
+    const image = await request('GET', '/image/actual?name=typography.png');
+
+    expect(image).toMatchObject({ status: 200, text: 'new font' });
+    expect((await request('GET', '/image/baseline?name=new.png')).status).toBe(404);
+    expect((await request('GET', '/image/actual?name=basic-shapes.png')).status).toBe(404);
+  });
+});
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const SequenceComparator = require('../src/core/SequenceComparator');
+const { STATUS } = require('../src/core/DirectoryComparator');
+const { makeTempDir, removeDir } = require('./helpers');
+
+// Frames "match" when their bytes do; 'broken' frames reject
+const byteComparator = {
+  compare(actual, expected) {
+    if (actual.toString() === 'broken') {
+      return Promise.reject(new Error('Unsupported image data'));
+    }
+    const ok = actual.equals(expected);
+    const diffImage = Buffer.from(`diff of ${expected}`);
+    return Promise.resolve({
+      ok,
+      diffCount: ok ? 0 : 1,
+      diffImage,
+      diffImages: { pixelmatch: diffImage },
+      diffStyle: 'pixelmatch',
+      diffImageData: {},
+      diffMask: new Uint8Array(1)
+    });
+  }
+};
+
+const frames = contents => contents.map(content => Buffer.from(content));
+
+describe('SequenceComparator', () => {
+  const comparator = new SequenceComparator(byteComparator);
+
+  test('passes identical sequences frame by frame', async () => {
+    const { results, summary } = await comparator.compare(frames(['a', 'b', 'c']), frames(['a', 'b', 'c']));
+
+    expect(results.map(result => [result.name, result.frame, result.matchedFrame, result.status])).toEqual([
+      ['frame-000', 0, 0, STATUS.PASSED],
+      ['frame-001', 1, 1, STATUS.PASSED],
+      ['frame-002', 2, 2, STATUS.PASSED]
+    ]);
+    expect(results[0]).not.toHaveProperty('diffImageData');
+    expect(results[0]).not.toHaveProperty('diffMask');
+    expect(summary).toMatchObject({ total: 3, passed: 3, firstDivergentFrame: null, maxOffset: 0, ok: true });
+  });
+
+  test('reports the first frame that diverges', async () => {
+    const { results, summary } = await comparator.compare(frames(['a', 'x', 'y']), frames(['a', 'b', 'c']));
+
+    expect(results.map(result => result.status)).toEqual([STATUS.PASSED, STATUS.FAILED, STATUS.FAILED]);
+    expect(results[1]).toMatchObject({ matchedFrame: 1, offset: 0, diffCount: 1 });
+    expect(summary).toMatchObject({ failed: 2, firstDivergentFrame: 1, ok: false });
+  });
+
+  test('lets a frame match a neighbour within the temporal offset', async () => {
+    const actual = frames(['b', 'c', 'd']);
+    const expected = frames(['a', 'b', 'c', 'd']);
+
+    const strict = await comparator.compare(actual, expected);
+    const offset = await comparator.compare(actual, expected, { temporalOffset: 1 });
+
+    expect(strict.summary.ok).toBe(false);
+    expect(offset.results.slice(0, 3).map(result => result.offset)).toEqual([1, 1, 1]);
+    expect(offset.results[3]).toMatchObject({ name: 'frame-003', frame: 3, status: STATUS.MISSING_ACTUAL });
+    expect(offset.summary).toMatchObject({
+      passed: 3,
+      missingActual: 1,
+      frameCount: { actual: 3, expected: 4 },
+      maxOffset: 1,
+      firstDivergentFrame: 3,
+      ok: false
+    });
+  });
+
+  test('reports extra actual frames as missing baselines', async () => {
+    const { results, summary } = await comparator.compare(frames(['a', 'b']), frames(['a']));
+
+    expect(results[1]).toMatchObject({ frame: 1, status: STATUS.MISSING_BASELINE, ok: false });
+    expect(summary.missingBaseline).toBe(1);
+  });
+
+  test('fails only the frame whose comparison throws', async () => {
+    const { results } = await comparator.compare(frames(['a', 'broken']), frames(['a', 'b']));
+
+    expect(results[0].ok).toBe(true);
+    expect(results[1]).toMatchObject({ status: STATUS.ERROR, error: 'Unsupported image data' });
+  });
+
+  test('writes diffs of failing frames named after the frame', async () => {
+    const baselineDir = makeTempDir();
+    const outputDir = makeTempDir();
+    try {
+      fs.writeFileSync(path.join(baselineDir, 'frame-1.png'), 'a');
+      fs.writeFileSync(path.join(baselineDir, 'frame-2.png'), 'b');
+
+      const { results } = await comparator.compare(
+        [path.join(baselineDir, 'frame-1.png'), Buffer.from('x')],
+        baselineDir,
+        { outputDir }
+      );
+
+      expect(results[0].diffPath).toBeUndefined();
+      expect(results[1].diffPath).toBe(path.join(outputDir, 'frame-001.diff.png'));
+      expect(fs.readdirSync(outputDir)).toEqual(['frame-001.diff.png']);
+    } finally {
+      removeDir(baselineDir);
+      removeDir(outputDir);
+    }
+  });
+
+  test('rejects an invalid temporal offset', async () => {
+    await expect(comparator.compare(frames(['a']), frames(['a']), { temporalOffset: -1 }))
+      .rejects.toThrow('temporalOffset must be a non-negative integer, got -1');
+  });
+});
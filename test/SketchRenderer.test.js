@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const SketchRenderer = require('../src/core/SketchRenderer');
+const { RenderError } = require('../src/utils/errors');
+const { makeTempDir, removeDir } = require('./helpers');
+
+// Every colour comes from a source that differs between runs unless pinned
+const DRAW_UNPINNED = `
+    p.background(Math.floor(Math.random() * 255), Date.now() % 255, performance.now() % 255);
+    p.fill(new Date().getMilliseconds() % 255);
+    p.rect(p.random(40), p.noise(p.frameCount) * 20, 10, 10);`;
+
+const INSTANCE_SKETCH = `module.exports = p => {
+  p.setup = () => {
+    p.createCanvas(60, 40);
+  };
+  p.draw = () => {${DRAW_UNPINNED}
+  };
+};
+`;
+
+const GLOBAL_SKETCH = `function setup() {
+  createCanvas(60, 40);
+}
+
+function draw() {${DRAW_UNPINNED.replace(/p\./g, '')}
+}
+`;
+
+describe('SketchRenderer', () => {
+  let dir;
+  let renderer;
+
+  const writeSketch = (name, source) => {
+    const sketchPath = path.join(dir, name);
+    fs.writeFileSync(sketchPath, source);
+    return sketchPath;
+  };
+
+  beforeEach(() => {
+    dir = makeTempDir();
+    renderer = new SketchRenderer();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test.each([
+    ['instance', INSTANCE_SKETCH],
+    ['global', GLOBAL_SKETCH]
+  ])('renders a %s-mode sketch byte-identically on every run', async (mode, source) => {
+    const sketchPath = writeSketch(`${mode}.js`, source);
+
+    const first = await renderer.render(sketchPath, { frames: 3 });
+    const second = await renderer.render(sketchPath, { frames: 3 });
+
+    expect(first).toMatchObject({ width: 60, height: 40, frames: 3, output: null });
+    expect(first.buffer.subarray(1, 4).toString()).toBe('PNG');
+    expect(second.buffer.equals(first.buffer)).toBe(true);
+  });
+
+  test('a different seed gives a different image', async () => {
+    const sketchPath = writeSketch('instance.js', INSTANCE_SKETCH);
+
+    const first = await renderer.render(sketchPath, { seed: 1 });
+    const second = await renderer.render(sketchPath, { seed: 2 });
+
+    expect(second.buffer.equals(first.buffer)).toBe(false);
+  });
+
+  test('instance-mode sketches can require modules relative to themselves', async () => {
+    writeSketch('size.js', 'module.exports = { width: 24, height: 16 };\n');
+    const sketchPath = writeSketch('sized.js', `const size = require('./size');
+module.exports = p => {
+  p.setup = () => p.createCanvas(size.width, size.height);
+};
+`);
+
+    const result = await renderer.render(sketchPath, { output: path.join(dir, 'out', 'sized.png') });
+
+    expect(result).toMatchObject({ width: 24, height: 16 });
+    expect(fs.readFileSync(result.output).equals(result.buffer)).toBe(true);
+  });
+
+  test('Date without new returns a string, like the real one', async () => {
+    const sketchPath = writeSketch('date.js', `module.exports = p => {
+  p.setup = () => {
+    p.createCanvas(10, 10);
+    if (typeof Date() !== 'string' || new Date().toISOString() !== '2021-06-01T00:00:00.000Z') {
+      throw new Error('Date is not pinned: ' + new Date().toISOString());
+    }
+  };
+};
+`);
+
+    await expect(renderer.render(sketchPath, { startTime: '2021-06-01T00:00:00.000Z' }))
+      .resolves.toMatchObject({ width: 10 });
+  });
+
+  test('rejects an instance-mode module that does not export a function', async () => {
+    const sketchPath = writeSketch('bad.js', 'module.exports = { setup() {} };\n');
+
+    await expect(renderer.render(sketchPath)).rejects.toThrow(RenderError);
+    await expect(renderer.render(sketchPath)).rejects.toThrow(/must export a function/);
+  });
+
+  test('rejects a missing sketch and invalid options', async () => {
+    await expect(renderer.render(path.join(dir, 'nope.js'))).rejects.toThrow(/Sketch not found/);
+    await expect(renderer.render(writeSketch('a.js', GLOBAL_SKETCH), { frames: 0 })).rejects.toThrow(/frames/);
+  });
+});
@@ -0,0 +1,86 @@
+const VisualComparisonEngine = require('../src');
+const { createRandom, createImage, fillRect, copyImage } = require('./helpers');
+
+const DARK = [20, 20, 20, 255];
+
+// A noisy background with strokes, moved by a pixel in actual, plus blobs and specks only in actual
+function makePair(width, height, seed) {
+  const random = createRandom(seed);
+  const expected = createImage(width, height);
+  for (let i = 0; i < expected.data.length; i += 4) {
+    const value = 200 + Math.floor(random() * 20);
+    expected.data.set([value, value, value, 255], i);
+  }
+  const actual = copyImage(expected);
+
+  for (let i = 0; i < 20; i++) {
+    const x = Math.floor(random() * width);
+    const y = Math.floor(random() * height);
+    const length = 5 + Math.floor(random() * 40);
+    if (random() < 0.5) {
+      fillRect(expected, x, y, length, 1, DARK);
+      fillRect(actual, x + 1, y + 1, length, 1, DARK);
+    } else {
+      fillRect(expected, x, y, 1, length, DARK);
+      fillRect(actual, x + 1, y, 1, length, DARK);
+    }
+  }
+  for (let i = 0; i < 8; i++) {
+    const size = 2 + Math.floor(random() * 10);
+    const color = [Math.floor(random() * 255), Math.floor(random() * 255), Math.floor(random() * 255), 255];
+    fillRect(actual, Math.floor(random() * width), Math.floor(random() * height), size, size, color);
+  }
+  for (let i = 0; i < 30; i++) {
+    fillRect(actual, Math.floor(random() * width), Math.floor(random() * height), 1, 1, [255, 0, 0, 255]);
+  }
+
+  return { actual, expected };
+}
+
+const withoutPixels = clusters => clusters.map(({ pixels: _pixels, ...rest }) => rest);
+
+describe('tiled comparison', () => {
+  const engine = new VisualComparisonEngine({
+    resize: 'none',
+    diffStyle: 'pixelmatch',
+    minClusterSize: 4,
+    maxTotalDiffPixels: 40,
+    maxSignificantClusters: 2
+  });
+
+  test.each([
+    ['pixelmatch', 97, 83, 16, 8, []],
+    ['pixelmatch', 130, 70, 33, 4, []],
+    ['pixelmatch', 64, 64, 7, 8, ['blur']],
+    ['ssim', 97, 83, 16, 8, []],
+    ['ssim', 50, 120, 1000, 8, []],
+    ['deltaE2000', 130, 70, 33, 4, []],
+    ['deltaE2000', 64, 64, 7, 8, ['greyscale']]
+  ])('%s on %ix%i in %i px tiles (%i-connected, preprocess %j) matches the full-size result',
+    async (metric, width, height, tileSize, clusterConnectivity, preprocess) => {
+      const { actual, expected } = makePair(width, height, width * height + tileSize);
+      const options = { metric, clusterConnectivity, preprocess };
+
+      const full = await engine.compare(actual, expected, options);
+      const tiled = await engine.compare(actual, expected, { ...options, tileSize });
+
+      expect(full.diffCount).toBeGreaterThan(0);
+      expect(tiled.diffCount).toBe(full.diffCount);
+      expect(Buffer.from(tiled.diffMask).equals(Buffer.from(full.diffMask))).toBe(true);
+      expect(withoutPixels(tiled.details.clusters)).toEqual(withoutPixels(full.details.clusters));
+      expect(tiled.details.significantDiffPixels).toBe(full.details.significantDiffPixels);
+      expect(tiled.ok).toBe(full.ok);
+      expect(tiled.details.significance).toEqual(full.details.significance);
+      for (const [key, value] of Object.entries(full.details.score || {})) {
+        expect(tiled.details.score[key]).toBeCloseTo(value, 9);
+      }
+    });
+
+  test('reports the tiles it used', async () => {
+    const { actual, expected } = makePair(50, 30, 1);
+    const result = await engine.compare(actual, expected, { tileSize: 16 });
+
+    expect(result.details.tiles).toMatchObject({ size: 16, count: 8 });
+    expect(result.diffImageData).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createCanvas } = require('canvas');
+const { makeTempDir, removeDir } = require('./helpers');
+
+const CLI_PATH = path.join(__dirname, '..', 'bin', 'cli.js');
+
+function writePng(filePath, color) {
+  const canvas = createCanvas(20, 20);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, 20, 20);
+  fs.writeFileSync(filePath, canvas.toBuffer('image/png'));
+}
+
+describe('cli', () => {
+  let dir;
+
+  function run(...args) {
+    return spawnSync(process.execPath, [CLI_PATH, ...args], { cwd: dir, encoding: 'utf8', timeout: 60000 });
+  }
+
+  beforeEach(() => {
+    dir = makeTempDir();
+    writePng(path.join(dir, 'a.png'), '#fff');
+    writePng(path.join(dir, 'same.png'), '#fff');
+    writePng(path.join(dir, 'b.png'), '#000');
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('exits 0 when the images match and 1 when they differ', () => {
+    expect(run('compare', '--baseline', 'a.png', '--comparison', 'same.png', '--no-config').status).toBe(0);
+    expect(run('compare', '--baseline', 'a.png', '--comparison', 'b.png', '--no-config').status).toBe(1);
+  });
+
+  test('exits 2 with an error code when a comparison cannot run', () => {
+    const { status, stdout } = run('compare', '--baseline', 'missing.png', '--comparison', 'a.png', '--no-config');
+
+    expect(status).toBe(2);
+    expect(JSON.parse(stdout)).toMatchObject({ status: 'error', errorCode: 'MISSING_FILE' });
+  });
+
+  test.each([
+    [['--threshold', 'abc'], '--threshold expects a number >= 0 and <= 1, got abc'],
+    [['--baseline'], '--baseline needs a value'],
+    [['--metric', 'nope'], 'Unknown metric'],
+    [['--treshold', '0.2'], 'Unknown option: --treshold'],
+    [['--port', '70000'], '--port expects an integer >= 0 and <= 65535, got 70000']
+  ])('exits 3 on invalid arguments %j', (args, message) => {
+    const { status, stderr } = run('compare', '--baseline', 'a.png', '--comparison', 'b.png', '--no-config', ...args);
+
+    expect(status).toBe(3);
+    expect(stderr).toContain(message);
+  });
+
+  test('--report writes its default file and replaces the config reporters', () => {
+    fs.writeFileSync(path.join(dir, '.vrerc.json'), JSON.stringify({ reporters: ['tap:from-config.tap'] }));
+
+    const { status } = run('compare', '--baseline', 'a.png', '--comparison', 'b.png', '--report', 'junit');
+
+    expect(status).toBe(1);
+    expect(fs.readFileSync(path.join(dir, 'junit.xml'), 'utf8')).toContain('<testsuite');
+    expect(fs.existsSync(path.join(dir, 'from-config.tap'))).toBe(false);
+  });
+
+  test('records compare runs with --history and reads them back with the history command', () => {
+    const current = path.join(dir, 'current.png');
+    writePng(current, '#fff');
+    run('compare', '--baseline', 'a.png', '--comparison', 'current.png', '--no-config', '--history', 'runs.json');
+    writePng(current, '#000');
+    run('compare', '--baseline', 'a.png', '--comparison', 'current.png', '--no-config', '--history', 'runs.json');
+
+    const { status, stdout } = run('history', '--history', 'runs.json', '--no-config', '--format', 'json');
+
+    expect(status).toBe(0);
+    expect(JSON.parse(stdout)).toMatchObject({
+      runs: 2,
+      images: [{ name: 'current.png', verdicts: ['passed', 'failed'], flags: ['regressed'] }]
+    });
+  });
+
+  test('history without a history file is a usage error', () => {
+    const { status, stderr } = run('history', '--no-config');
+
+    expect(status).toBe(3);
+    expect(stderr).toContain('history needs --history <file>');
+  });
+});
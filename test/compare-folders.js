@@ -1,6 +1,4 @@
 const VisualComparisonEngine = require('../src/index');
-const { createCanvas, loadImage } = require('canvas');
-const fs = require('fs').promises;
 const path = require('path');
 
 const REFERENCE_DIR = path.join(__dirname, 'reference');
@@ -12,7 +10,7 @@ class FolderComparer {
     this.engine = new VisualComparisonEngine({
       threshold: 0.1,         // How different a pixel color can be to be considered "the same"
       maxTotalDiffPixels: 50, // Max number of different pixels for the test to pass
-      minClusterSize: 4,      // Minimum size of a cluster of different pixels to be counted
+      minClusterSize: 4       // Minimum size of a cluster of different pixels to be counted
     });
   }
 
@@ -22,65 +20,30 @@ class FolderComparer {
     console.log(`Actual:    ${ACTUAL_DIR}`);
     console.log(`Output:    ${DIFF_DIR}\n`);
 
+    const { results } = await this.engine.compareDirectories(REFERENCE_DIR, ACTUAL_DIR, {
+      outputDir: DIFF_DIR
+    });
 
-    await fs.mkdir(DIFF_DIR, { recursive: true });
-
-    const referenceFiles = await fs.readdir(REFERENCE_DIR);
-    const imageFiles = referenceFiles.filter(file => /\.(png|jpg|jpeg)$/i.test(file));
-
-    if (imageFiles.length === 0) {
+    if (results.length === 0) {
       console.log('No image files found in the reference directory. Exiting.');
       return;
     }
 
-    const results = [];
-
-    for (const filename of imageFiles) {
-      const refPath = path.join(REFERENCE_DIR, filename);
-      const actualPath = path.join(ACTUAL_DIR, filename);
-      const diffPath = path.join(DIFF_DIR, `diff-${filename}`);
-
-      try {
-        await fs.access(actualPath);
-
-        const refImage = await loadImage(refPath);
-        const actualImage = await loadImage(actualPath);
-
-        console.log(`- Comparing ${filename}...`);
-        const comparison = await this.engine.compare(refImage, actualImage);
-        
-        results.push({ filename, ...comparison });
-
-        if (!comparison.ok) {
-          console.log(`  ❌ FAILED: ${comparison.diffCount} different pixels found.`);
-          await this.saveDiffImage(comparison.diffImageData, diffPath);
-          console.log(`  💾 Diff image saved to: ${diffPath}`);
-        } else {
-          console.log('  ✅ PASSED');
-        }
-
-      } catch (error) {
-        if (error.code === 'ENOENT') {
-          console.log(`- Comparing ${filename}...`);
-          console.error(`  ❌ ERROR: Corresponding file not found in actual directory: ${actualPath}`);
-        } else {
-          console.error(`An error occurred while comparing ${filename}:`, error);
-        }
-        results.push({ filename, ok: false, error: error.message });
+    for (const result of results) {
+      console.log(`- Comparing ${result.name}...`);
+      if (result.ok) {
+        console.log('  ✅ PASSED');
+      } else if (result.status === 'failed') {
+        console.log(`  ❌ FAILED: ${result.diffCount} different pixels found.`);
+        console.log(`  💾 Diff image saved to: ${result.diffPath}`);
+      } else {
+        console.error(`  ❌ ${result.status.toUpperCase()}: ${result.error || result.baseline || result.actual}`);
       }
     }
 
     this.printReport(results);
   }
 
-  async saveDiffImage(imageData, outputPath) {
-    const canvas = createCanvas(imageData.width, imageData.height);
-    const ctx = canvas.getContext('2d');
-    ctx.putImageData(imageData, 0, 0);
-    const buffer = canvas.toBuffer('image/png');
-    await fs.writeFile(outputPath, buffer);
-  }
-
   printReport(results) {
     const passed = results.filter(r => r.ok).length;
     const failed = results.filter(r => !r.ok).length;
@@ -90,9 +53,9 @@ class FolderComparer {
     console.log(`✅ Passed: ${passed}`);
     console.log(`❌ Failed: ${failed}`);
     console.log('---------------------------\n');
-    
+
     if (failed > 0) {
-        console.log("See diff images in the 'diff-output' directory.");
+      console.log('See diff images in the \'diff-output\' directory.');
     }
   }
 }
@@ -103,4 +66,4 @@ if (require.main === module) {
     console.error('The comparison process failed with an unhandled error:', error);
     process.exit(1);
   });
-}
\ No newline at end of file
+}
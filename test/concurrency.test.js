@@ -0,0 +1,100 @@
+const EventEmitter = require('events');
+const { mapWithConcurrency, runBatch, resolveConcurrency } = require('../src/utils/concurrency');
+
+const ITEMS = ['a', 'b', 'c', 'd', 'e'];
+
+// Each item resolves after `delay` ms; names starting with "x" fail
+function options(extra = {}) {
+  return {
+    concurrency: 1,
+    nameOf: item => item,
+    isFailure: result => !result.ok,
+    cancelled: item => ({ name: item, status: 'cancelled' }),
+    ...extra
+  };
+}
+
+const runItem = item => new Promise(resolve => setTimeout(() => resolve({ name: item, ok: !item.startsWith('x') }), 5));
+
+describe('mapWithConcurrency', () => {
+  test('keeps the input order with several calls in flight', async () => {
+    const delays = [30, 5, 20, 1];
+
+    const results = await mapWithConcurrency(delays, 3, delay =>
+      new Promise(resolve => setTimeout(() => resolve(delay), delay))
+    );
+
+    expect(results).toEqual(delays);
+  });
+});
+
+describe('runBatch', () => {
+  test('emits start and result events with running totals', async () => {
+    const events = new EventEmitter();
+    const seen = [];
+    events.on('pair:start', ({ name, completed }) => seen.push(`start ${name} ${completed}`));
+    events.on('pair:result', ({ name, completed, failed }) => seen.push(`result ${name} ${completed}/${failed}`));
+
+    const { results, stoppedBy } = await runBatch(['a', 'xb'], runItem, options({ events }));
+
+    expect(stoppedBy).toBeNull();
+    expect(results.map(result => result.ok)).toEqual([true, false]);
+    expect(seen).toEqual(['start a 0', 'result a 1/0', 'start xb 1', 'result xb 2/1']);
+  });
+
+  test('emits pair:error for results carrying an error', async () => {
+    const events = new EventEmitter();
+    const errors = [];
+    events.on('pair:error', ({ name, result }) => errors.push([name, result.error]));
+
+    await runBatch(['a'], item => Promise.resolve({ name: item, ok: false, error: 'unreadable' }), options({ events }));
+
+    expect(errors).toEqual([['a', 'unreadable']]);
+  });
+
+  test('with failFast, starts nothing after the first failure', async () => {
+    const { results, stoppedBy } = await runBatch(['a', 'xb', 'c', 'd'], runItem, options({ failFast: true }));
+
+    expect(stoppedBy).toBe('fail-fast');
+    expect(results).toEqual([
+      { name: 'a', ok: true },
+      { name: 'xb', ok: false },
+      { name: 'c', status: 'cancelled' },
+      { name: 'd', status: 'cancelled' }
+    ]);
+  });
+
+  test('lets running pairs finish after an abort', async () => {
+    const controller = new AbortController();
+    const run = item => {
+      if (item === 'b') {
+        controller.abort();
+      }
+      return runItem(item);
+    };
+
+    const { results, stoppedBy } = await runBatch(ITEMS, run, options({ concurrency: 2, signal: controller.signal }));
+
+    expect(stoppedBy).toBe('abort');
+    expect(results.slice(0, 2)).toEqual([{ name: 'a', ok: true }, { name: 'b', ok: true }]);
+    expect(results.slice(2).map(result => result.status)).toEqual(['cancelled', 'cancelled', 'cancelled']);
+  });
+
+  test('starts nothing with an already aborted signal', async () => {
+    const run = jest.fn(runItem);
+
+    const { results, stoppedBy } = await runBatch(ITEMS, run, options({ signal: AbortSignal.abort() }));
+
+    expect(stoppedBy).toBe('abort');
+    expect(run).not.toHaveBeenCalled();
+    expect(results.every(result => result.status === 'cancelled')).toBe(true);
+  });
+});
+
+describe('resolveConcurrency', () => {
+  test('uses every core but one for auto', () => {
+    expect(resolveConcurrency('auto')).toBeGreaterThanOrEqual(1);
+    expect(resolveConcurrency(3)).toBe(3);
+    expect(resolveConcurrency(0)).toBe(1);
+  });
+});
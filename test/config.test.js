@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, validateConfig, overridesFor } = require('../src/utils/config');
+const { ValidationError } = require('../src/utils/errors');
+const { makeTempDir, removeDir } = require('./helpers');
+
+describe('validateConfig', () => {
+  test('rejects unknown keys', () => {
+    expect(() => validateConfig({ baselinDir: 'a' })).toThrow(/unknown key "baselinDir"/);
+    expect(() => validateConfig({ options: { treshold: 0.1 } })).toThrow(/unknown key "options.treshold"/);
+  });
+
+  test('rejects values of the wrong type', () => {
+    expect(() => validateConfig({ options: { threshold: '0.1' } })).toThrow(ValidationError);
+    expect(() => validateConfig({ include: ['*.png', 3] })).toThrow(/include must only contain strings/);
+    expect(() => validateConfig({ options: { maxSide: Infinity } })).toThrow(/non-finite number/);
+  });
+
+  test('requires files on every override', () => {
+    expect(() => validateConfig({ overrides: [{ options: { threshold: 0.2 } }] }))
+      .toThrow(/overrides\[0\]\.files is required/);
+    expect(() => validateConfig({ overrides: [{ files: '*.png', options: { bogus: 1 } }] }))
+      .toThrow(/overrides\[0\]\.options\.bogus/);
+  });
+
+  test('normalises override files to an array', () => {
+    const config = validateConfig({ overrides: [{ files: 'text/**', options: { threshold: 0.3 } }] });
+    expect(config.overrides).toEqual([{ files: ['text/**'], options: { threshold: 0.3 } }]);
+    expect(config.options).toEqual({});
+  });
+});
+
+describe('overridesFor', () => {
+  const overrides = [
+    { files: ['**/*.png'], options: { threshold: 0.2, metric: 'ssim' } },
+    { files: ['text/**'], options: { threshold: 0.4 } },
+    { files: ['logo.png'], options: { maxTotalDiffPixels: 0 } }
+  ];
+
+  test('merges matching overrides in order, later ones winning', () => {
+    expect(overridesFor(overrides, 'text/heading.png')).toEqual({ threshold: 0.4, metric: 'ssim' });
+  });
+
+  test('matches slash-free patterns against the basename', () => {
+    expect(overridesFor(overrides, 'brand/logo.png')).toEqual({ threshold: 0.2, metric: 'ssim', maxTotalDiffPixels: 0 });
+  });
+
+  test('returns nothing without overrides or a name', () => {
+    expect(overridesFor(undefined, 'a.png')).toEqual({});
+    expect(overridesFor(overrides, null)).toEqual({});
+  });
+});
+
+describe('loadConfig', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = makeTempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('finds .vrerc.json above cwd and resolves paths against it', () => {
+    fs.writeFileSync(path.join(dir, '.vrerc.json'), JSON.stringify({
+      baselineDir: 'baseline',
+      actualDir: 'out/actual',
+      reporters: ['junit:reports/junit.xml', 'text'],
+      overrides: [{ files: 'a.png', options: { threshold: 0.5 } }]
+    }));
+    const nested = path.join(dir, 'sketches', 'nested');
+    fs.mkdirSync(nested, { recursive: true });
+
+    const config = loadConfig(undefined, nested);
+
+    expect(config.configPath).toBe(path.join(dir, '.vrerc.json'));
+    expect(config.baselineDir).toBe(path.join(dir, 'baseline'));
+    expect(config.actualDir).toBe(path.join(dir, 'out', 'actual'));
+    expect(config.reporters[0]).toEqual({ name: 'junit', outputFile: path.join(dir, 'reports', 'junit.xml') });
+    expect(config.reporters[1]).toBe('text');
+    expect(config.overrides).toEqual([{ files: ['a.png'], options: { threshold: 0.5 } }]);
+  });
+
+  test('reports invalid JSON as a ValidationError', () => {
+    const configPath = path.join(dir, '.vrerc.json');
+    fs.writeFileSync(configPath, '{ "baselineDir": ');
+
+    expect(() => loadConfig(configPath)).toThrow(ValidationError);
+  });
+
+  test('names the config file in validation errors', () => {
+    fs.writeFileSync(path.join(dir, '.vrerc.json'), JSON.stringify({ options: { align: 'yes' } }));
+
+    expect(() => loadConfig(undefined, dir)).toThrow(/^\.vrerc\.json: options\.align must be of type boolean/);
+  });
+
+  test('loads vre.config.js before .vrerc.json and reads mask images relative to it', () => {
+    fs.writeFileSync(path.join(dir, 'mask.png'), 'mask bytes');
+    fs.writeFileSync(path.join(dir, '.vrerc.json'), JSON.stringify({ format: 'json' }));
+    fs.writeFileSync(path.join(dir, 'vre.config.js'), `module.exports = {
+      format: 'text',
+      options: { ignoreMask: 'mask.png' },
+      overrides: [{ files: ['a.png'], options: { ignoreMask: './mask.png' } }]
+    };`);
+
+    const config = loadConfig(undefined, dir);
+
+    expect(config.configPath).toBe(path.join(dir, 'vre.config.js'));
+    expect(config.format).toBe('text');
+    expect(config.options.ignoreMask.toString()).toBe('mask bytes');
+    expect(config.overrides[0].options.ignoreMask.toString()).toBe('mask bytes');
+  });
+
+  test('returns an empty config when there is none', () => {
+    expect(loadConfig(undefined, dir)).toEqual({ configPath: null, options: {}, overrides: [] });
+  });
+});
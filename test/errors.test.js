@@ -0,0 +1,52 @@
+const {
+  ERROR_CODES,
+  VisualRegressionError,
+  ValidationError,
+  MissingFileError,
+  DimensionMismatchError,
+  ComparisonError,
+  errorFromJSON,
+  errorCode
+} = require('../src/utils/errors');
+
+describe('errors', () => {
+  test('every error carries its stable code', () => {
+    const cause = new Error('ENOENT');
+
+    expect(new ValidationError('bad').code).toBe(ERROR_CODES.INVALID_OPTION);
+    expect(new MissingFileError('gone', 'a.png', cause)).toMatchObject({
+      code: ERROR_CODES.MISSING_FILE,
+      path: 'a.png',
+      cause
+    });
+    expect(new MissingFileError('gone', 'a.png')).toBeInstanceOf(ValidationError);
+    expect(new ComparisonError('boom')).toBeInstanceOf(VisualRegressionError);
+  });
+
+  test('errorCode falls back to COMPARISON_FAILED for foreign errors', () => {
+    expect(errorCode(new DimensionMismatchError('size', {}, {}))).toBe(ERROR_CODES.DIMENSION_MISMATCH);
+    expect(errorCode(new TypeError('oops'))).toBe(ERROR_CODES.COMPARISON_FAILED);
+  });
+
+  test('errors survive a round trip through JSON', () => {
+    const original = new DimensionMismatchError('Sizes differ', { width: 2, height: 2 }, { width: 3, height: 3 });
+
+    const copy = errorFromJSON(JSON.parse(JSON.stringify(original)));
+
+    expect(copy).toBeInstanceOf(DimensionMismatchError);
+    expect(copy).toMatchObject({
+      name: 'DimensionMismatchError',
+      message: 'Sizes differ',
+      code: ERROR_CODES.DIMENSION_MISMATCH,
+      actual: { width: 2, height: 2 },
+      expected: { width: 3, height: 3 }
+    });
+  });
+
+  test('unknown errors come back as plain errors with their name', () => {
+    const copy = errorFromJSON({ name: 'TypeError', message: 'oops' });
+
+    expect(copy).toBeInstanceOf(Error);
+    expect(copy).toMatchObject({ name: 'TypeError', message: 'oops' });
+  });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const { GifWriter } = require('omggif');
+const UPNG = require('upng-js');
+const { loadFrames } = require('../src/utils/frames');
+const { makeTempDir, removeDir } = require('./helpers');
+
+const WIDTH = 4;
+const HEIGHT = 3;
+
+// Frame i has pixel (i, 0) black on white
+function gifBuffer(frameCount) {
+  const buffer = Buffer.alloc(1024);
+  const writer = new GifWriter(buffer, WIDTH, HEIGHT, { loop: 0, palette: [0xffffff, 0x000000] });
+  for (let i = 0; i < frameCount; i++) {
+    const indices = new Array(WIDTH * HEIGHT).fill(0);
+    indices[i] = 1;
+    writer.addFrame(0, 0, WIDTH, HEIGHT, indices, { delay: 5 });
+  }
+  return buffer.subarray(0, writer.end());
+}
+
+// Every pixel gets its own colour so UPNG keeps the frames as RGBA instead of a palette
+function apngBuffer(frameCount) {
+  const size = 20;
+  const frames = [];
+  for (let i = 0; i < frameCount; i++) {
+    const rgba = new Uint8Array(size * size * 4);
+    for (let p = 0; p < size * size; p++) {
+      rgba.set([255, 100 + (p % 100), 50 + Math.floor(p / 100) * 40, 255], p * 4);
+    }
+    rgba.fill(0, i * 4, i * 4 + 3);
+    frames.push(rgba.buffer);
+  }
+  return Buffer.from(UPNG.encode(frames, size, size, 0, new Array(frameCount).fill(40)));
+}
+
+function blackPixels(image) {
+  const black = [];
+  for (let i = 0; i < image.width * image.height; i++) {
+    if (image.data[i * 4] === 0) black.push(i);
+  }
+  return black;
+}
+
+describe('loadFrames', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = makeTempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('reads a directory of stills in natural order', async () => {
+    for (const name of ['frame-10.png', 'frame-2.png', 'frame-1.png', 'notes.txt']) {
+      fs.writeFileSync(path.join(dir, name), name);
+    }
+
+    const frames = await loadFrames(dir);
+
+    expect(frames.map(frame => frame.name)).toEqual(['frame-1.png', 'frame-2.png', 'frame-10.png']);
+    expect(frames[0]).toEqual({ name: 'frame-1.png', image: Buffer.from('frame-1.png'), delay: null });
+  });
+
+  test('splits an animated GIF into full frames with their delays', async () => {
+    const frames = await loadFrames(gifBuffer(3));
+
+    expect(frames.map(frame => frame.name)).toEqual(['frame-000', 'frame-001', 'frame-002']);
+    expect(frames.map(frame => frame.delay)).toEqual([50, 50, 50]);
+    expect(frames.map(frame => blackPixels(frame.image))).toEqual([[0], [1], [2]]);
+  });
+
+  test('splits an APNG read from a path', async () => {
+    const filePath = path.join(dir, 'sketch.png');
+    fs.writeFileSync(filePath, apngBuffer(2));
+
+    const frames = await loadFrames(filePath);
+
+    expect(frames).toHaveLength(2);
+    expect(frames.map(frame => blackPixels(frame.image))).toEqual([[0], [1]]);
+    expect(frames[1].delay).toBe(40);
+  });
+
+  test('treats a still image as a single frame', async () => {
+    const still = Buffer.from(UPNG.encode([new Uint8Array(WIDTH * HEIGHT * 4).buffer], WIDTH, HEIGHT, 0));
+
+    expect(await loadFrames(still)).toEqual([{ name: 'frame-000', image: still, delay: null }]);
+  });
+
+  test('names array entries after their paths or their index', async () => {
+    const filePath = path.join(dir, 'first.png');
+    fs.writeFileSync(filePath, 'first');
+    const image = Buffer.from('second');
+
+    const frames = await loadFrames([filePath, image]);
+
+    expect(frames.map(frame => frame.name)).toEqual(['first.png', 'frame-001']);
+    expect(frames[1].image).toBe(image);
+  });
+
+  test('rejects missing sources, empty directories and broken GIFs', async () => {
+    await expect(loadFrames(path.join(dir, 'missing'))).rejects.toThrow('Frame source not found');
+    await expect(loadFrames(dir)).rejects.toThrow('No frames (.png, .jpg, .jpeg) found');
+    await expect(loadFrames(Buffer.from('GIF89a broken'))).rejects.toThrow('Invalid GIF');
+    await expect(loadFrames(42)).rejects.toThrow('Frame source must be');
+  });
+});
@@ -0,0 +1,46 @@
+const path = require('path');
+const { globToRegExp, matchesAny } = require('../src/utils/glob');
+
+describe('globToRegExp', () => {
+  test('`*` stays within one directory, `**/` spans any number', () => {
+    expect(globToRegExp('*.png').test('logo.png')).toBe(true);
+    expect(globToRegExp('*.png').test('icons/logo.png')).toBe(false);
+    expect(globToRegExp('**/*.png').test('logo.png')).toBe(true);
+    expect(globToRegExp('**/*.png').test('a/b/logo.png')).toBe(true);
+    expect(globToRegExp('icons/**').test('icons/a/b.png')).toBe(true);
+  });
+
+  test('`?` matches one character and `{a,b}` alternatives', () => {
+    expect(globToRegExp('frame-?.png').test('frame-1.png')).toBe(true);
+    expect(globToRegExp('frame-?.png').test('frame-10.png')).toBe(false);
+    expect(globToRegExp('*.{png,jpg}').test('photo.jpg')).toBe(true);
+    expect(globToRegExp('*.{png,jpg}').test('photo.gif')).toBe(false);
+  });
+
+  test('other characters are literal', () => {
+    expect(globToRegExp('a[1].png').test('a[1].png')).toBe(true);
+    expect(globToRegExp('a[1].png').test('a1.png')).toBe(false);
+    expect(globToRegExp('logo.png').test('logoXpng')).toBe(false);
+  });
+
+  test('matches case-sensitively unless asked not to', () => {
+    expect(globToRegExp('*.png').test('LOGO.PNG')).toBe(false);
+    expect(globToRegExp('*.png', { ignoreCase: true }).test('LOGO.PNG')).toBe(true);
+  });
+});
+
+describe('matchesAny', () => {
+  test('patterns without a slash also match the basename', () => {
+    expect(matchesAny('mobile/typography.png', ['typography.png'])).toBe(true);
+    expect(matchesAny('mobile/typography.png', ['desktop/typography.png'])).toBe(false);
+  });
+
+  test('matches when any pattern does', () => {
+    expect(matchesAny('curves/bezier.png', ['*.jpg', 'curves/**'])).toBe(true);
+    expect(matchesAny('curves/bezier.png', [])).toBe(false);
+  });
+
+  test('accepts platform paths', () => {
+    expect(matchesAny(['curves', 'bezier.png'].join(path.sep), ['curves/*.png'])).toBe(true);
+  });
+});
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const REFERENCE_DIR = path.join(__dirname, 'reference');
+const ACTUAL_DIR = path.join(__dirname, 'absolute');
+
+// Seeded, so every run draws the same pixels
+function createRandom(seed = 1) {
+  let state = seed;
+  return () => (state = (state * 1103515245 + 12345) & 0x7fffffff) / 0x7fffffff;
+}
+
+/**
+ * Plain RGBA pixels; draw them onto a canvas to pass them to `compare()`
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+function createImage(width, height, color = [240, 240, 240, 255]) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data.set(color, i);
+  }
+  return { data, width, height };
+}
+
+function fillRect(image, x, y, width, height, color) {
+  for (let row = Math.max(0, y); row < Math.min(image.height, y + height); row++) {
+    for (let column = Math.max(0, x); column < Math.min(image.width, x + width); column++) {
+      image.data.set(color, (row * image.width + column) * 4);
+    }
+  }
+  return image;
+}
+
+function copyImage(image) {
+  return { data: new Uint8ClampedArray(image.data), width: image.width, height: image.height };
+}
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'vre-test-'));
+}
+
+function removeDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = {
+  REFERENCE_DIR,
+  ACTUAL_DIR,
+  createRandom,
+  createImage,
+  fillRect,
+  copyImage,
+  makeTempDir,
+  removeDir
+};
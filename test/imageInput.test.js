@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { GifWriter } = require('omggif');
+const { createCanvas } = require('canvas');
+const VisualComparisonEngine = require('../src');
+const { loadImageInput, detectFormat } = require('../src/utils/imageInput');
+const { DecodeError, MissingFileError, UnsupportedInputError } = require('../src/utils/errors');
+const { REFERENCE_DIR, makeTempDir, removeDir } = require('./helpers');
+
+const PNG_PATH = path.join(REFERENCE_DIR, 'basic-shapes.png');
+
+function pixelsOf(image) {
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  if (image.data) {
+    ctx.putImageData(image, 0, 0);
+  } else {
+    ctx.drawImage(image, 0, 0);
+  }
+  return Array.from(ctx.getImageData(0, 0, image.width, image.height).data);
+}
+
+// Two frames: all white, then all black
+function twoFrameGif() {
+  const buffer = Buffer.alloc(256);
+  const writer = new GifWriter(buffer, 2, 2, { palette: [0xffffff, 0x000000] });
+  writer.addFrame(0, 0, 2, 2, [0, 0, 0, 0]);
+  writer.addFrame(0, 0, 2, 2, [1, 1, 1, 1]);
+  return buffer.subarray(0, writer.end());
+}
+
+describe('loadImageInput', () => {
+  const png = fs.readFileSync(PNG_PATH);
+  let dir;
+
+  beforeEach(() => {
+    dir = makeTempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  it('decodes file paths, data URLs, Uint8Arrays and streams to the same pixels', async () => {
+    const expected = pixelsOf(await loadImageInput(png));
+
+    const inputs = [
+      PNG_PATH,
+      `data:image/png;base64,${png.toString('base64')}`,
+      new Uint8Array(png),
+      Readable.from([png.subarray(0, 100), png.subarray(100)])
+    ];
+
+    for (const input of inputs) {
+      expect(pixelsOf(await loadImageInput(input))).toEqual(expected);
+    }
+  });
+
+  it('takes raw RGBA with its size', async () => {
+    const data = new Uint8Array([255, 0, 0, 255, 0, 0, 255, 255]);
+
+    const image = await loadImageInput({ data, width: 2, height: 1 });
+
+    expect(pixelsOf(image)).toEqual(Array.from(data));
+  });
+
+  it('decodes the first frame of a GIF', async () => {
+    const image = await loadImageInput(twoFrameGif());
+
+    expect(pixelsOf(image)).toEqual(new Array(4).fill([255, 255, 255, 255]).flat());
+  });
+
+  it('detects formats by content', () => {
+    expect(detectFormat(png)).toBe('png');
+    expect(detectFormat(twoFrameGif())).toBe('gif');
+    expect(detectFormat(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('jpeg');
+    expect(detectFormat(Buffer.from('not an image'))).toBeNull();
+  });
+
+  it('says which side could not be decoded', async () => {
+    const error = await loadImageInput(Buffer.from('not an image'), 'expected').catch(e => e);
+
+    expect(error).toBeInstanceOf(DecodeError);
+    expect(error).toMatchObject({ side: 'expected', format: null });
+    expect(error.message).toMatch(/^Could not decode expected image: unrecognized format/);
+  });
+
+  it('names the format when decoding a recognised one fails', async () => {
+    const corrupt = Buffer.concat([png.subarray(0, 8), Buffer.from('not the IHDR chunk')]);
+
+    const error = await loadImageInput(corrupt, 'actual').catch(e => e);
+
+    expect(error).toBeInstanceOf(DecodeError);
+    expect(error).toMatchObject({ side: 'actual', format: 'png' });
+    expect(error.message).toMatch(/^Could not decode actual image \(PNG\)/);
+  });
+
+  it('rejects missing files, wrong raw sizes and unknown inputs', async () => {
+    await expect(loadImageInput(path.join(dir, 'missing.png'), 'actual'))
+      .rejects.toThrow(new MissingFileError(`Actual image not found: ${path.join(dir, 'missing.png')}`));
+    await expect(loadImageInput({ data: new Uint8Array(4), width: 2, height: 1 }))
+      .rejects.toThrow('Raw image image is 4 bytes, expected 8 for 2x1 RGBA');
+    await expect(loadImageInput(42, 'actual')).rejects.toBeInstanceOf(UnsupportedInputError);
+  });
+
+  it('lets compare() take a path on one side and bytes on the other', async () => {
+    const engine = new VisualComparisonEngine();
+
+    const result = await engine.compare(PNG_PATH, png);
+
+    expect(result.ok).toBe(true);
+    expect(result.diffCount).toBe(0);
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const { toMatchVisualSnapshot, configureToMatchVisualSnapshot } = require('../src/jest');
+const { REFERENCE_DIR, ACTUAL_DIR, makeTempDir, removeDir } = require('./helpers');
+
+const SHAPES = fs.readFileSync(path.join(REFERENCE_DIR, 'basic-shapes.png'));
+const TYPOGRAPHY = fs.readFileSync(path.join(REFERENCE_DIR, 'typography.png'));
+const CHANGED_TYPOGRAPHY = fs.readFileSync(path.join(ACTUAL_DIR, 'typography.png'));
+
+expect.extend({ toMatchVisualSnapshot });
+
+describe('toMatchVisualSnapshot', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = makeTempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  // What Jest passes as `this`: `updateSnapshot` is 'new' by default, 'none' with --ci and 'all' with -u
+  function matcherContext(updateSnapshot = 'new') {
+    return {
+      testPath: path.join(dir, 'sketch.test.js'),
+      currentTestName: 'Sketch > draws the Title!',
+      snapshotState: { _updateSnapshot: updateSnapshot, added: 0, matched: 0, updated: 0, unmatched: 0 },
+      utils: { matcherHint: () => 'expect(image).toMatchVisualSnapshot()' }
+    };
+  }
+
+  const snapshotsDir = () => path.join(dir, '__visual_snapshots__');
+  const diffDir = () => path.join(snapshotsDir(), '__diff_output__');
+
+  test('writes a missing snapshot, named after the test, and passes', async () => {
+    const context = matcherContext();
+    const matcher = configureToMatchVisualSnapshot();
+
+    const first = await matcher.call(context, SHAPES);
+    const second = await matcher.call(context, TYPOGRAPHY);
+
+    expect(first.pass).toBe(true);
+    expect(second.pass).toBe(true);
+    expect(fs.readdirSync(snapshotsDir()).sort()).toEqual(['sketch-draws-the-title-1.png', 'sketch-draws-the-title-2.png']);
+    expect(context.snapshotState.added).toBe(2);
+  });
+
+  test('fails on a missing snapshot with --ci', async () => {
+    const result = await toMatchVisualSnapshot.call(matcherContext('none'), SHAPES, { name: 'shapes' });
+
+    expect(result.pass).toBe(false);
+    expect(result.message()).toMatch(/not written with --ci/);
+    expect(fs.existsSync(snapshotsDir())).toBe(false);
+  });
+
+  test('passes when the image matches', async () => {
+    await toMatchVisualSnapshot.call(matcherContext(), SHAPES, { name: 'shapes' });
+    const context = matcherContext('none');
+
+    const result = await toMatchVisualSnapshot.call(context, SHAPES, { name: 'shapes' });
+
+    expect(result.pass).toBe(true);
+    expect(context.snapshotState.matched).toBe(1);
+  });
+
+  test('fails with the clusters and writes the diff when the image changed', async () => {
+    await toMatchVisualSnapshot.call(matcherContext(), TYPOGRAPHY, { name: 'typography' });
+    const context = matcherContext('none');
+
+    const result = await toMatchVisualSnapshot.call(context, CHANGED_TYPOGRAPHY, { name: 'typography' });
+
+    expect(result.pass).toBe(false);
+    expect(result.message()).toMatch(/Image differs from visual snapshot .*typography\.png/);
+    expect(result.message()).toMatch(/\d+ cluster\(s\), \d+ significant:/);
+    expect(result.message()).toMatch(/Run jest with -u/);
+    expect(fs.readdirSync(diffDir())).toContain('typography.png');
+    expect(context.snapshotState.unmatched).toBe(1);
+  });
+
+  test('replaces a changed snapshot under -u and removes old diffs', async () => {
+    await toMatchVisualSnapshot.call(matcherContext(), TYPOGRAPHY, { name: 'typography' });
+    await toMatchVisualSnapshot.call(matcherContext(), CHANGED_TYPOGRAPHY, { name: 'typography' });
+    const context = matcherContext('all');
+
+    const result = await toMatchVisualSnapshot.call(context, CHANGED_TYPOGRAPHY, { name: 'typography' });
+
+    expect(result.pass).toBe(true);
+    expect(context.snapshotState.updated).toBe(1);
+    expect(fs.readdirSync(diffDir())).toEqual([]);
+    expect((await toMatchVisualSnapshot.call(matcherContext('none'), CHANGED_TYPOGRAPHY, { name: 'typography' })).pass)
+      .toBe(true);
+  });
+
+  test('does not support .not', async () => {
+    await expect(toMatchVisualSnapshot.call({ ...matcherContext(), isNot: true }, SHAPES))
+      .rejects.toThrow('.not.toMatchVisualSnapshot() is not supported');
+  });
+
+  test('works through expect()', async () => {
+    fs.mkdirSync(snapshotsDir());
+    fs.writeFileSync(path.join(snapshotsDir(), 'shapes.png'), SHAPES);
+
+    await expect(SHAPES).toMatchVisualSnapshot({ snapshotsDir: snapshotsDir(), name: 'shapes' });
+  });
+});
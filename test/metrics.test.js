@@ -0,0 +1,95 @@
+const METRICS = require('../src/core/metrics');
+const { deltaE2000 } = require('../src/core/metrics/deltaE2000');
+const { createImage, fillRect, copyImage } = require('./helpers');
+
+const OPTIONS = {
+  threshold: 0.1,
+  includeAA: false,
+  alpha: 0.1,
+  ssimThreshold: 0.95,
+  ssimWindowSize: 7,
+  deltaEThreshold: 2.3
+};
+
+function run(metric, actual, expected, options = {}) {
+  const diffBuffer = new Uint8ClampedArray(expected.data.length);
+  const result = METRICS[metric](actual.data, expected.data, diffBuffer, expected.width, expected.height, {
+    ...OPTIONS,
+    ...options
+  });
+  return { ...result, diffBuffer };
+}
+
+function isRed(buffer, x, y, width) {
+  const pos = (y * width + x) * 4;
+  return buffer[pos] === 255 && buffer[pos + 1] === 0 && buffer[pos + 2] === 0;
+}
+
+describe('deltaE2000', () => {
+  // Reference pairs from Sharma, Wu & Dalal (2005), table 1
+  test.each([
+    [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+    [[50, 0, 0], [50, -1, 2], 2.3669],
+    [[50, 2.49, -0.001], [50, -2.49, 0.0009], 7.1792],
+    [[50, 2.5, 0], [73, 25, -18], 27.1492],
+    [[2.0776, 0.0795, -1.135], [0.9033, -0.0636, -0.5514], 0.9082]
+  ])('%j vs %j is %d', (lab1, lab2, expected) => {
+    expect(deltaE2000(lab1, lab2)).toBeCloseTo(expected, 4);
+  });
+
+  test('is zero for identical colours', () => {
+    expect(deltaE2000([40, 10, -10], [40, 10, -10])).toBe(0);
+  });
+});
+
+describe.each(Object.keys(METRICS))('%s metric', metric => {
+  test('finds nothing in identical images', () => {
+    const image = fillRect(createImage(24, 24), 4, 4, 8, 8, [20, 20, 20, 255]);
+
+    const { diffCount, diffBuffer } = run(metric, image, copyImage(image));
+
+    expect(diffCount).toBe(0);
+    expect(isRed(diffBuffer, 6, 6, 24)).toBe(false);
+  });
+
+  test('paints a changed block red and counts it', () => {
+    const expected = createImage(24, 24, [255, 255, 255, 255]);
+    const actual = fillRect(copyImage(expected), 8, 8, 6, 6, [0, 0, 0, 255]);
+
+    const { diffCount, diffBuffer } = run(metric, actual, expected);
+
+    expect(diffCount).toBeGreaterThan(0);
+    expect(isRed(diffBuffer, 10, 10, 24)).toBe(true);
+    expect(isRed(diffBuffer, 0, 0, 24)).toBe(false);
+  });
+});
+
+describe('metric scores', () => {
+  const expected = createImage(32, 32, [200, 200, 200, 255]);
+
+  test('pixelmatch reports the ratio of diff pixels', () => {
+    const actual = fillRect(copyImage(expected), 0, 0, 8, 4, [0, 0, 0, 255]);
+
+    expect(run('pixelmatch', actual, expected).score).toEqual({ diffRatio: 32 / 1024 });
+  });
+
+  test('ssim reports a perfect score for identical images and a lower one otherwise', () => {
+    const actual = fillRect(copyImage(expected), 8, 8, 8, 8, [0, 0, 0, 255]);
+
+    expect(run('ssim', copyImage(expected), expected).score).toEqual({ meanSSIM: 1, minSSIM: 1 });
+    const { score } = run('ssim', actual, expected);
+    expect(score.meanSSIM).toBeLessThan(1);
+    expect(score.minSSIM).toBeLessThan(score.meanSSIM);
+  });
+
+  test('deltaE2000 tolerates a drift below one just-noticeable difference', () => {
+    const drifted = createImage(32, 32, [201, 200, 199, 255]);
+
+    const { diffCount, score } = run('deltaE2000', drifted, expected);
+
+    expect(diffCount).toBe(0);
+    expect(score.maxDeltaE).toBeGreaterThan(0);
+    expect(score.maxDeltaE).toBeLessThan(OPTIONS.deltaEThreshold);
+    expect(run('deltaE2000', drifted, expected, { deltaEThreshold: 0.1 }).diffCount).toBe(1024);
+  });
+});
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const { createCanvas, createImageData } = require('canvas');
+const VisualComparisonEngine = require('../src');
+const SIGNIFICANCE_STRATEGIES = require('../src/core/significance');
+const PREPROCESSORS = require('../src/core/preprocessors');
+const {
+  register,
+  registerMetric,
+  registerSignificance,
+  resolvePlugin,
+  resolvePreprocessors,
+  needsMainThread
+} = require('../src/core/plugins');
+const { ValidationError } = require('../src/utils/errors');
+const { createImage, fillRect, copyImage, makeTempDir, removeDir } = require('./helpers');
+
+const SIZE = 40;
+
+function toCanvas(image) {
+  const canvas = createCanvas(image.width, image.height);
+  canvas.getContext('2d').putImageData(createImageData(image.data, image.width, image.height), 0, 0);
+  return canvas;
+}
+
+// One 8x8 red square on grey: 64 px, a single cluster
+function createPair() {
+  const expected = createImage(SIZE, SIZE);
+  const actual = fillRect(copyImage(expected), 10, 10, 8, 8, [220, 20, 20, 255]);
+  return { actual: toCanvas(actual), expected: toCanvas(expected) };
+}
+
+describe('plugin registry', () => {
+  it('refuses to replace built-ins or register non-functions', () => {
+    expect(() => registerMetric('pixelmatch', () => {})).toThrow('The built-in metric "pixelmatch" can\'t be replaced');
+    expect(() => registerSignificance('strict-ish', 'nope')).toThrow(ValidationError);
+    expect(() => register('reporter', 'x', () => {})).toThrow('Unknown plugin kind: reporter');
+    expect(() => register('metric', '', () => {})).toThrow('A metric needs a non-empty name');
+  });
+
+  it('loads a plugin from a module path', () => {
+    const dir = makeTempDir();
+    try {
+      const modulePath = path.join(dir, 'always-pass.js');
+      fs.writeFileSync(modulePath, 'module.exports = () => ({ ok: true, reason: "from a module" });');
+
+      expect(resolvePlugin('significance', modulePath)([], {})).toEqual({ ok: true, reason: 'from a module' });
+      expect(() => resolvePlugin('significance', path.join(dir, 'missing.js'))).toThrow(/^Unknown significance ".*missing\.js"/);
+    } finally {
+      removeDir(dir);
+    }
+  });
+
+  it('parses preprocess lists with parameters', () => {
+    const steps = resolvePreprocessors(['greyscale', { name: 'blur', radius: 3 }]);
+
+    expect(steps.map(({ name, params, margin }) => ({ name, params, margin }))).toEqual([
+      { name: 'greyscale', params: {}, margin: 0 },
+      { name: 'blur', params: { radius: 3 }, margin: 3 }
+    ]);
+    expect(resolvePreprocessors('greyscale, blur').map(step => step.name)).toEqual(['greyscale', 'blur']);
+    expect(() => resolvePreprocessors('sharpen')).toThrow(/^Unknown preprocessor "sharpen"/);
+  });
+
+  it('keeps comparisons with plugins registered from code on the main thread', () => {
+    registerMetric('main-thread-metric', () => ({ diffCount: 0, diffMask: new Uint8Array(0), score: {} }));
+
+    expect(needsMainThread({ metric: 'main-thread-metric' })).toBe(true);
+    expect(needsMainThread({ metric: 'ssim', preprocess: 'greyscale,blur' })).toBe(false);
+  });
+});
+
+describe('significance strategies', () => {
+  const clusters = [{ size: 30, isLineShift: false }, { size: 10, isLineShift: false }, { size: 500, isLineShift: true }];
+  const options = { minClusterSize: 4, maxTotalDiffPixels: 40, maxSignificantClusters: 2, maxDiffPercent: 1, maxClusterSize: 20 };
+
+  it('clusters counts significant clusters and their pixels', () => {
+    expect(SIGNIFICANCE_STRATEGIES.clusters(clusters, { options })).toEqual({
+      ok: true,
+      reason: '2 significant cluster(s) with 40 px (allowed: 2 clusters, 40 px)',
+      measure: 40,
+      limit: 40
+    });
+  });
+
+  it('diff-percent judges the changed share of the image, line shifts aside', () => {
+    expect(SIGNIFICANCE_STRATEGIES['diff-percent'](clusters, { options, width: 100, height: 50 })).toEqual({
+      ok: true,
+      reason: '0.8% of the image differs (allowed: 1%)',
+      measure: 0.8,
+      limit: 1
+    });
+  });
+
+  it('largest-cluster judges the biggest cluster only', () => {
+    expect(SIGNIFICANCE_STRATEGIES['largest-cluster'](clusters, { options })).toEqual({
+      ok: false,
+      reason: 'Largest cluster has 30 px (allowed: 20 px)',
+      measure: 30,
+      limit: 20
+    });
+  });
+});
+
+describe('preprocessors', () => {
+  it('greyscale sets every channel to the luma', () => {
+    const data = new Uint8ClampedArray([255, 0, 0, 255]);
+
+    const [r, g, b, a] = PREPROCESSORS.greyscale(data);
+
+    expect(r).toBe(g);
+    expect(g).toBe(b);
+    expect(a).toBe(255);
+  });
+
+  it('blur averages over the window, cut off at the edges', () => {
+    const data = new Uint8ClampedArray([0, 0, 0, 255, 90, 90, 90, 255, 0, 0, 0, 255]);
+
+    const blurred = PREPROCESSORS.blur(data, 3, 1, { radius: 1 });
+
+    expect(Array.from(blurred.filter((_, i) => i % 4 === 0))).toEqual([45, 30, 45]);
+  });
+});
+
+describe('plugins in comparisons', () => {
+  it('decides with the chosen significance strategy and reports why', async () => {
+    const engine = new VisualComparisonEngine({ maxSide: SIZE });
+    const { actual, expected } = createPair();
+
+    const byClusters = await engine.compare(actual, expected);
+    const byLargest = await engine.compare(actual, expected, { significance: 'largest-cluster', maxClusterSize: 100 });
+
+    expect(byClusters.ok).toBe(false);
+    expect(byLargest.ok).toBe(true);
+    expect(byLargest.details.significance).toEqual({
+      strategy: 'largest-cluster',
+      reason: 'Largest cluster has 64 px (allowed: 100 px)',
+      measure: 64,
+      limit: 100
+    });
+  });
+
+  it('accepts a strategy that returns a boolean', async () => {
+    registerSignificance('never-pass', () => false);
+    const engine = new VisualComparisonEngine({ maxSide: SIZE });
+    const canvas = createPair().expected;
+
+    const result = await engine.compare(canvas, canvas, { significance: 'never-pass' });
+
+    expect(result.ok).toBe(false);
+    expect(result.details.significance).toEqual({ strategy: 'never-pass', reason: null, measure: null, limit: null });
+  });
+
+  it('runs a registered metric on the preprocessed pixels', async () => {
+    const seen = [];
+    registerMetric('count-grey', (actual, expected, diffBuffer, width, height) => {
+      seen.push(actual[0] === actual[1] && actual[1] === actual[2]);
+      return { diffCount: 0, diffMask: new Uint8Array(width * height), score: { custom: true } };
+    });
+    const engine = new VisualComparisonEngine({ maxSide: SIZE });
+    const { actual, expected } = createPair();
+
+    const result = await engine.compare(actual, expected, { metric: 'count-grey', preprocess: 'greyscale' });
+
+    expect(result.ok).toBe(true);
+    expect(result.details).toMatchObject({ metric: 'count-grey', score: { custom: true } });
+    expect(seen).toEqual([true]);
+  });
+
+  it('rejects unknown plugins before comparing', () => {
+    const engine = new VisualComparisonEngine();
+
+    expect(() => engine.validateOptions({ significance: 'vibes' })).toThrow(/^Unknown significance "vibes"/);
+    expect(() => engine.validateOptions({ preprocess: [{ name: 'sharpen' }] })).toThrow(/^Unknown preprocessor "sharpen"/);
+  });
+});
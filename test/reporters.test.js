@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { createReporter, defaultOutputFile, parseReporterSpec, runReporters } = require('../src/reporters');
+const { makeTempDir, removeDir } = require('./helpers');
+
+// One result of each status a directory run produces
+const RESULTS = [
+  {
+    name: 'pass.png',
+    status: 'passed',
+    ok: true,
+    diffCount: 0,
+    details: { totalDiffPixels: 0, significantDiffPixels: 0, clusters: [] }
+  },
+  {
+    name: 'fail <b>.png',
+    status: 'failed',
+    ok: false,
+    diffCount: 120,
+    diffPath: 'diff/fail.png',
+    details: {
+      totalDiffPixels: 120,
+      significantDiffPixels: 90,
+      categories: { added: { clusters: 1, pixels: 90 } },
+      clusters: [{ size: 90, bounds: { minX: 1, minY: 2, width: 10, height: 9 }, category: 'added', reason: 'only in actual' }]
+    }
+  },
+  { name: 'broken.png', status: 'error', ok: false, error: 'Could not decode actual image', errorCode: 'DECODE_FAILED' },
+  { name: 'new.png', status: 'missing-baseline', ok: false, baseline: null, actual: 'a/new.png' },
+  { name: 'late.png', status: 'cancelled', ok: false }
+];
+
+const render = (name, results = RESULTS) => createReporter(name).render(results, {});
+
+function attribute(xml, element, name) {
+  return Number(xml.match(new RegExp(`<${element} [^>]*${name}="(\\d+)"`))[1]);
+}
+
+function count(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+describe('JsonReporter', () => {
+  test('summarises every status', async () => {
+    const report = JSON.parse(await render('json'));
+
+    expect(report.passed).toBe(false);
+    expect(report.summary).toEqual({ total: 5, passed: 1, failed: 1, errors: 2, cancelled: 1, ok: false });
+    expect(report.results.map(result => result.status))
+      .toEqual(['passed', 'failed', 'error', 'missing-baseline', 'cancelled']);
+    expect(report.results[1]).toMatchObject({ diffCount: 120, output: 'diff/fail.png' });
+    expect(report.results[2]).toMatchObject({ error: 'Could not decode actual image', errorCode: 'DECODE_FAILED' });
+  });
+
+  test('keeps file paths but not encoded images', async () => {
+    const image = Buffer.from('encoded image');
+    const report = JSON.parse(await render('json', [
+      { name: 'paths', ok: true, baseline: 'a/base.png', actual: 'a/actual.png', diffImage: image },
+      { name: 'buffers', ok: true, baseline: image, actual: image }
+    ]));
+
+    expect(report.results[0]).toMatchObject({ baseline: 'a/base.png', comparison: 'a/actual.png' });
+    expect(report.results[0]).not.toHaveProperty('diffImage');
+    expect(report.results[1]).toMatchObject({ baseline: null, comparison: null });
+  });
+
+  test('keeps the flat shape for a single comparison', async () => {
+    const report = JSON.parse(await createReporter('json').render([RESULTS[1]], { single: true, threshold: 0.1 }));
+
+    expect(report).toMatchObject({ name: 'fail <b>.png', passed: false, threshold: 0.1 });
+  });
+});
+
+describe('TextReporter', () => {
+  test('prints one line per result and the totals', async () => {
+    const lines = (await render('text')).split('\n');
+
+    expect(lines[0]).toMatch(/^PASSED\s+pass\.png$/);
+    expect(lines[1]).toMatch(/^FAILED\s+fail <b>\.png \(120 diff pixels\)$/);
+    expect(lines[2]).toMatch(/^ERROR\s+broken\.png \(Could not decode actual image\)$/);
+    expect(lines).toContain('Total: 5, passed: 1, failed: 1, errors: 2');
+    expect(lines).toContain('Not compared: 1');
+    expect(lines).toContain('Comparison FAILED');
+  });
+
+  test('lists the cluster categories of a single comparison', async () => {
+    const lines = (await createReporter('text').render([RESULTS[1]], { single: true })).split('\n');
+
+    expect(lines).toContain('Clusters found: 1');
+    expect(lines).toContain('  added: 1 cluster(s), 90 px');
+  });
+});
+
+describe('JUnitReporter', () => {
+  test('attribute totals match the test cases', async () => {
+    const xml = await render('junit');
+
+    for (const element of ['testsuites', 'testsuite']) {
+      expect(attribute(xml, element, 'tests')).toBe(count(xml, /<testcase /g));
+      expect(attribute(xml, element, 'failures')).toBe(count(xml, /<failure /g));
+      expect(attribute(xml, element, 'errors')).toBe(count(xml, /<error /g));
+      expect(attribute(xml, element, 'skipped')).toBe(count(xml, /<skipped /g));
+    }
+    expect(attribute(xml, 'testsuite', 'errors')).toBe(2);
+  });
+
+  test('escapes names and describes failing clusters', async () => {
+    const xml = await render('junit');
+
+    expect(xml).toContain('name="fail &lt;b&gt;.png"');
+    expect(xml).toContain('Cluster 90px at (1, 2) 10x9 [added: only in actual]');
+    expect(xml).toContain('<error message="Could not decode actual image" type="DECODE_FAILED"/>');
+  });
+});
+
+describe('TapReporter', () => {
+  test('plans every result and marks only passes as ok', async () => {
+    const lines = (await render('tap', RESULTS.slice(0, 4))).split('\n');
+
+    expect(lines.slice(0, 3)).toEqual(['TAP version 13', '1..4', 'ok 1 - pass.png']);
+    expect(lines).toContain('not ok 2 - fail <b>.png');
+    expect(lines).toContain('  diffCount: 120');
+    expect(lines).toContain('not ok 3 - broken.png');
+    expect(lines).toContain('  code: DECODE_FAILED');
+    expect(lines).toContain('not ok 4 - new.png');
+  });
+});
+
+describe('MarkdownReporter', () => {
+  test('writes a heading, the totals and one row per result', async () => {
+    const markdown = await render('markdown');
+    const rows = markdown.split('\n').filter(line => /^\| (?!Status|-)/.test(line));
+
+    expect(markdown).toContain('**1/5 passed** · 1 failed · 2 errors');
+    expect(rows).toHaveLength(5);
+    expect(rows[1]).toBe('| ❌ failed | fail <b>.png | 120 | 90 | 1 |');
+    expect(rows[2]).toContain('Could not decode actual image');
+  });
+});
+
+describe('reporter specs', () => {
+  test('split a name from its output file, keeping Windows drive letters', () => {
+    expect(parseReporterSpec('junit:reports/junit.xml')).toEqual({ name: 'junit', outputFile: 'reports/junit.xml' });
+    expect(parseReporterSpec('markdown')).toEqual({ name: 'markdown', outputFile: undefined });
+    expect(parseReporterSpec('C:\\reporters\\slack.js:out.json'))
+      .toEqual({ name: 'C:\\reporters\\slack.js', outputFile: 'out.json' });
+  });
+
+  test('default to a file named after the reporter', () => {
+    expect(defaultOutputFile('html')).toBe('visual-report.html');
+    expect(defaultOutputFile('json')).toBe('visual-report.json');
+    expect(defaultOutputFile('junit')).toBe('junit.xml');
+    expect(defaultOutputFile('./reporters/slack.js')).toBe('visual-report.txt');
+  });
+});
+
+describe('runReporters', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = makeTempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('writes reporters with an output file relative to cwd', async () => {
+    const written = await runReporters(RESULTS, ['junit:reports/junit.xml', 'json:out.json'], { cwd: dir });
+
+    expect(written).toEqual([
+      { name: 'junit', outputFile: path.join(dir, 'reports', 'junit.xml') },
+      { name: 'json', outputFile: path.join(dir, 'out.json') }
+    ]);
+    expect(fs.readFileSync(path.join(dir, 'reports', 'junit.xml'), 'utf8')).toBe(await render('junit'));
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'out.json'), 'utf8')).summary.total).toBe(5);
+  });
+
+  test('loads custom reporters from a module path', async () => {
+    fs.writeFileSync(path.join(dir, 'names.js'), `
+      module.exports = class NamesReporter {
+        render(results) { return results.map(result => result.name).join(','); }
+      };
+    `);
+
+    await runReporters(RESULTS.slice(0, 1), ['./names.js:names.txt'], { cwd: dir });
+
+    expect(fs.readFileSync(path.join(dir, 'names.txt'), 'utf8')).toBe('pass.png');
+  });
+
+  test('rejects unknown reporters', async () => {
+    await expect(runReporters(RESULTS, ['yaml'], { cwd: dir })).rejects.toThrow(/Unknown reporter "yaml"/);
+  });
+});
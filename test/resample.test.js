@@ -0,0 +1,76 @@
+const { RESAMPLING_FILTERS, resample } = require('../src/utils/resample');
+const { createImage, fillRect } = require('./helpers');
+
+const BLACK = [0, 0, 0, 255];
+const WHITE = [255, 255, 255, 255];
+
+function pixelAt(data, width, x, y) {
+  const pos = (y * width + x) * 4;
+  return Array.from(data.slice(pos, pos + 4));
+}
+
+// Black and white columns, one pixel each
+function stripes(width, height) {
+  const image = createImage(width, height, WHITE);
+  for (let x = 0; x < width; x += 2) {
+    fillRect(image, x, 0, 1, height, BLACK);
+  }
+  return image;
+}
+
+describe('resample', () => {
+  test('returns a copy when the size is unchanged', () => {
+    const image = stripes(4, 4);
+
+    const result = resample(image.data, 4, 4, 4, 4, 'box');
+
+    expect(result).toEqual(image.data);
+    expect(result).not.toBe(image.data);
+  });
+
+  test.each(RESAMPLING_FILTERS)('keeps a flat colour flat with %s', filter => {
+    const image = createImage(10, 6, [30, 60, 90, 255]);
+
+    const result = resample(image.data, 10, 6, 7, 13, filter);
+
+    expect(result).toHaveLength(7 * 13 * 4);
+    for (let i = 0; i < result.length; i += 4) {
+      expect(Array.from(result.slice(i, i + 4))).toEqual([30, 60, 90, 255]);
+    }
+  });
+
+  test('nearest keeps hard edges when enlarging', () => {
+    const image = fillRect(createImage(2, 1, WHITE), 0, 0, 1, 1, BLACK);
+
+    const result = resample(image.data, 2, 1, 4, 1, 'nearest');
+
+    expect([0, 1, 2, 3].map(x => pixelAt(result, 4, x, 0)[0])).toEqual([0, 0, 255, 255]);
+  });
+
+  test('box averages the area under each target pixel', () => {
+    const image = stripes(8, 2);
+
+    const result = resample(image.data, 8, 2, 4, 1, 'box');
+
+    for (let x = 0; x < 4; x++) {
+      expect(pixelAt(result, 4, x, 0)).toEqual([128, 128, 128, 255]);
+    }
+  });
+
+  test('bilinear widens when shrinking so thin strokes still show', () => {
+    const image = fillRect(createImage(12, 1, WHITE), 5, 0, 1, 1, BLACK);
+
+    const result = resample(image.data, 12, 1, 3, 1, 'bilinear');
+
+    expect(pixelAt(result, 3, 1, 0)[0]).toBeLessThan(255);
+  });
+
+  test('transparent pixels do not bleed their colour', () => {
+    const image = fillRect(createImage(2, 1, [255, 0, 0, 255]), 1, 0, 1, 1, [0, 0, 255, 0]);
+
+    const [r, g, b, a] = resample(image.data, 2, 1, 1, 1, 'box');
+
+    expect([r, g, b]).toEqual([255, 0, 0]);
+    expect(a).toBe(128);
+  });
+});
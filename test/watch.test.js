@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const { watchPaths } = require('../src/utils/watch');
+const { makeTempDir, removeDir } = require('./helpers');
+
+const DEBOUNCE = 50;
+
+// Resolves with the next batch of changed paths passed to onChange
+function nextChange(calls) {
+  return new Promise(resolve => calls.push(resolve));
+}
+
+function recordChanges() {
+  const waiting = [];
+  const batches = [];
+  const onChange = changed => {
+    batches.push([...changed].sort());
+    const resolve = waiting.shift();
+    if (resolve) resolve(changed);
+  };
+  return { waiting, batches, onChange };
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('watchPaths', () => {
+  let dir;
+  let watcher;
+
+  beforeEach(() => {
+    dir = fs.realpathSync(makeTempDir());
+  });
+
+  afterEach(() => {
+    if (watcher) {
+      watcher.close();
+      watcher = null;
+    }
+    removeDir(dir);
+  });
+
+  test('reports a burst of writes to a directory once, after it settles', async () => {
+    fs.mkdirSync(path.join(dir, 'sub'));
+    const { waiting, batches, onChange } = recordChanges();
+    watcher = watchPaths([dir], onChange, { debounce: DEBOUNCE });
+
+    const changed = nextChange(waiting);
+    fs.writeFileSync(path.join(dir, 'a.png'), '1');
+    fs.writeFileSync(path.join(dir, 'a.png'), '2');
+    fs.writeFileSync(path.join(dir, 'sub', 'b.png'), '1');
+    await changed;
+    await delay(DEBOUNCE * 3);
+
+    expect(batches).toEqual([[path.join(dir, 'a.png'), path.join(dir, 'sub', 'b.png')]]);
+  });
+
+  test('watches a single file through its directory, ignoring its siblings', async () => {
+    const file = path.join(dir, 'a.png');
+    fs.writeFileSync(file, '1');
+    const { waiting, batches, onChange } = recordChanges();
+    watcher = watchPaths([file], onChange, { debounce: DEBOUNCE });
+
+    const changed = nextChange(waiting);
+    fs.writeFileSync(path.join(dir, 'other.png'), '1');
+    // Replace the file, as renderers writing to a temporary file do
+    fs.writeFileSync(path.join(dir, 'a.png.tmp'), '2');
+    fs.renameSync(path.join(dir, 'a.png.tmp'), file);
+    await changed;
+
+    expect(batches).toEqual([[file]]);
+  });
+
+  test('collects changes made during a run for the next one', async () => {
+    const batches = [];
+    let finishFirst;
+    const secondRun = new Promise(resolve => {
+      watcher = watchPaths([dir], async changed => {
+        batches.push(changed.map(file => path.basename(file)));
+        if (batches.length === 1) {
+          await new Promise(done => (finishFirst = done));
+        } else {
+          resolve();
+        }
+      }, { debounce: DEBOUNCE });
+    });
+
+    fs.writeFileSync(path.join(dir, 'a.png'), '1');
+    while (!finishFirst) {
+      await delay(10);
+    }
+    fs.writeFileSync(path.join(dir, 'b.png'), '1');
+    await delay(DEBOUNCE * 3);
+    expect(batches).toHaveLength(1);
+
+    finishFirst();
+    await secondRun;
+    expect(batches).toEqual([['a.png'], ['b.png']]);
+  });
+
+  test('passes errors from onChange to onError and keeps watching', async () => {
+    const errors = [];
+    let calls = 0;
+    const secondCall = new Promise(resolve => {
+      watcher = watchPaths([dir], () => {
+        calls++;
+        if (calls === 1) throw new Error('render failed');
+        resolve();
+      }, { debounce: DEBOUNCE, onError: error => errors.push(error.message) });
+    });
+
+    fs.writeFileSync(path.join(dir, 'a.png'), '1');
+    while (errors.length === 0) {
+      await delay(10);
+    }
+    fs.writeFileSync(path.join(dir, 'a.png'), '2');
+    await secondCall;
+
+    expect(errors).toEqual(['render failed']);
+  });
+});